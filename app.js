@@ -5,10 +5,44 @@ class FinalPlayer {
     constructor() {
         // Audio & State
         this.audioContext = null;
-        this.mediaElementSource = null;
+        this.decks = [];
+        this.activeDeck = 0;
+        this.pendingTransition = null;
+        this.loudnessScanRunning = false;
+        this.currentLyrics = null;
+        this.activeLyricsLine = -1;
+        this.currentView = 'library';
+        this.currentViewData = null;
+        this.virtualGrids = new Map();
+        this.assetUrls = new Map();
+        this.assetUrlLimit = 400;
+        this.pinnedAssetIds = new Map(); // uso (fondo, portada del reproductor...) -> asset que no se puede revocar
+        this.assetUrlEvictionId = null;
+        this.thumbnailSizes = [128, 512];
+        this.libraryFilter = '';
+        this.libraryTrackIds = [];
+        this.selection = new Set();
+        this.selectedEntries = new Set(); // índices de entrada seleccionados en la playlist en pantalla
+        this.selectionAnchor = null;
+        this.searchDebounceId = null;
         this.analyser = null;
         this.gainNode = null;
         this.eqNodes = [];
+        this.parametricNodes = [];
+        this.eqPreampNode = null;
+        this.activeEQProfile = null;
+        this.eqProfileBackup = null;
+        this.eqProfileOverridden = false;
+        this.eqRampTimeoutId = null;
+        this.eqProfileTargets = [];
+        this.rackInput = null;
+        this.rackModules = new Map();
+        this.impulseBuffers = new Map();
+        this.pitchShifterNode = null;
+        this.abLoop = { start: null, end: null };
+        this.abLoopIntervalId = null;
+        this.selectedEQBand = null;
+        this.eqDragBand = null;
         this.visualizerAnimationId = null;
         this.eqVisualizerAnimationId = null;
         this.currentTrackId = null;
@@ -18,12 +52,28 @@ class FinalPlayer {
         this.isPlaying = false;
         this.shuffle = false;
         this.repeat = 'none'; // 'none', 'one', 'all'
+        this.queueDragIndex = null;
+        this.playbackStateSaveId = null;
+        this.resumeSavedAt = 0;
+        this.currentRemovedFromQueue = false; // la pista que suena se quitó de la cola: currentIndex apunta a la anterior
+        this.playlistEntryIndexes = [];
+        this.playlistDragIndex = null;
+        this.playlistUndoStack = [];
+        this.smartShuffleKeys = new Map(); // playlist inteligente aleatoria -> clave de orden por canción
+        this.paletteResults = [];
+        this.paletteIndex = 0;
+        this.capturingShortcut = null;
+        this.pendingSeek = null;
         
         // Data Collections
         this.library = new Map();
         this.playlists = new Map();
         this.albums = new Map();
         this.assets = new Map();
+        this.eqPresets = new Map();
+        this.history = [];
+        this.playSession = null;
+        this.pendingBackup = null;
         
         // Database
         this.db = null;
@@ -45,7 +95,60 @@ class FinalPlayer {
             },
             eqPreset: 'flat',
             customEq: new Array(10).fill(0),
+            eqMode: 'graphic', // 'graphic', 'parametric'
+            eqPreamp: 0, // dB
+            eqProfiles: { track: {}, album: {}, artist: {}, genre: {} }, // { preset, gain, label } por clave
+            playback: { speed: 1, preservesPitch: true, pitch: 0 }, // pitch en semitonos
+            rack: {
+                order: ['compressor', 'balance', 'mono', 'crossfeed', 'bass', 'reverb', 'karaoke'],
+                compressor: { enabled: false, mode: 'compressor', threshold: -24, ratio: 4, knee: 20, attack: 10, release: 250, makeup: 0 },
+                balance: { enabled: false, balance: 0, width: 1 },
+                mono: { enabled: false },
+                crossfeed: { enabled: false, level: 0.3, cutoff: 700 },
+                bass: { enabled: false, frequency: 90, boost: 4, harmonics: 0.3 },
+                reverb: { enabled: false, impulseId: null, mix: 0.25 },
+                karaoke: { enabled: false, strength: 1, bassKeep: 150 },
+            },
+            parametricEq: [
+                { type: 'lowshelf', frequency: 100, gain: 0, q: 0.71 },
+                { type: 'peaking', frequency: 1000, gain: 0, q: 1 },
+                { type: 'highshelf', frequency: 8000, gain: 0, q: 0.71 },
+            ],
             lastTrackId: null,
+            transition: {
+                mode: 'off', // 'off', 'gapless', 'crossfade'
+                crossfadeDuration: 6,
+            },
+            normalization: {
+                mode: 'track', // 'track', 'album', 'off'
+                preamp: 0,
+                scanOnStartup: false, // analizar al iniciar las pistas sin datos de volumen
+            },
+            resume: {
+                enabled: true,
+                threshold: 20, // minutos a partir de los que una pista se considera larga
+            },
+            shortcuts: this.getDefaultShortcuts(),
+            library: {
+                duplicateHandling: 'skip', // 'skip', 'ask', 'import'
+                playlistDuplicates: false,
+            },
+            libraryView: {
+                mode: 'grid', // 'grid', 'table'
+                sortBy: null,
+                sortOrder: 'asc',
+                columns: {
+                    title: { visible: true, width: 260 },
+                    artist: { visible: true, width: 180 },
+                    album: { visible: true, width: 180 },
+                    trackNumber: { visible: true, width: 50 },
+                    duration: { visible: true, width: 80 },
+                    addedAt: { visible: true, width: 110 },
+                    playCount: { visible: true, width: 80 },
+                    bitrate: { visible: false, width: 90 },
+                    genre: { visible: true, width: 120 },
+                },
+            },
         };
         
         this.init();
@@ -54,6 +157,7 @@ class FinalPlayer {
     async init() {
         try {
             await this.initDB();
+            this.setupVirtualGrids();
             await this.loadDataFromDB();
             this.setupUI();
             this.setupAudioContext();
@@ -62,6 +166,8 @@ class FinalPlayer {
             await this.applyTheme();
             await this.restorePlaybackState();
             this.showToast('FinalPlayer listo', 'success');
+            if (this.settings.normalization.scanOnStartup) setTimeout(() => this.scanLibraryLoudness(), 5000);
+            setTimeout(() => this.generateMissingThumbnails(), 3000);
         } catch (error) {
             console.error("Error fatal durante la inicialización:", error);
             this.showToast('Error al iniciar la aplicación', 'error');
@@ -74,7 +180,7 @@ class FinalPlayer {
     
     async initDB() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('FinalPlayerDB_v2', 2);
+            const request = indexedDB.open('FinalPlayerDB_v2', 4);
             
             request.onerror = (e) => reject(`Error de IndexedDB: ${e.target.error}`);
             request.onsuccess = (e) => {
@@ -84,7 +190,7 @@ class FinalPlayer {
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                const stores = ['tracks', 'assets', 'playlists', 'albums', 'settings'];
+                const stores = ['tracks', 'assets', 'playlists', 'albums', 'settings', 'history', 'eqPresets'];
                 stores.forEach(storeName => {
                     if (!db.objectStoreNames.contains(storeName)) {
                         const store = db.createObjectStore(storeName, { keyPath: 'id' });
@@ -92,6 +198,10 @@ class FinalPlayer {
                             store.createIndex('artist', 'artist');
                             store.createIndex('album', 'album');
                         }
+                        if (storeName === 'history') {
+                            store.createIndex('trackId', 'trackId');
+                            store.createIndex('startedAt', 'startedAt');
+                        }
                     }
                 });
             };
@@ -142,44 +252,155 @@ class FinalPlayer {
         });
     }
 
+    async saveManyToStore(storeName, records) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject("La base de datos no está inicializada.");
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    async clearStore(storeName) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) return reject("La base de datos no está inicializada.");
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).clear();
+            request.onsuccess = () => resolve();
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
     async loadDataFromDB() {
-        const [tracks, assets, playlists, albums, settings] = await Promise.all([
+        const [tracks, assets, playlists, albums, settings, history, eqPresets] = await Promise.all([
             this.getAllFromStore('tracks'),
             this.getAllFromStore('assets'),
             this.getAllFromStore('playlists'),
             this.getAllFromStore('albums'),
-            this.getFromStore('settings', 'userSettings')
+            this.getFromStore('settings', 'userSettings'),
+            this.getAllFromStore('history'),
+            this.getAllFromStore('eqPresets')
         ]);
 
+        this.library.clear();
+        this.assets.clear();
+        this.playlists.clear();
+        this.albums.clear();
+        this.eqPresets.clear();
         tracks.forEach(t => this.library.set(t.id, t));
         assets.forEach(a => this.assets.set(a.id, a));
         playlists.forEach(p => this.playlists.set(p.id, p));
         albums.forEach(a => this.albums.set(a.id, a));
+        eqPresets.forEach(p => this.eqPresets.set(p.id, p));
+        this.history = history.sort((a, b) => a.startedAt - b.startedAt);
+        this.refreshSmartPlaylists(false);
 
         if (settings && settings.data) {
             this.settings = { 
                 ...this.settings, 
                 ...settings.data,
-                theme: { ...this.settings.theme, ...(settings.data.theme || {}) }
+                theme: { ...this.settings.theme, ...(settings.data.theme || {}) },
+                transition: { ...this.settings.transition, ...(settings.data.transition || {}) },
+                normalization: { ...this.settings.normalization, ...(settings.data.normalization || {}) },
+                resume: { ...this.settings.resume, ...(settings.data.resume || {}) },
+                shortcuts: { ...this.settings.shortcuts, ...(settings.data.shortcuts || {}) },
+                library: { ...this.settings.library, ...(settings.data.library || {}) },
+                eqProfiles: { ...this.settings.eqProfiles, ...(settings.data.eqProfiles || {}) },
+                playback: { ...this.settings.playback, ...(settings.data.playback || {}) },
+                rack: this.mergeRackSettings(settings.data.rack || {}),
+                libraryView: {
+                    ...this.settings.libraryView,
+                    ...(settings.data.libraryView || {}),
+                    columns: { ...this.settings.libraryView.columns, ...(settings.data.libraryView?.columns || {}) }
+                }
             };
         }
         
         await this.updateLibraryDisplay();
+        this.updateSidebarPlaylists();
+        this.updateEQPresetSelect();
     }
 
     async saveSettings() {
-        await this.saveToStore('settings', { id: 'userSettings', data: this.settings });
+        // Con un perfil automático activo se guarda el ecualizador global, no el del perfil
+        const data = this.eqProfileBackup ? { ...this.settings, ...this.eqProfileBackup } : this.settings;
+        await this.saveToStore('settings', { id: 'userSettings', data });
     }
 
     async restorePlaybackState() {
-        if (this.settings.lastTrackId && this.library.has(this.settings.lastTrackId)) {
-            const lastTrack = this.library.get(this.settings.lastTrackId);
+        const saved = await this.getFromStore('settings', 'playbackState');
+        const state = saved && saved.data;
+        if (state) {
+            const existing = ids => (ids || []).filter(id => this.library.has(id));
+            this.queue = existing(state.queue);
+            this.shuffledQueue = existing(state.shuffledQueue);
+            if (this.shuffledQueue.length !== this.queue.length) this.generateShuffledQueue();
+            this.shuffle = !!state.shuffle;
+            this.repeat = state.repeat || 'none';
+            document.getElementById('shuffleBtn').classList.toggle('active', this.shuffle);
+            document.getElementById('repeatBtn').classList.toggle('active', this.repeat !== 'none');
+
+            const currentQueue = this.getActiveQueue();
+            this.currentRemovedFromQueue = !!state.currentRemoved;
+            if (this.currentRemovedFromQueue) {
+                this.currentIndex = Math.min(state.currentIndex, currentQueue.length - 1);
+            } else {
+                this.currentIndex = currentQueue[state.currentIndex] === state.currentTrackId
+                    ? state.currentIndex
+                    : currentQueue.indexOf(state.currentTrackId);
+            }
+            this.updateQueueDisplay();
+        }
+
+        const lastTrackId = state && this.library.has(state.currentTrackId) ? state.currentTrackId : this.settings.lastTrackId;
+        if (lastTrackId && this.library.has(lastTrackId)) {
+            const lastTrack = this.library.get(lastTrackId);
             this.currentTrackId = lastTrack.id;
             await this.loadTrack(lastTrack, false);
+            // loadTrack da la pista por presente en la cola; se recupera el estado guardado
+            this.currentRemovedFromQueue = !!(state && state.currentRemoved);
+            if (this.currentRemovedFromQueue) this.updateQueueDisplay();
             this.updatePlayerDisplay(lastTrack);
+
+            if (state && state.currentTrackId === lastTrackId && state.position > 0) {
+                const element = this.getMediaElement();
+                const seekToSaved = () => {
+                    element.currentTime = Math.min(state.position, element.duration || state.position);
+                    this.updateProgressBar();
+                };
+                if (element.readyState >= 1) seekToSaved();
+                else element.addEventListener('loadedmetadata', seekToSaved, { once: true });
+            }
         }
     }
 
+    async savePlaybackState() {
+        clearTimeout(this.playbackStateSaveId);
+        this.playbackStateSaveId = null;
+        const element = this.getMediaElement();
+        await this.saveToStore('settings', {
+            id: 'playbackState',
+            data: {
+                queue: this.queue,
+                shuffledQueue: this.shuffledQueue,
+                currentIndex: this.currentIndex,
+                currentTrackId: this.currentTrackId,
+                currentRemoved: this.currentRemovedFromQueue,
+                shuffle: this.shuffle,
+                repeat: this.repeat,
+                position: (element && element.currentTime) || 0
+            }
+        });
+    }
+
+    schedulePlaybackStateSave(delay = 1000) {
+        // Agrupa los cambios de cola y de posición en una sola escritura
+        if (this.playbackStateSaveId) return;
+        this.playbackStateSaveId = setTimeout(() => this.savePlaybackState(), delay);
+    }
+
     // ===================================
     // AUDIO CONTEXT
     // ===================================
@@ -187,17 +408,21 @@ class FinalPlayer {
     setupAudioContext() {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const audioElement = document.getElementById('audioElement');
-            this.mediaElementSource = this.audioContext.createMediaElementSource(audioElement);
+            this.decks = ['audioElement', 'audioElementNext', 'videoElement'].map(id => this.createDeck(document.getElementById(id)));
             this.gainNode = this.audioContext.createGain();
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 512;
             this.analyser.smoothingTimeConstant = 0.8;
+            this.eqPreampNode = this.audioContext.createGain();
+            this.eqPreampNode.gain.value = Math.pow(10, this.settings.eqPreamp / 20);
             
             this.createEQNodes();
+            this.createParametricNodes();
+            this.createRack();
             this.connectAudioGraph();
             this.setVolume(this.settings.volume);
             this.applyEQPreset(this.settings.eqPreset, false);
+            if (this.settings.playback.pitch !== 0) this.setPitchShift(this.settings.playback.pitch, false);
             
         } catch (error) {
             console.error('Error al configurar AudioContext:', error);
@@ -205,9 +430,30 @@ class FinalPlayer {
         }
     }
 
+    createDeck(element) {
+        const source = this.audioContext.createMediaElementSource(element);
+        const normGain = this.audioContext.createGain();
+        const fadeGain = this.audioContext.createGain();
+        return { element, source, normGain, fadeGain, trackId: null };
+    }
+
+    getMediaElement() {
+        const deck = this.decks[this.activeDeck];
+        return deck ? deck.element : document.getElementById('audioElement');
+    }
+
+    getDeckIndexForAsset(asset) {
+        // Los decks 0 y 1 alternan para el audio; el 2 es el elemento <video>
+        if (asset.type === 'video') return 2;
+        return this.activeDeck === 2 ? 0 : this.activeDeck;
+    }
+
+    getGraphicEQFrequencies() {
+        return [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+    }
+
     createEQNodes() {
-        const frequencies = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
-        this.eqNodes = frequencies.map((freq) => {
+        this.eqNodes = this.getGraphicEQFrequencies().map((freq) => {
             const filter = this.audioContext.createBiquadFilter();
             filter.type = 'peaking';
             filter.frequency.value = freq;
@@ -218,40 +464,266 @@ class FinalPlayer {
     }
 
     connectAudioGraph() {
-        let currentNode = this.mediaElementSource;
-        currentNode.connect(this.gainNode);
-        currentNode = this.gainNode;
-        this.eqNodes.forEach(eqNode => {
+        this.decks.forEach(deck => {
+            deck.source.connect(deck.normGain);
+            deck.normGain.connect(deck.fadeGain);
+            deck.fadeGain.connect(this.gainNode);
+        });
+        this.connectEQChain();
+        this.connectRack();
+        this.analyser.connect(this.audioContext.destination);
+    }
+
+    connectEQChain() {
+        // Solo la cadena del modo activo queda entre el preamp y el rack de efectos
+        this.gainNode.disconnect();
+        this.eqPreampNode.disconnect();
+        [...this.eqNodes, ...this.parametricNodes].forEach(node => node.disconnect());
+        if (this.pitchShifterNode) this.pitchShifterNode.disconnect();
+        if (this.pitchShifterNode && this.settings.playback.pitch !== 0) {
+            this.gainNode.connect(this.pitchShifterNode);
+            this.pitchShifterNode.connect(this.eqPreampNode);
+        } else {
+            this.gainNode.connect(this.eqPreampNode);
+        }
+        let currentNode = this.eqPreampNode;
+        this.getActiveEQNodes().forEach(eqNode => {
             currentNode.connect(eqNode);
             currentNode = eqNode;
         });
-        currentNode.connect(this.analyser);
-        this.analyser.connect(this.audioContext.destination);
+        currentNode.connect(this.rackInput);
+    }
+
+    getActiveEQNodes() {
+        return this.settings.eqMode === 'parametric' ? this.parametricNodes : this.eqNodes;
     }
     
+    // ===================================
+    // ASSET URLS & THUMBNAILS
+    // ===================================
+
+    getAssetUrl(assetId, size = null, pin = null) {
+        // Con tamaño se usa la miniatura correspondiente si existe; si no, el original
+        const thumbnailId = size ? `${assetId}_thumb${size}` : null;
+        const resolvedId = thumbnailId && this.assets.has(thumbnailId) ? thumbnailId : assetId;
+        const asset = resolvedId && this.assets.get(resolvedId);
+        if (pin) this.pinAssetUrl(pin, asset && asset.blob ? resolvedId : null);
+        if (!asset || !asset.blob) return '';
+
+        const cached = this.assetUrls.get(resolvedId);
+        if (cached && cached.blob === asset.blob) {
+            // Map conserva el orden de inserción: reinsertar marca la URL como usada recientemente
+            this.assetUrls.delete(resolvedId);
+            this.assetUrls.set(resolvedId, cached);
+            return cached.url;
+        }
+        if (cached) this.revokeAssetUrl(resolvedId);
+
+        const url = URL.createObjectURL(asset.blob);
+        this.assetUrls.set(resolvedId, { blob: asset.blob, url });
+        if (this.assetUrls.size > this.assetUrlLimit) this.scheduleAssetUrlEviction();
+        return url;
+    }
+
+    scheduleAssetUrlEviction() {
+        if (this.assetUrlEvictionId) return;
+        // Se espera a que el render en curso (cola, búsqueda...) monte sus elementos antes de revocar nada
+        this.assetUrlEvictionId = setTimeout(() => {
+            this.assetUrlEvictionId = null;
+            this.evictAssetUrls();
+        }, 0);
+    }
+
+    evictAssetUrls() {
+        const excess = this.assetUrls.size - this.assetUrlLimit;
+        if (excess <= 0) return;
+        // Nunca se revoca una URL que use un elemento montado ni una fijada (mediaSession no está en el DOM)
+        const liveUrls = new Set();
+        document.querySelectorAll('img[src^="blob:"], video[src^="blob:"]').forEach(el => liveUrls.add(el.src));
+        document.querySelectorAll('[style*="blob:"]').forEach(el => {
+            (el.getAttribute('style').match(/blob:[^'")\s]+/g) || []).forEach(url => liveUrls.add(url));
+        });
+        const pinned = new Set(this.pinnedAssetIds.values());
+        [...this.assetUrls]
+            .filter(([id, cached]) => !pinned.has(id) && !liveUrls.has(cached.url))
+            .slice(0, excess)
+            .forEach(([id]) => this.revokeAssetUrl(id));
+    }
+
+    pinAssetUrl(pin, assetId) {
+        if (assetId) this.pinnedAssetIds.set(pin, assetId);
+        else this.pinnedAssetIds.delete(pin);
+    }
+
+    revokeAssetUrl(assetId) {
+        const cached = this.assetUrls.get(assetId);
+        if (!cached) return;
+        URL.revokeObjectURL(cached.url);
+        this.assetUrls.delete(assetId);
+    }
+
+    setFilePreview(img, file) {
+        // Solo se revoca la vista previa anterior; las URLs de portadas guardadas las gestiona getAssetUrl
+        if (img.dataset.previewUrl) URL.revokeObjectURL(img.dataset.previewUrl);
+        img.dataset.previewUrl = URL.createObjectURL(file);
+        img.src = img.dataset.previewUrl;
+    }
+
+    async saveCoverAsset(assetId, blob, filename = 'cover.jpg') {
+        const asset = { id: assetId, type: 'image', blob, filename };
+        await this.saveToStore('assets', asset);
+        this.assets.set(assetId, asset);
+        this.revokeAssetUrl(assetId);
+        await this.createThumbnails(assetId, blob);
+        return asset;
+    }
+
+    async createThumbnails(assetId, blob) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(blob);
+        } catch (error) {
+            console.warn(`No se pudo decodificar la portada ${assetId}:`, error);
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        for (const size of this.thumbnailSizes) {
+            const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            const thumbnailBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.85));
+            if (!thumbnailBlob) continue;
+
+            const thumbnailId = `${assetId}_thumb${size}`;
+            const thumbnail = { id: thumbnailId, type: 'thumbnail', blob: thumbnailBlob, sourceAssetId: assetId, size };
+            await this.saveToStore('assets', thumbnail);
+            this.assets.set(thumbnailId, thumbnail);
+            this.revokeAssetUrl(thumbnailId);
+        }
+        bitmap.close();
+    }
+
+    async deleteAsset(assetId) {
+        const ids = [assetId, ...this.thumbnailSizes.map(size => `${assetId}_thumb${size}`)];
+        for (const id of ids) {
+            if (id !== assetId && !this.assets.has(id)) continue;
+            await this.deleteFromStore('assets', id);
+            this.assets.delete(id);
+            this.revokeAssetUrl(id);
+        }
+    }
+
+    async generateMissingThumbnails() {
+        const coverIds = new Set();
+        this.library.forEach(track => track.coverAssetId && coverIds.add(track.coverAssetId));
+        this.albums.forEach(album => album.coverAssetId && coverIds.add(album.coverAssetId));
+        this.playlists.forEach(playlist => playlist.coverAssetId && coverIds.add(playlist.coverAssetId));
+
+        for (const assetId of coverIds) {
+            const asset = this.assets.get(assetId);
+            if (!asset || !asset.blob) continue;
+            if (this.thumbnailSizes.every(size => this.assets.has(`${assetId}_thumb${size}`))) continue;
+            await this.createThumbnails(assetId, asset.blob);
+        }
+    }
+
     // ===================================
     // MEDIA IMPORT & PROCESSING
     // ===================================
 
     async importFiles(files) {
-        const validFiles = Array.from(files).filter(file => file.type.startsWith('audio/') || file.type.startsWith('video/'));
-        if (validFiles.length === 0) {
+        // Acepta File sueltos o { file, path } cuando vienen de una carpeta
+        const items = Array.from(files).map(item => item instanceof File
+            ? { file: item, path: item.webkitRelativePath || item.name }
+            : item);
+        const validItems = items.filter(item => this.getMediaKind(item.file));
+        const lyricItems = items.filter(item => /\.lrc$/i.test(item.file.name));
+        if (validItems.length === 0 && lyricItems.length === 0) {
             this.showToast('No se encontraron archivos de audio/video válidos', 'warning');
             return;
         }
+        if (validItems.length === 0) {
+            await this.importLyricFiles(lyricItems, []);
+            return;
+        }
 
-        this.showToast(`Importando ${validFiles.length} archivos...`, 'info');
+        this.showToast(`Importando ${validItems.length} archivos...`, 'info');
+        const folderCovers = await this.importFolderCovers(items, validItems);
         let successCount = 0;
-        for (const file of validFiles) {
-            const success = await this.processFile(file);
-            if (success) successCount++;
+        let duplicateCount = 0;
+        const libraryBefore = new Set(this.library.keys());
+        for (const item of validItems) {
+            const folderCoverAssetId = folderCovers.get(this.getFolderPath(item.path)) || null;
+            const result = await this.processFile(item.file, { path: item.path, folderCoverAssetId });
+            if (result === 'duplicate') duplicateCount++;
+            else if (result) successCount++;
+        }
+        // Si ninguna pista de la carpeta llegó a importarse (duplicadas o ilegibles), su portada sobra
+        for (const assetId of new Set(folderCovers.values())) {
+            if (!this.isAssetReferenced(assetId)) await this.deleteAsset(assetId);
         }
 
+        const importedTracks = [...this.library.values()].filter(t => !libraryBefore.has(t.id));
+        await this.updateAlbumReplayGain(importedTracks);
+        if (lyricItems.length > 0) await this.importLyricFiles(lyricItems, importedTracks);
+        await this.refreshSmartPlaylists();
         await this.updateLibraryDisplay();
-        this.showToast(`${successCount} de ${validFiles.length} archivos importados`, 'success');
+        const duplicateNote = duplicateCount > 0 ? ` (${duplicateCount} duplicados omitidos)` : '';
+        this.showToast(`${successCount} de ${validItems.length} archivos importados${duplicateNote}`, 'success');
+    }
+
+    getMediaKind(file) {
+        if (file.type.startsWith('audio/')) return 'audio';
+        if (file.type.startsWith('video/')) return 'video';
+        // Algunos sistemas no informan el tipo MIME de FLAC, Opus, MKV...
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (['mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'wav', 'wma', 'aiff', 'aif', 'alac', 'weba'].includes(extension)) return 'audio';
+        if (['mp4', 'm4v', 'mkv', 'webm', 'mov', 'avi', 'ogv'].includes(extension)) return 'video';
+        return null;
+    }
+
+    getFolderPath(path) {
+        return (path || '').split('/').slice(0, -1).join('/');
     }
 
-    async processFile(file) {
+    getFolderFallback(path) {
+        const folders = this.getFolderPath(path).split('/').filter(Boolean);
+        return {
+            album: folders[folders.length - 1] || null,
+            artist: folders.length >= 2 ? folders[folders.length - 2] : null
+        };
+    }
+
+    async importFolderCovers(items, mediaItems) {
+        const covers = new Map();
+        const coverPattern = /^(cover|folder|front|album)\.(jpe?g|png|webp)$/i;
+        const mediaFolders = new Set(mediaItems.map(item => this.getFolderPath(item.path)));
+
+        for (const item of items) {
+            if (!coverPattern.test(item.file.name)) continue;
+            const folderPath = this.getFolderPath(item.path);
+            if (!mediaFolders.has(folderPath)) continue;
+            // "cover" tiene prioridad sobre "folder" y el resto
+            const existing = covers.get(folderPath);
+            if (existing && !/^cover\./i.test(item.file.name)) continue;
+
+            const assetId = existing ? existing : `cover_${this.generateId()}`;
+            await this.saveCoverAsset(assetId, item.file, item.file.name);
+            covers.set(folderPath, assetId);
+        }
+        return covers;
+    }
+
+    async processFile(file, context = {}) {
+        const folder = this.getFolderFallback(context.path);
+        const mediaKind = this.getMediaKind(file) || 'audio';
+        const contentHash = await this.computeContentHash(file);
+        const duplicate = [...this.library.values()].find(t => t.contentHash === contentHash);
+        if (duplicate && !this.shouldImportDuplicate(file, duplicate)) return 'duplicate';
+
         try {
             const metadata = await window.mmb.parseBlob(file);
             const common = metadata.common;
@@ -264,30 +736,42 @@ class FinalPlayer {
                 const picture = common.picture[0];
                 const coverBlob = new Blob([picture.data], { type: picture.format });
                 coverAssetId = `cover_${trackId}`;
-                const coverAsset = { id: coverAssetId, type: 'image', blob: coverBlob, filename: 'cover.jpg' };
-                await this.saveToStore('assets', coverAsset);
-                this.assets.set(coverAssetId, coverAsset);
+                await this.saveCoverAsset(coverAssetId, coverBlob);
             }
 
             const track = {
                 id: trackId,
                 title: common.title || file.name.replace(/\.[^/.]+$/, ""),
-                artist: common.artist || 'Artista Desconocido',
-                album: common.album || 'Álbum Desconocido',
+                artist: common.artist || common.albumartist || folder.artist || 'Artista Desconocido',
+                album: common.album || folder.album || 'Álbum Desconocido',
                 trackNumber: common.track.no || 1,
+                genre: (common.genre && common.genre[0]) || null,
+                year: common.year || null,
+                rating: 0,
                 duration: format.duration || 0,
                 fileAssetId: assetId,
-                coverAssetId: coverAssetId,
+                coverAssetId: coverAssetId || context.folderCoverAssetId || null,
+                lyrics: this.extractEmbeddedLyrics(metadata),
+                replayGain: this.readReplayGainTags(common),
+                contentHash: contentHash,
+                fileSize: file.size,
+                codec: format.codec || format.container || null,
+                bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+                sampleRate: format.sampleRate || null,
+                lossless: !!format.lossless,
                 addedAt: Date.now()
             };
 
-            const fileAsset = { id: assetId, type: file.type.startsWith('audio/') ? 'audio' : 'video', blob: file, filename: file.name };
+            const fileAsset = { id: assetId, type: mediaKind, blob: file, filename: file.name, sourcePath: context.path || file.name };
+            if (!track.replayGain) {
+                track.replayGain = await this.computeReplayGain(file, track.duration);
+            }
 
             await this.saveToStore('tracks', track);
             await this.saveToStore('assets', fileAsset);
             this.library.set(trackId, track);
             this.assets.set(assetId, fileAsset);
-            await this.updateAlbumAndArtist(track);
+            await this.updateAlbumAndArtist(track, context.folderCoverAssetId);
             return true;
 
         } catch (error) {
@@ -300,22 +784,34 @@ class FinalPlayer {
                 const track = {
                     id: trackId,
                     title: file.name.replace(/\.[^/.]+$/, ""),
-                    artist: 'Artista Desconocido',
-                    album: 'Álbum Desconocido',
+                    artist: folder.artist || 'Artista Desconocido',
+                    album: folder.album || 'Álbum Desconocido',
                     trackNumber: 1,
+                    genre: null,
+                    year: null,
+                    rating: 0,
                     duration: duration,
                     fileAssetId: assetId,
-                    coverAssetId: null,
+                    coverAssetId: context.folderCoverAssetId || null,
+                    lyrics: null,
+                    replayGain: null,
+                    contentHash: contentHash,
+                    fileSize: file.size,
+                    codec: null,
+                    bitrate: null,
+                    sampleRate: null,
+                    lossless: false,
                     addedAt: Date.now()
                 };
 
-                const fileAsset = { id: assetId, type: file.type.startsWith('audio/') ? 'audio' : 'video', blob: file, filename: file.name };
+                const fileAsset = { id: assetId, type: mediaKind, blob: file, filename: file.name, sourcePath: context.path || file.name };
+                track.replayGain = await this.computeReplayGain(file, track.duration);
                 
                 await this.saveToStore('tracks', track);
                 await this.saveToStore('assets', fileAsset);
                 this.library.set(trackId, track);
                 this.assets.set(assetId, fileAsset);
-                await this.updateAlbumAndArtist(track);
+                await this.updateAlbumAndArtist(track, context.folderCoverAssetId);
                 return true;
             } catch (fallbackError) {
                 console.error(`Fallo del fallback de importación para ${file.name}:`, fallbackError);
@@ -325,6 +821,37 @@ class FinalPlayer {
         }
     }
 
+    async computeContentHash(blob) {
+        const limit = 256 * 1024 * 1024;
+        let data;
+        if (blob.size <= limit) {
+            data = await blob.arrayBuffer();
+        } else {
+            // Los vídeos muy grandes se resumen con el tamaño y tres muestras para no cargarlos enteros en memoria
+            const chunk = 4 * 1024 * 1024;
+            const middle = Math.floor(blob.size / 2);
+            data = await new Blob([
+                String(blob.size),
+                blob.slice(0, chunk),
+                blob.slice(middle, middle + chunk),
+                blob.slice(blob.size - chunk)
+            ]).arrayBuffer();
+        }
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    shouldImportDuplicate(file, existingTrack) {
+        switch (this.settings.library.duplicateHandling) {
+            case 'import':
+                return true;
+            case 'ask':
+                return confirm(`"${file.name}" ya está en la biblioteca como "${existingTrack.title}" de ${existingTrack.artist}. ¿Importarlo de todos modos?`);
+            default:
+                return false;
+        }
+    }
+
     getMediaDuration(file) {
         return new Promise((resolve, reject) => {
             const url = URL.createObjectURL(file);
@@ -341,7 +868,12 @@ class FinalPlayer {
         });
     }
     
-    async updateAlbumAndArtist(track) {
+    isUserAlbumCover(album) {
+        // Las portadas elegidas antes de existir coverSource se guardaban como cover_<id del álbum>
+        return album.coverSource === 'user' || (!!album.coverAssetId && album.coverAssetId === `cover_${album.id}`);
+    }
+
+    async updateAlbumAndArtist(track, folderCoverAssetId = null) {
         const albumKey = `${track.album}|${track.artist}`.toLowerCase();
         let album = [...this.albums.values()].find(a => `${a.name}|${a.artist}`.toLowerCase() === albumKey);
 
@@ -361,9 +893,18 @@ class FinalPlayer {
                 album.coverAssetId = track.coverAssetId;
             }
         }
+        // La imagen de la carpeta (cover.jpg, folder.png...) sustituye a la portada incrustada de una pista,
+        // pero no a la elegida en el editor ni a otra imagen de carpeta ya asignada
+        const embeddedCover = !album.coverAssetId || album.trackIds
+            .some(id => (this.library.get(id) || (id === track.id && track))?.coverAssetId === album.coverAssetId);
+        if (folderCoverAssetId && !album.coverSource && embeddedCover && !this.isUserAlbumCover(album)) {
+            album.coverAssetId = folderCoverAssetId;
+            album.coverSource = 'folder';
+        }
         
         this.albums.set(album.id, album);
         await this.saveToStore('albums', album);
+        return album;
     }
     
     // ===================================
@@ -378,10 +919,11 @@ class FinalPlayer {
         if (trackId) {
             const track = this.library.get(trackId);
             if (!track) return;
+            await this.saveResumePosition();
             this.currentTrackId = trackId;
             await this.loadTrack(track, true);
         } else if (this.currentTrackId) {
-            const audioElement = document.getElementById('audioElement');
+            const audioElement = this.getMediaElement();
             try {
                 await audioElement.play();
                 this.isPlaying = true;
@@ -398,8 +940,12 @@ class FinalPlayer {
     }
 
     pause() {
-        const audioElement = document.getElementById('audioElement');
-        audioElement.pause();
+        this.decks.forEach(deck => deck.element.pause());
+        this.saveResumePosition();
+        if (this.pendingTransition && !this.pendingTransition.started) {
+            clearTimeout(this.pendingTransition.timeoutId);
+            this.pendingTransition.timeoutId = null;
+        }
         this.isPlaying = false;
         this.updatePlayButton();
         this.stopVisualizer();
@@ -407,21 +953,39 @@ class FinalPlayer {
     }
 
     async loadTrack(track, shouldPlay = true) {
+        await this.finishPlaySession(false);
         this.currentTrackId = track.id;
+        this.currentRemovedFromQueue = false;
         const asset = this.assets.get(track.fileAssetId);
         if (!asset) {
             this.showToast('Archivo de audio no encontrado', 'error');
             return;
         }
 
+        this.cancelPendingTransition();
+        this.activeDeck = this.getDeckIndexForAsset(asset);
+        this.decks.forEach((deck, index) => {
+            if (index !== this.activeDeck) this.releaseDeck(deck);
+        });
+
         const url = URL.createObjectURL(asset.blob);
-        const audioElement = document.getElementById('audioElement');
+        const audioElement = this.getMediaElement();
         if (audioElement.src) {
             URL.revokeObjectURL(audioElement.src);
         }
         audioElement.src = url;
+        this.applyPlaybackRate(audioElement, this.getTrackSpeed(track));
+        this.clearAbLoop();
+        this.resetDeckGain(this.decks[this.activeDeck]);
+        this.applyNormalization(this.decks[this.activeDeck], track);
+        this.applyEQProfileForTrack(track);
+        this.updateVideoView();
+        if (asset.type === 'video' && shouldPlay) {
+            this.switchView('video');
+        }
         
         audioElement.onloadedmetadata = async () => {
+             this.applyStartPosition(track, audioElement);
              this.updatePlayerDisplay(track);
              this.updateMediaSessionMetadata(track);
              if (shouldPlay) {
@@ -431,6 +995,7 @@ class FinalPlayer {
         
         this.settings.lastTrackId = track.id;
         await this.saveSettings();
+        this.schedulePlaybackStateSave();
     }
     
     async playNext() {
@@ -465,6 +1030,7 @@ class FinalPlayer {
         
         this.play(trackToPlayId);
         this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
     }
     
     generateShuffledQueue() {
@@ -474,6 +1040,478 @@ class FinalPlayer {
             .map(({ value }) => value);
     }
 
+    // ===================================
+    // GAPLESS & CROSSFADE
+    // ===================================
+
+    getNextQueueIndex() {
+        if (this.queue.length === 0 || this.repeat === 'one') return -1;
+        if (this.currentIndex === this.queue.length - 1 && this.repeat !== 'all') return -1;
+        return (this.currentIndex + 1) % this.queue.length;
+    }
+
+    checkTransition() {
+        const { mode, crossfadeDuration } = this.settings.transition;
+        if (mode === 'off' || !this.audioContext) return;
+
+        const element = this.getMediaElement();
+        if (!element.duration || isNaN(element.duration) || element.paused) return;
+
+        const nextIndex = this.getNextQueueIndex();
+        const queueToUse = this.shuffle ? this.shuffledQueue : this.queue;
+        // Con un bucle A–B activo la pista no termina, así que no se prepara la siguiente
+        const nextTrackId = nextIndex !== -1 && this.abLoop.end === null ? queueToUse[nextIndex] : null;
+        const pending = this.pendingTransition;
+
+        if (pending && !pending.started && (pending.trackId !== nextTrackId || pending.index !== nextIndex)) {
+            this.cancelPendingTransition();
+        }
+        if (!nextTrackId) return;
+
+        const fadeDuration = mode === 'crossfade' ? Math.min(crossfadeDuration, element.duration / 2) : 0;
+        const remaining = (element.duration - element.currentTime) / (element.playbackRate || 1);
+
+        if (!this.pendingTransition && remaining <= fadeDuration + 10) {
+            this.prepareTransition(nextIndex, nextTrackId);
+        }
+
+        const transition = this.pendingTransition;
+        if (transition && transition.timeoutId && remaining > fadeDuration + 1.5) {
+            clearTimeout(transition.timeoutId);
+            transition.timeoutId = null;
+        }
+        if (transition && transition.ready && !transition.timeoutId && remaining <= fadeDuration + 1) {
+            // El instante del cambio se fija en el reloj de audio; el temporizador solo despierta antes de él
+            transition.switchAt = this.audioContext.currentTime + Math.max(0, remaining - fadeDuration);
+            transition.fadeDuration = fadeDuration;
+            const delay = Math.max(0, (transition.switchAt - this.audioContext.currentTime) * 1000);
+            transition.timeoutId = setTimeout(() => this.startTransition(), delay);
+        }
+    }
+
+    prepareTransition(index, trackId) {
+        const track = this.library.get(trackId);
+        const asset = track && this.assets.get(track.fileAssetId);
+        if (!asset || asset.type !== 'audio') return;
+
+        const deckIndex = this.activeDeck === 0 ? 1 : 0;
+        const deck = this.decks[deckIndex];
+        const url = URL.createObjectURL(asset.blob);
+        const transition = { index, trackId, deckIndex, ready: false, started: false, timeoutId: null };
+        this.pendingTransition = transition;
+
+        deck.element.preload = 'auto';
+        deck.element.src = url;
+        this.applyNormalization(deck, track);
+        deck.fadeGain.gain.cancelScheduledValues(this.audioContext.currentTime);
+        deck.fadeGain.gain.setValueAtTime(0, this.audioContext.currentTime);
+        deck.element.oncanplaythrough = () => {
+            deck.element.oncanplaythrough = null;
+            if (this.pendingTransition === transition) transition.ready = true;
+        };
+        deck.element.load();
+    }
+
+    cancelPendingTransition() {
+        const transition = this.pendingTransition;
+        if (!transition) return;
+        clearTimeout(transition.timeoutId);
+        this.pendingTransition = null;
+        if (!transition.started) this.releaseDeck(this.decks[transition.deckIndex]);
+    }
+
+    async startTransition() {
+        const transition = this.pendingTransition;
+        if (!transition || transition.started) return;
+        clearTimeout(transition.timeoutId);
+        transition.started = true;
+
+        const track = this.library.get(transition.trackId);
+        const outgoing = this.decks[this.activeDeck];
+        const incoming = this.decks[transition.deckIndex];
+        const fadeDuration = transition.fadeDuration || 0;
+        const now = this.audioContext.currentTime;
+        const at = Math.max(now, transition.switchAt || now);
+
+        incoming.fadeGain.gain.cancelScheduledValues(now);
+        outgoing.fadeGain.gain.cancelScheduledValues(now);
+        if (at > now) incoming.fadeGain.gain.setValueAtTime(0, now);
+        if (fadeDuration > 0) {
+            const steps = 64;
+            const fadeIn = new Float32Array(steps);
+            const fadeOut = new Float32Array(steps);
+            for (let i = 0; i < steps; i++) {
+                const position = (i / (steps - 1)) * (Math.PI / 2);
+                fadeIn[i] = Math.sin(position);
+                fadeOut[i] = Math.cos(position);
+            }
+            incoming.fadeGain.gain.setValueCurveAtTime(fadeIn, at, fadeDuration);
+            outgoing.fadeGain.gain.setValueCurveAtTime(fadeOut, at, fadeDuration);
+        } else {
+            // Sin fundido: la entrante suena y la saliente se silencia en el mismo instante
+            incoming.fadeGain.gain.setValueAtTime(1, at);
+            outgoing.fadeGain.gain.setValueAtTime(0, at);
+        }
+
+        // Los guardados en IndexedDB no deben retrasar el arranque de la siguiente pista
+        const saved = Promise.all([this.finishPlaySession(true), this.saveResumePosition(true)]);
+        this.applyPlaybackRate(incoming.element, this.getTrackSpeed(track));
+        incoming.element.currentTime = 0;
+        // Igual que en loadTrack: posición guardada de contenidos largos o marcador pendiente
+        this.applyStartPosition(track, incoming.element);
+        try {
+            await incoming.element.play();
+        } catch (err) {
+            console.error("Error en la transición:", err);
+            await saved;
+            this.pendingTransition = null;
+            this.releaseDeck(incoming);
+            this.resetDeckGain(outgoing);
+            this.playNext();
+            return;
+        }
+        await saved;
+
+        this.activeDeck = transition.deckIndex;
+        this.currentIndex = transition.index;
+        this.currentTrackId = transition.trackId;
+        this.currentRemovedFromQueue = false;
+        this.pendingTransition = null;
+        this.applyEQProfileForTrack(track, true);
+        // Un punto A sin B no detiene la transición, pero pertenece a la pista anterior
+        this.clearAbLoop();
+
+        setTimeout(() => {
+            if (this.decks[this.activeDeck] !== outgoing) this.releaseDeck(outgoing);
+        }, (at - this.audioContext.currentTime + fadeDuration) * 1000 + 100);
+
+        this.updatePlayerDisplay(track);
+        this.updateMediaSessionMetadata(track);
+        this.updateQueueDisplay();
+        this.updateVideoView();
+        this.settings.lastTrackId = track.id;
+        await this.saveSettings();
+    }
+
+    releaseDeck(deck) {
+        deck.element.oncanplaythrough = null;
+        deck.element.pause();
+        if (deck.element.src) {
+            URL.revokeObjectURL(deck.element.src);
+            deck.element.removeAttribute('src');
+            deck.element.load();
+        }
+        this.resetDeckGain(deck);
+    }
+
+    resetDeckGain(deck) {
+        if (!deck || !this.audioContext) return;
+        deck.fadeGain.gain.cancelScheduledValues(this.audioContext.currentTime);
+        deck.fadeGain.gain.setValueAtTime(1, this.audioContext.currentTime);
+    }
+
+    // ===================================
+    // LOUDNESS NORMALIZATION
+    // ===================================
+
+    readReplayGainTags(common) {
+        const toDb = (value) => {
+            if (value === undefined || value === null) return null;
+            if (typeof value === 'number') return value;
+            if (typeof value.dB === 'number') return value.dB;
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        };
+        const toRatio = (value) => {
+            if (value === undefined || value === null) return null;
+            if (typeof value === 'number') return value;
+            if (typeof value.ratio === 'number') return value.ratio;
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        };
+
+        const trackGain = toDb(common.replaygain_track_gain);
+        if (trackGain === null) return null;
+
+        return {
+            trackGain,
+            trackPeak: toRatio(common.replaygain_track_peak),
+            albumGain: toDb(common.replaygain_album_gain),
+            albumPeak: toRatio(common.replaygain_album_peak),
+            loudness: null,
+            source: 'tags'
+        };
+    }
+
+    async computeReplayGain(blob, duration, attempts = 0) {
+        // Las pistas muy largas se omiten: decodificarlas enteras agotaría la memoria
+        if (duration > 30 * 60) return { trackGain: null, trackPeak: null, albumGain: null, albumPeak: null, loudness: null, source: 'unavailable' };
+        try {
+            // Más allá de 10 minutos se analiza a media frecuencia para limitar la memoria del búfer decodificado
+            const { loudness, peak } = await this.analyzeLoudness(blob, duration > 10 * 60 ? 22050 : 44100);
+            return {
+                trackGain: -18 - loudness,
+                trackPeak: peak,
+                albumGain: null,
+                albumPeak: null,
+                loudness,
+                source: 'analysis'
+            };
+        } catch (error) {
+            console.warn('No se pudo analizar la sonoridad:', error);
+            return { trackGain: null, trackPeak: null, albumGain: null, albumPeak: null, loudness: null, source: 'unavailable', attempts: attempts + 1 };
+        }
+    }
+
+    // Sonoridad integrada según EBU R128 / ITU-R BS.1770 (ponderación K y doble compuerta)
+    async analyzeLoudness(blob, sampleRate = 44100) {
+        // La ponderación K se aplica sobre el propio búfer decodificado, sin renderizar una segunda copia
+        const decodeContext = new OfflineAudioContext(2, 1, sampleRate);
+        const decoded = await decodeContext.decodeAudioData(await blob.arrayBuffer());
+        const [shelf, highpass] = this.getKWeightingCoefficients(decoded.sampleRate);
+
+        let peak = 0;
+        const subBlockSize = Math.round(decoded.sampleRate * 0.1);
+        const subBlockCount = Math.floor(decoded.length / subBlockSize);
+        const subBlockPower = new Float64Array(subBlockCount);
+        for (let ch = 0; ch < decoded.numberOfChannels; ch++) {
+            const data = decoded.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) {
+                const sample = Math.abs(data[i]);
+                if (sample > peak) peak = sample;
+            }
+            this.applyBiquad(data, shelf);
+            this.applyBiquad(data, highpass);
+            for (let b = 0; b < subBlockCount; b++) {
+                let sum = 0;
+                const start = b * subBlockSize;
+                for (let i = start; i < start + subBlockSize; i++) sum += data[i] * data[i];
+                subBlockPower[b] += sum / subBlockSize;
+            }
+        }
+
+        // Bloques de 400 ms con solapamiento del 75%
+        const blocks = [];
+        for (let b = 0; b + 3 < subBlockCount; b++) {
+            blocks.push((subBlockPower[b] + subBlockPower[b + 1] + subBlockPower[b + 2] + subBlockPower[b + 3]) / 4);
+        }
+
+        const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        const absoluteGated = blocks.filter(p => p > 0 && toLufs(p) > -70);
+        if (absoluteGated.length === 0) return { loudness: -70, peak };
+        const relativeThreshold = toLufs(mean(absoluteGated)) - 10;
+        const relativeGated = absoluteGated.filter(p => toLufs(p) > relativeThreshold);
+
+        return { loudness: toLufs(mean(relativeGated)), peak };
+    }
+
+    getKWeightingCoefficients(sampleRate) {
+        // Filtros de ITU-R BS.1770 recalculados para cualquier frecuencia de muestreo (como libebur128):
+        // estante de +4 dB y pasa-altos RLB con Q lineal de ~0,5
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = [
+            (Vh + Vb * K / Q + K * K) / a0,
+            2 * (K * K - Vh) / a0,
+            (Vh - Vb * K / Q + K * K) / a0,
+            2 * (K * K - 1) / a0,
+            (1 - K / Q + K * K) / a0
+        ];
+
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highpass = [1, -2, 1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0];
+        return [shelf, highpass];
+    }
+
+    applyBiquad(data, [b0, b1, b2, a1, a2]) {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        for (let i = 0; i < data.length; i++) {
+            const x = data[i];
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1;
+            x1 = x;
+            y2 = y1;
+            y1 = y;
+            data[i] = y;
+        }
+    }
+
+    async updateAlbumReplayGain(tracks) {
+        const albumKeys = new Set(tracks.map(t => `${t.album}|${t.artist}`.toLowerCase()));
+
+        for (const album of this.albums.values()) {
+            if (!albumKeys.has(`${album.name}|${album.artist}`.toLowerCase())) continue;
+
+            const analyzed = album.trackIds
+                .map(id => this.library.get(id))
+                .filter(t => t && t.replayGain && t.replayGain.source === 'analysis');
+            if (analyzed.length === 0) continue;
+
+            let energy = 0;
+            let totalDuration = 0;
+            let albumPeak = 0;
+            analyzed.forEach(t => {
+                const weight = t.duration || 1;
+                energy += weight * Math.pow(10, t.replayGain.loudness / 10);
+                totalDuration += weight;
+                albumPeak = Math.max(albumPeak, t.replayGain.trackPeak || 0);
+            });
+            const albumGain = -18 - 10 * Math.log10(energy / totalDuration);
+
+            for (const t of analyzed) {
+                t.replayGain.albumGain = albumGain;
+                t.replayGain.albumPeak = albumPeak;
+                await this.saveToStore('tracks', t);
+            }
+        }
+    }
+
+    async scanLibraryLoudness(notifyIfEmpty = false) {
+        if (this.loudnessScanRunning) return;
+        // Si la decodificación falló se reintenta en los siguientes escaneos, hasta tres veces
+        const pending = [...this.library.values()].filter(t => !t.replayGain || (t.replayGain.source === 'unavailable'
+            && t.duration <= 30 * 60 && (t.replayGain.attempts || 0) < 3));
+        if (pending.length === 0) {
+            if (notifyIfEmpty) this.showToast('Todas las pistas ya tienen datos de volumen', 'info');
+            return;
+        }
+
+        this.loudnessScanRunning = true;
+        this.showToast(`Analizando volumen de ${pending.length} pistas...`, 'info');
+        try {
+            for (const track of pending) {
+                const asset = this.assets.get(track.fileAssetId);
+                if (!asset || !this.library.has(track.id)) continue;
+                track.replayGain = await this.computeReplayGain(asset.blob, track.duration, track.replayGain?.attempts || 0);
+                await this.saveToStore('tracks', track);
+                if (this.currentTrackId === track.id) {
+                    this.applyNormalization(this.decks[this.activeDeck], track);
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            await this.updateAlbumReplayGain(pending);
+            this.showToast('Análisis de volumen completado', 'success');
+        } finally {
+            this.loudnessScanRunning = false;
+        }
+    }
+
+    getNormalizationGain(track) {
+        const { mode, preamp } = this.settings.normalization;
+        const rg = track && track.replayGain;
+        if (mode === 'off' || !rg || rg.trackGain === null) return 1;
+
+        const useAlbum = mode === 'album' && rg.albumGain !== null;
+        const gainDb = (useAlbum ? rg.albumGain : rg.trackGain) + preamp;
+        const peak = (useAlbum ? rg.albumPeak : rg.trackPeak) || 0;
+
+        let gain = Math.pow(10, gainDb / 20);
+        // Evita el recorte: nunca amplificar el pico por encima de 0 dBFS
+        if (peak > 0) gain = Math.min(gain, 1 / peak);
+        return gain;
+    }
+
+    applyNormalization(deck, track) {
+        if (!deck || !this.audioContext) return;
+        deck.trackId = track ? track.id : null;
+        const profile = track ? this.findEQProfile(track) : null;
+        const profileGain = profile ? Math.pow(10, (profile.profile.gain || 0) / 20) : 1;
+        deck.normGain.gain.setTargetAtTime(this.getNormalizationGain(track) * profileGain, this.audioContext.currentTime, 0.05);
+    }
+
+    refreshNormalization() {
+        this.decks.forEach(deck => {
+            if (deck.trackId) this.applyNormalization(deck, this.library.get(deck.trackId));
+        });
+    }
+
+    setupPlaybackSettingsEvents() {
+        const modeSelect = document.getElementById('transitionMode');
+        const durationSlider = document.getElementById('crossfadeDuration');
+        const durationControl = document.getElementById('crossfadeDurationControl');
+
+        const syncControls = () => {
+            modeSelect.value = this.settings.transition.mode;
+            durationSlider.value = this.settings.transition.crossfadeDuration;
+            durationSlider.nextElementSibling.textContent = `${this.settings.transition.crossfadeDuration}s`;
+            durationControl.classList.toggle('hidden', this.settings.transition.mode !== 'crossfade');
+        };
+        syncControls();
+
+        modeSelect.addEventListener('change', e => {
+            this.settings.transition.mode = e.target.value;
+            this.cancelPendingTransition();
+            syncControls();
+            this.saveSettings();
+        });
+
+        durationSlider.addEventListener('input', e => {
+            this.settings.transition.crossfadeDuration = parseInt(e.target.value, 10);
+            syncControls();
+        });
+        durationSlider.addEventListener('change', () => {
+            this.cancelPendingTransition();
+            this.saveSettings();
+        });
+
+        const normalizationSelect = document.getElementById('normalizationMode');
+        const preampSlider = document.getElementById('normalizationPreamp');
+        const scanSelect = document.getElementById('loudnessScanMode');
+        const syncNormalization = () => {
+            normalizationSelect.value = this.settings.normalization.mode;
+            preampSlider.value = this.settings.normalization.preamp;
+            preampSlider.nextElementSibling.textContent = `${this.settings.normalization.preamp > 0 ? '+' : ''}${this.settings.normalization.preamp} dB`;
+            scanSelect.value = this.settings.normalization.scanOnStartup ? 'on' : 'off';
+        };
+        syncNormalization();
+
+        normalizationSelect.addEventListener('change', e => {
+            this.settings.normalization.mode = e.target.value;
+            this.refreshNormalization();
+            this.saveSettings();
+        });
+        preampSlider.addEventListener('input', e => {
+            this.settings.normalization.preamp = parseFloat(e.target.value);
+            syncNormalization();
+            this.refreshNormalization();
+        });
+        preampSlider.addEventListener('change', () => this.saveSettings());
+        scanSelect.addEventListener('change', e => {
+            this.settings.normalization.scanOnStartup = e.target.value === 'on';
+            this.saveSettings();
+        });
+        document.getElementById('rescanLoudnessBtn').addEventListener('click', () => this.scanLibraryLoudness(true));
+
+        const resumeSelect = document.getElementById('resumeMode');
+        const thresholdSlider = document.getElementById('resumeThreshold');
+        const syncResume = () => {
+            resumeSelect.value = this.settings.resume.enabled ? 'on' : 'off';
+            thresholdSlider.value = this.settings.resume.threshold;
+            thresholdSlider.nextElementSibling.textContent = `${this.settings.resume.threshold} min`;
+        };
+        syncResume();
+
+        resumeSelect.addEventListener('change', e => {
+            this.settings.resume.enabled = e.target.value === 'on';
+            this.saveSettings();
+        });
+        thresholdSlider.addEventListener('input', e => {
+            this.settings.resume.threshold = parseInt(e.target.value, 10);
+            syncResume();
+        });
+        thresholdSlider.addEventListener('change', () => {
+            this.updatePlayerDisplay(this.library.get(this.currentTrackId));
+            this.saveSettings();
+        });
+    }
+
     setVolume(volume, isMuteToggle = false) {
         if(this.gainNode) {
             this.gainNode.gain.value = volume;
@@ -498,21 +1536,179 @@ class FinalPlayer {
     }
 
     seek(percentage) {
-        const audioElement = document.getElementById('audioElement');
+        const audioElement = this.getMediaElement();
         if (audioElement && !isNaN(audioElement.duration)) {
             audioElement.currentTime = (percentage / 100) * audioElement.duration;
         }
     }
     
     // ===================================
-    // UI MANAGEMENT
+    // RESUME & BOOKMARKS
     // ===================================
-    
-    setupUI() {
-        this.resizeCanvases();
-        window.addEventListener('resize', () => this.resizeCanvases());
+
+    setupBookmarkEvents() {
+        document.getElementById('skipBackBtn').addEventListener('click', () => this.skipBy(-15));
+        document.getElementById('skipForwardBtn').addEventListener('click', () => this.skipBy(30));
+        document.getElementById('addBookmarkBtn').addEventListener('click', () => this.addBookmark());
+        document.getElementById('closeBookmarksBtn').addEventListener('click', () => this.hidePanel('bookmarksPanel'));
+        document.getElementById('bookmarksList').addEventListener('click', e => {
+            const item = e.target.closest('.bookmark-item');
+            if (!item) return;
+            const { trackId, bookmarkId } = item.dataset;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'rename') this.renameBookmark(trackId, bookmarkId);
+            else if (action === 'delete') this.deleteBookmark(trackId, bookmarkId);
+            else this.playBookmark(trackId, bookmarkId);
+        });
     }
-    
+
+    isLongForm(track) {
+        return !!track && track.duration >= this.settings.resume.threshold * 60;
+    }
+
+    async saveResumePosition(completed = false) {
+        const track = this.library.get(this.currentTrackId);
+        if (!this.settings.resume.enabled || !this.isLongForm(track)) return;
+        const element = this.getMediaElement();
+        if (!element.duration) return;
+
+        this.resumeSavedAt = Date.now();
+        // En los últimos segundos se da por terminada y la próxima vez empieza desde el principio
+        const position = completed || element.duration - element.currentTime < 15 ? 0 : Math.floor(element.currentTime);
+        if ((track.resumePosition || 0) === position) return;
+        track.resumePosition = position;
+        await this.saveToStore('tracks', track);
+    }
+
+    applyStartPosition(track, element) {
+        if (this.pendingSeek !== null) {
+            element.currentTime = this.pendingSeek;
+            this.pendingSeek = null;
+        } else if (this.settings.resume.enabled && this.isLongForm(track) && track.resumePosition > 0) {
+            element.currentTime = track.resumePosition;
+            this.showToast(`Reanudando desde ${this.formatTime(track.resumePosition)}`, 'info');
+        }
+    }
+
+    skipBy(seconds) {
+        const element = this.getMediaElement();
+        if (!element.duration) return;
+        element.currentTime = Math.max(0, Math.min(element.duration, element.currentTime + seconds));
+        this.updateProgressBar();
+    }
+
+    async addBookmark() {
+        const track = this.library.get(this.currentTrackId);
+        if (!track) {
+            this.showToast('No hay ninguna pista en reproducción', 'info');
+            return;
+        }
+        const time = Math.floor(this.getMediaElement().currentTime || 0);
+        const name = prompt('Nombre del marcador:', `Marcador ${this.formatTime(time)}`);
+        if (name === null) return;
+
+        track.bookmarks = [...(track.bookmarks || []), {
+            id: this.generateId(),
+            name: name.trim() || `Marcador ${this.formatTime(time)}`,
+            time,
+            createdAt: Date.now()
+        }].sort((a, b) => a.time - b.time);
+        await this.saveToStore('tracks', track);
+        this.updateBookmarksDisplay();
+        this.showToast('Marcador añadido', 'success');
+    }
+
+    findBookmark(trackId, bookmarkId) {
+        const track = this.library.get(trackId);
+        const bookmark = track && (track.bookmarks || []).find(b => b.id === bookmarkId);
+        return bookmark ? { track, bookmark } : null;
+    }
+
+    async playBookmark(trackId, bookmarkId) {
+        const found = this.findBookmark(trackId, bookmarkId);
+        if (!found) return;
+
+        if (trackId === this.currentTrackId) {
+            this.getMediaElement().currentTime = found.bookmark.time;
+            this.updateProgressBar();
+            if (!this.isPlaying) await this.play();
+            return;
+        }
+
+        let index = this.getActiveQueue().indexOf(trackId);
+        if (index === -1) {
+            this.enqueueTracks([trackId], true);
+            index = this.currentIndex + 1;
+        }
+        this.currentIndex = index;
+        this.pendingSeek = found.bookmark.time;
+        await this.play(trackId);
+    }
+
+    async renameBookmark(trackId, bookmarkId) {
+        const found = this.findBookmark(trackId, bookmarkId);
+        if (!found) return;
+        const name = prompt('Nombre del marcador:', found.bookmark.name);
+        if (!name || name.trim() === '') return;
+        found.bookmark.name = name.trim();
+        await this.saveToStore('tracks', found.track);
+        this.updateBookmarksDisplay();
+    }
+
+    async deleteBookmark(trackId, bookmarkId) {
+        const found = this.findBookmark(trackId, bookmarkId);
+        if (!found) return;
+        found.track.bookmarks = found.track.bookmarks.filter(b => b.id !== bookmarkId);
+        await this.saveToStore('tracks', found.track);
+        this.updateBookmarksDisplay();
+    }
+
+    updateBookmarksDisplay() {
+        const listEl = document.getElementById('bookmarksList');
+        listEl.innerHTML = '';
+
+        // La pista actual va primero; después el resto de pistas con marcadores
+        const tracks = [...this.library.values()]
+            .filter(track => track.bookmarks && track.bookmarks.length > 0)
+            .sort((a, b) => (b.id === this.currentTrackId) - (a.id === this.currentTrackId) || a.title.localeCompare(b.title));
+
+        if (tracks.length === 0) {
+            listEl.innerHTML = '<p class="bookmarks-empty">No hay marcadores. Añade uno desde el reproductor.</p>';
+            return;
+        }
+
+        tracks.forEach(track => {
+            const group = document.createElement('div');
+            group.className = 'bookmark-group';
+            group.classList.toggle('current', track.id === this.currentTrackId);
+            group.innerHTML = `<div class="bookmark-group-title">${track.title} <span>${track.artist}</span></div>`;
+            track.bookmarks.forEach(bookmark => {
+                const item = document.createElement('div');
+                item.className = 'bookmark-item';
+                item.dataset.trackId = track.id;
+                item.dataset.bookmarkId = bookmark.id;
+                item.innerHTML = `
+                    <span class="bookmark-time">${this.formatTime(bookmark.time)}</span>
+                    <span class="bookmark-name"></span>
+                    <button class="bookmark-btn" data-action="rename" title="Renombrar">✎</button>
+                    <button class="bookmark-btn" data-action="delete" title="Eliminar">×</button>
+                `;
+                item.querySelector('.bookmark-name').textContent = bookmark.name;
+                group.appendChild(item);
+            });
+            listEl.appendChild(group);
+        });
+    }
+
+    // ===================================
+    // UI MANAGEMENT
+    // ===================================
+    
+    setupUI() {
+        this.resizeCanvases();
+        window.addEventListener('resize', () => this.resizeCanvases());
+    }
+    
     resizeCanvases() {
         document.querySelectorAll('canvas').forEach(canvas => {
             const rect = canvas.getBoundingClientRect();
@@ -532,13 +1728,16 @@ class FinalPlayer {
 
         document.getElementById('trackTitle').textContent = track.title;
         document.getElementById('trackArtist').textContent = track.artist;
+        this.updateLyricsDisplay();
+        document.querySelectorAll('.skip-btn').forEach(btn => btn.classList.toggle('hidden', !this.isLongForm(track)));
+        if (!document.getElementById('bookmarksPanel').classList.contains('hidden')) this.updateBookmarksDisplay();
         document.getElementById('timeTotal').textContent = this.formatTime(track.duration);
         
         const coverImg = document.getElementById('playerCover');
         if (track.coverAssetId && this.assets.has(track.coverAssetId)) {
-            const coverAsset = this.assets.get(track.coverAssetId);
-            coverImg.src = URL.createObjectURL(coverAsset.blob);
+            coverImg.src = this.getAssetUrl(track.coverAssetId, 512, 'playerCover');
         } else {
+            this.pinAssetUrl('playerCover', null);
             coverImg.src = 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs=';
         }
     }
@@ -551,7 +1750,7 @@ class FinalPlayer {
     }
 
     updateProgressBar() {
-        const audioElement = document.getElementById('audioElement');
+        const audioElement = this.getMediaElement();
         const progress = (audioElement.currentTime / audioElement.duration) * 100 || 0;
         
         document.getElementById('progressFill').style.width = `${progress}%`;
@@ -559,32 +1758,91 @@ class FinalPlayer {
         document.getElementById('timeCurrent').textContent = this.formatTime(audioElement.currentTime);
     }
     
-    async updateLibraryDisplay(filter = '') {
-        const tracksGrid = document.getElementById('tracksGrid');
-        tracksGrid.innerHTML = '';
-        const lowerCaseFilter = filter.toLowerCase();
+    setupVirtualGrids() {
+        // La firma incluye la URL de la portada: si se revocó por el límite de la caché, el elemento se vuelve a crear
+        const trackSignature = track => `${track.title}|${track.artist}|${this.getAssetUrl(track.coverAssetId, 512)}`;
+
+        this.virtualGrids.set('tracksGrid', new VirtualGrid(document.getElementById('tracksGrid'), {
+            getKey: track => track.id,
+            getSignature: trackSignature,
+            renderItem: track => this.createTrackElement(track)
+        }));
+        this.virtualGrids.set('tracksTableBody', new VirtualGrid(document.getElementById('tracksTableBody'), {
+            getKey: track => track.id,
+            getSignature: track => this.getVisibleLibraryColumns().map(([, column]) => column.format(track)).join('|'),
+            renderItem: track => this.createTrackRow(track)
+        }));
+        this.virtualGrids.set('playlistTracksGrid', new VirtualGrid(document.getElementById('playlistTracksGrid'), {
+            getKey: (track, index) => `${this.playlistEntryIndexes[index]}:${track.id}`,
+            getSignature: trackSignature,
+            renderItem: (track, index) => this.createTrackElement(track, 'playlistTracksGrid', index)
+        }));
+        this.virtualGrids.set('albumsGrid', new VirtualGrid(document.getElementById('albumsGrid'), {
+            getKey: album => album.id,
+            getSignature: album => `${album.name}|${album.artist}|${this.getAssetUrl(album.coverAssetId, 512)}|${album.trackIds.length}`,
+            renderItem: album => this.createAlbumElement(album)
+        }));
+        this.virtualGrids.set('artistsGrid', new VirtualGrid(document.getElementById('artistsGrid'), {
+            getKey: artist => artist.name,
+            getSignature: artist => `${artist.name}|${artist.trackIds.length}|${this.getAssetUrl(artist.coverAssetId, 512)}`,
+            renderItem: artist => this.createArtistElement(artist)
+        }));
+    }
 
-        const trackIds = Array.from(this.library.keys());
-        
-        for (const trackId of trackIds) {
-            const track = this.library.get(trackId);
-            if(track.title.toLowerCase().includes(lowerCaseFilter) || 
-               track.artist.toLowerCase().includes(lowerCaseFilter) ||
-               track.album.toLowerCase().includes(lowerCaseFilter)) {
-                const trackElement = await this.createTrackElement(track);
-                tracksGrid.appendChild(trackElement);
-            }
+    async updateLibraryDisplay(filter = this.libraryFilter) {
+        this.libraryFilter = filter;
+        const searchResults = document.getElementById('searchResults');
+        let tracks;
+
+        if (!filter.trim()) {
+            searchResults.classList.add('hidden');
+            tracks = [...this.library.values()];
+        } else {
+            const results = this.searchLibrary(filter);
+            searchResults.classList.remove('hidden');
+            await this.renderSearchGroup('searchAlbums', results.albums, album => this.createAlbumElement(album));
+            await this.renderSearchGroup('searchArtists', results.artists, artist => this.createArtistElement(artist));
+            await this.renderSearchGroup('searchPlaylists', results.playlists, playlist => this.createPlaylistElement(playlist));
+            document.getElementById('searchTracksTitle').textContent = `Canciones (${results.tracks.length})`;
+            tracks = results.tracks;
+        }
+
+        tracks = this.sortLibraryTracks(tracks);
+        this.libraryTrackIds = tracks.map(track => track.id);
+
+        const tableMode = this.settings.libraryView.mode === 'table';
+        document.getElementById('tracksGrid').classList.toggle('hidden', tableMode);
+        document.getElementById('tracksTable').classList.toggle('hidden', !tableMode);
+        document.getElementById('tableColumnsBtn').classList.toggle('hidden', !tableMode);
+        if (tableMode) {
+            this.renderLibraryTableHeader();
+            this.virtualGrids.get('tracksTableBody').setItems(tracks);
+        } else {
+            this.virtualGrids.get('tracksGrid').setItems(tracks);
+        }
+    }
+
+    async renderSearchGroup(containerId, items, createElement) {
+        const container = document.getElementById(containerId);
+        container.closest('.search-group').classList.toggle('hidden', items.length === 0);
+        const elements = [];
+        for (const item of items.slice(0, 12)) {
+            elements.push(await createElement(item));
         }
+        container.replaceChildren(...elements);
     }
 
-    async createTrackElement(track) {
+    createTrackElement(track, gridId = 'tracksGrid', index = null) {
         const div = document.createElement('div');
         div.className = 'track-item';
         div.dataset.trackId = track.id;
+        div.draggable = true;
+        // En una playlist cada elemento es una entrada concreta (la misma canción puede repetirse)
+        const entryIndex = gridId === 'playlistTracksGrid' ? this.playlistEntryIndexes[index] : undefined;
+        if (entryIndex !== undefined) div.dataset.entryIndex = entryIndex;
+        div.classList.toggle('selected', entryIndex !== undefined ? this.selectedEntries.has(entryIndex) : this.selection.has(track.id));
         
-        const coverUrl = track.coverAssetId && this.assets.has(track.coverAssetId) 
-            ? URL.createObjectURL(this.assets.get(track.coverAssetId).blob) 
-            : '';
+        const coverUrl = this.getAssetUrl(track.coverAssetId, 512);
 
         div.innerHTML = `
             <div class="track-cover" style="background-image: url('${coverUrl}')"></div>
@@ -594,13 +1852,12 @@ class FinalPlayer {
             </div>
         `;
 
-        div.addEventListener('click', () => {
-             this.setQueueAndPlay(Array.from(this.library.keys()), track.id);
-        });
+        div.addEventListener('click', (e) => this.handleTrackClick(e, track, gridId, entryIndex));
+        div.addEventListener('dragstart', (e) => this.handleTrackDragStart(e, track, gridId, entryIndex));
 
         div.addEventListener('contextmenu', (e) => {
             e.preventDefault();
-            this.showTrackContextMenu(e, track);
+            this.showTrackContextMenu(e, track, entryIndex);
         });
 
         return div;
@@ -618,6 +1875,12 @@ class FinalPlayer {
             n.classList.toggle('active', n.dataset.view === viewName);
         });
 
+        this.clearSelection();
+        this.currentView = viewName;
+        this.currentViewData = data;
+        document.querySelectorAll('.sidebar-playlist').forEach(item => {
+            item.classList.toggle('active', viewName === 'playlistDetail' && item.dataset.playlistId === data?.playlistId);
+        });
         this.loadViewData(viewName, data);
     }
 
@@ -628,6 +1891,8 @@ class FinalPlayer {
             case 'playlistDetail': await this.updatePlaylistDetailView(data.playlistId); break;
             case 'albums': await this.updateAlbumsDisplay(); break;
             case 'artists': await this.updateArtistsDisplay(); break;
+            case 'video': this.updateVideoView(); break;
+            case 'stats': this.updateStatsDisplay(); break;
         }
     }
     
@@ -656,33 +1921,91 @@ class FinalPlayer {
         document.getElementById('volumeSlider').addEventListener('input', (e) => this.setVolume(e.target.value / 100));
 
         // Media Element Events
-        const audioElement = document.getElementById('audioElement');
-        audioElement.addEventListener('timeupdate', () => this.updateProgressBar());
-        audioElement.addEventListener('ended', this.handleTrackEnd.bind(this));
+        this.decks.forEach(deck => {
+            deck.element.addEventListener('timeupdate', () => {
+                if (deck.element !== this.getMediaElement()) return;
+                this.checkAbLoop();
+                this.updateProgressBar();
+                this.checkTransition();
+                this.highlightLyricsLine(deck.element.currentTime);
+                this.trackListening(deck.element);
+                this.schedulePlaybackStateSave(5000);
+                if (Date.now() - this.resumeSavedAt > 10000) this.saveResumePosition();
+            });
+            deck.element.addEventListener('ended', () => {
+                if (deck.element === this.getMediaElement()) this.handleTrackEnd();
+            });
+        });
+
+        // Video
+        this.setupVideoViewEvents();
+
+        // Stats
+        document.getElementById('statsPeriod').addEventListener('change', () => this.updateStatsDisplay());
+        document.getElementById('playRecentBtn').addEventListener('click', () => this.playRecentlyPlayed());
+        window.addEventListener('pagehide', () => {
+            this.finishPlaySession(false);
+            this.savePlaybackState();
+            this.saveResumePosition();
+        });
 
         // File Import
         document.getElementById('importBtn').addEventListener('click', () => document.getElementById('fileInput').click());
         document.getElementById('fileInput').addEventListener('change', (e) => this.importFiles(e.target.files));
+        document.getElementById('importFolderBtn').addEventListener('click', () => document.getElementById('folderInput').click());
+        document.getElementById('folderInput').addEventListener('change', async (e) => {
+            await this.importFiles(e.target.files);
+            e.target.value = '';
+        });
         this.setupDragAndDrop();
 
         // Search
-        document.querySelector('.search-input').addEventListener('input', (e) => this.updateLibraryDisplay(e.target.value));
+        document.querySelector('.search-input').addEventListener('input', (e) => {
+            clearTimeout(this.searchDebounceId);
+            this.searchDebounceId = setTimeout(() => this.updateLibraryDisplay(e.target.value), 200);
+        });
 
         // Panels & Modals
         this.setupPanelToggle('equalizerBtn', 'equalizerPanel', this.startEQVisualizer.bind(this), this.stopEQVisualizer.bind(this));
+        this.setupPanelToggle('effectsBtn', 'effectsPanel', this.renderRack.bind(this));
+        this.setupPanelToggle('speedBtn', 'speedPanel', this.updateSpeedDisplay.bind(this));
         this.setupPanelToggle('settingsBtn', 'themeEditor');
         this.setupPanelToggle('queueBtn', 'queuePanel', this.updateQueueDisplay.bind(this));
+        this.setupPanelToggle('lyricsBtn', 'lyricsPanel', this.updateLyricsDisplay.bind(this));
+        this.setupPanelToggle('bookmarksBtn', 'bookmarksPanel', this.updateBookmarksDisplay.bind(this));
         
         document.getElementById('closeEqBtn').addEventListener('click', () => this.hidePanel('equalizerPanel', this.stopEQVisualizer.bind(this)));
         document.getElementById('closeThemeBtn').addEventListener('click', () => this.hidePanel('themeEditor'));
         document.getElementById('closeQueueBtn').addEventListener('click', () => this.hidePanel('queuePanel'));
+        document.getElementById('closeLyricsBtn').addEventListener('click', () => this.hidePanel('lyricsPanel'));
+        document.getElementById('lyricsContent').addEventListener('click', e => {
+            const line = e.target.closest('.lyrics-line');
+            if (line && line.dataset.time) {
+                this.getMediaElement().currentTime = parseFloat(line.dataset.time);
+            }
+        });
         
         // Equalizer
         this.setupEQKnobs();
         document.getElementById('eqPresetSelect').addEventListener('change', (e) => this.applyEQPreset(e.target.value));
+        this.setupParametricEQEvents();
+        this.setupEQPresetEvents();
+        this.setupEQProfileEvents();
+        this.setupRackEvents();
+        this.setupSpeedEvents();
         
         // Theme Editor
         this.setupThemeEditorEvents();
+        this.setupPlaybackSettingsEvents();
+        this.setupBackupEvents();
+        this.setupDuplicatesEvents();
+        this.setupExportFilesEvents();
+        this.setupLibraryViewEvents();
+        this.setupSelectionEvents();
+        this.setupQueueEvents();
+        this.setupBookmarkEvents();
+        this.setupPlaylistEditingEvents();
+        this.setupShortcutEvents();
         
         // Modals
         this.setupMetadataModalEvents();
@@ -692,6 +2015,16 @@ class FinalPlayer {
         
         // Playlist button
         document.getElementById('newPlaylistBtn').addEventListener('click', () => this.createPlaylist());
+        document.getElementById('newSmartPlaylistBtn').addEventListener('click', () => this.showSmartPlaylistEditor());
+        document.getElementById('importPlaylistBtn').addEventListener('click', () => document.getElementById('playlistFileInput').click());
+        document.getElementById('playlistFileInput').addEventListener('change', async e => {
+            for (const file of Array.from(e.target.files)) await this.importPlaylistFile(file);
+            e.target.value = '';
+        });
+        document.getElementById('exportQueueBtn').addEventListener('click', (e) => this.showQueueExportMenu(e));
+        document.getElementById('closeReportBtn').addEventListener('click', () => document.getElementById('reportModal').classList.add('hidden'));
+        document.getElementById('acceptReportBtn').addEventListener('click', () => document.getElementById('reportModal').classList.add('hidden'));
+        this.setupSmartPlaylistModalEvents();
     }
     
     setupDragAndDrop() {
@@ -705,7 +2038,11 @@ class FinalPlayer {
             }, false);
         });
 
-        mainContent.addEventListener('dragenter', () => dropZone.classList.add('active'));
+        // Los arrastres internos (canciones hacia una playlist) no son importaciones
+        const isFileDrag = (e) => e.dataTransfer.types.includes('Files');
+        mainContent.addEventListener('dragenter', e => {
+            if (isFileDrag(e)) dropZone.classList.add('active');
+        });
 
         const onDragLeave = (e) => {
             if (!mainContent.contains(e.relatedTarget)) {
@@ -714,18 +2051,53 @@ class FinalPlayer {
         };
         mainContent.addEventListener('dragleave', onDragLeave);
 
-        mainContent.addEventListener('drop', e => {
+        mainContent.addEventListener('drop', async e => {
             dropZone.classList.remove('active');
-            this.importFiles(e.dataTransfer.files);
+            if (!isFileDrag(e)) return;
+            // Las entradas deben obtenerse antes de cualquier await: el DataTransfer caduca al terminar el evento
+            const entries = Array.from(e.dataTransfer.items || [])
+                .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+                .filter(Boolean);
+            if (entries.length === 0) {
+                this.importFiles(e.dataTransfer.files);
+                return;
+            }
+            this.importFiles(await this.readDroppedEntries(entries));
         });
     }
+
+    async readDroppedEntries(entries) {
+        const items = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                items.push({ file, path: entry.fullPath.replace(/^\//, '') });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                // readEntries devuelve los resultados por lotes hasta agotar el directorio
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await walk(child);
+                } while (batch.length > 0);
+            }
+        };
+        for (const entry of entries) {
+            try {
+                await walk(entry);
+            } catch (error) {
+                console.warn(`No se pudo leer ${entry.fullPath}:`, error);
+            }
+        }
+        return items;
+    }
     
     setupPanelToggle(buttonId, panelId, onShow, onHide) {
         document.getElementById(buttonId).addEventListener('click', () => {
             const panel = document.getElementById(panelId);
             const isHidden = panel.classList.contains('hidden');
             
-            ['equalizerPanel', 'themeEditor', 'queuePanel'].forEach(pId => {
+            ['equalizerPanel', 'effectsPanel', 'speedPanel', 'themeEditor', 'queuePanel', 'lyricsPanel', 'bookmarksPanel'].forEach(pId => {
                 if (pId !== panelId) this.hidePanel(pId, pId === 'equalizerPanel' ? this.stopEQVisualizer.bind(this) : null);
             });
             
@@ -817,7 +2189,7 @@ class FinalPlayer {
         document.getElementById('playlistCoverFileInput').addEventListener('change', e => {
             const file = e.target.files[0];
             if(file) {
-                document.getElementById('playlistEditCoverPreview').src = URL.createObjectURL(file);
+                this.setFilePreview(document.getElementById('playlistEditCoverPreview'), file);
             }
         });
     }
@@ -830,7 +2202,7 @@ class FinalPlayer {
         document.getElementById('uploadAlbumCoverBtn').addEventListener('click', () => document.getElementById('albumCoverFileInput').click());
         document.getElementById('albumCoverFileInput').addEventListener('change', e => {
             if (e.target.files[0]) {
-                document.getElementById('albumEditCoverPreview').src = URL.createObjectURL(e.target.files[0]);
+                this.setFilePreview(document.getElementById('albumEditCoverPreview'), e.target.files[0]);
             }
         });
     }
@@ -847,6 +2219,16 @@ class FinalPlayer {
         button.classList.toggle('active', this.shuffle);
         this.showToast(`Shuffle ${this.shuffle ? 'activado' : 'desactivado'}`, 'info');
         this.generateShuffledQueue();
+
+        // La pista actual abre el nuevo orden aleatorio para que el resto se reproduzca después
+        const shuffledIndex = this.shuffledQueue.indexOf(this.currentTrackId);
+        if (shuffledIndex > 0) {
+            this.shuffledQueue.splice(shuffledIndex, 1);
+            this.shuffledQueue.unshift(this.currentTrackId);
+        }
+        this.currentIndex = this.getActiveQueue().indexOf(this.currentTrackId);
+        this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
     }
 
     toggleRepeat(button) {
@@ -855,10 +2237,15 @@ class FinalPlayer {
         this.repeat = states[(current + 1) % states.length];
         button.classList.toggle('active', this.repeat !== 'none');
         this.showToast(`Repetir: ${this.repeat}`, 'info');
+        this.schedulePlaybackStateSave();
     }
     
     handleTrackEnd() {
-        if (this.repeat === 'one') {
+        this.finishPlaySession(true);
+        this.saveResumePosition(true);
+        if (this.pendingTransition && this.pendingTransition.ready && !this.pendingTransition.started) {
+            this.startTransition();
+        } else if (this.repeat === 'one') {
             this.seek(0);
             this.play();
         } else if (this.currentIndex === this.queue.length - 1 && this.repeat !== 'all') {
@@ -869,515 +2256,4819 @@ class FinalPlayer {
     }
     
     // ===================================
-    // THEME MANAGEMENT
+    // VIDEO VIEW
     // ===================================
-    
-    async applyTheme(fromSettings = true) {
-        if (fromSettings) {
-            document.getElementById('accentColor').value = this.settings.theme.accentColor;
-            document.getElementById('bgColor').value = this.settings.theme.bgColor;
-            document.getElementById('textColor').value = this.settings.theme.textColor;
-            document.getElementById('glassOpacity').value = this.settings.theme.glassOpacity;
-            document.getElementById('blurAmount').value = this.settings.theme.blurAmount;
-        }
 
-        const root = document.documentElement;
-        root.style.setProperty('--accent', this.settings.theme.accentColor);
-        root.style.setProperty('--bg-primary', this.settings.theme.bgColor);
-        root.style.setProperty('--text-primary', this.settings.theme.textColor);
-        root.style.setProperty('--glass-opacity', this.settings.theme.glassOpacity / 100);
-        root.style.setProperty('--blur-amount', `${this.settings.theme.blurAmount}px`);
-        
-        const hexToRgb = (hex) => {
-            const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-            return result ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}` : null;
-        };
-        const rgb = hexToRgb(this.settings.theme.accentColor);
-        if(rgb) root.style.setProperty('--accent-rgb', rgb);
+    setupVideoViewEvents() {
+        const videoElement = document.getElementById('videoElement');
+        const stage = document.getElementById('videoStage');
 
-        const bgImageEl = document.querySelector('.background-image');
-        const bgVideoEl = document.getElementById('bgVideo');
-        bgImageEl.style.display = 'none';
-        bgVideoEl.style.display = 'none';
+        videoElement.addEventListener('click', () => this.isPlaying ? this.pause() : this.play());
+        videoElement.addEventListener('dblclick', () => this.toggleVideoFullscreen());
+        document.getElementById('fullscreenBtn').addEventListener('click', () => this.toggleVideoFullscreen());
+        document.getElementById('pipBtn').addEventListener('click', () => this.toggleVideoPictureInPicture());
+        document.getElementById('attachSubtitleBtn').addEventListener('click', () => document.getElementById('subtitleFileInput').click());
+        document.getElementById('subtitleFileInput').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            if (file) await this.attachSubtitle(this.currentTrackId, file);
+            e.target.value = '';
+        });
+        document.getElementById('subtitleSelect').addEventListener('change', e => this.selectSubtitle(e.target.value));
 
-        if (this.settings.theme.backgroundType !== 'gradient' && this.settings.theme.backgroundAssetId) {
-            const asset = this.assets.get(this.settings.theme.backgroundAssetId);
-            if (asset) {
-                const url = URL.createObjectURL(asset.blob);
-                if(asset.type.startsWith('image')) {
-                    bgImageEl.style.backgroundImage = `url(${url})`;
-                    bgImageEl.style.display = 'block';
-                } else if(asset.type.startsWith('video')) {
-                    bgVideoEl.src = url;
-                    bgVideoEl.style.display = 'block';
-                    bgVideoEl.play();
-                }
-            }
-        }
+        document.getElementById('playerCover').addEventListener('click', () => {
+            const track = this.library.get(this.currentTrackId);
+            const asset = track && this.assets.get(track.fileAssetId);
+            if (asset && asset.type === 'video') this.switchView('video');
+        });
+
+        document.addEventListener('fullscreenchange', () => {
+            stage.classList.toggle('fullscreen', document.fullscreenElement === stage);
+        });
+        document.getElementById('pipBtn').classList.toggle('hidden', !document.pictureInPictureEnabled);
     }
 
-    applyThemePreset(presetName) {
-        const presets = {
-            dark: { accentColor: '#6366f1', bgColor: '#0f172a', textColor: '#ffffff' },
-            neon: { accentColor: '#34d399', bgColor: '#111827', textColor: '#f9fafb' },
-            pastel: { accentColor: '#f472b6', bgColor: '#fff1f2', textColor: '#831843' },
-            minimal: { accentColor: '#1f2937', bgColor: '#f9fafb', textColor: '#1f2937' },
-        };
-        const preset = presets[presetName];
-        if (preset) {
-            this.settings.theme = { ...this.settings.theme, ...preset };
-            this.applyTheme();
-            this.saveSettings();
-        }
+    updateVideoView() {
+        const track = this.library.get(this.currentTrackId);
+        const asset = track && this.assets.get(track.fileAssetId);
+        const isVideo = !!asset && asset.type === 'video';
+
+        document.getElementById('videoTitle').textContent = isVideo ? track.title : 'Video';
+        document.getElementById('videoElement').classList.toggle('hidden', !isVideo);
+        document.getElementById('videoPlaceholder').classList.toggle('hidden', isVideo);
+        ['subtitleSelect', 'attachSubtitleBtn', 'pipBtn', 'fullscreenBtn'].forEach(id => {
+            document.getElementById(id).disabled = !isVideo;
+        });
+
+        this.loadSubtitleTracks(isVideo ? track : null);
     }
 
-    // ===================================
-    // EQUALIZER
-    // ===================================
+    loadSubtitleTracks(track, selectedAssetId) {
+        const videoElement = document.getElementById('videoElement');
+        const select = document.getElementById('subtitleSelect');
+        const trackKey = track ? `${track.id}:${(track.subtitles || []).length}` : '';
+        if (videoElement.dataset.subtitlesFor === trackKey && !selectedAssetId) return;
+        videoElement.dataset.subtitlesFor = trackKey;
 
-    setupEQKnobs() {
-        const knobs = document.querySelectorAll('.eq-knob');
-        knobs.forEach((knob, index) => {
-            let isDragging = false;
-            let startAngle = 0;
-            let currentAngle = 0;
-            const valueDisplay = knob.parentElement.querySelector('.eq-value');
+        videoElement.querySelectorAll('track').forEach(el => {
+            URL.revokeObjectURL(el.src);
+            el.remove();
+        });
+        select.innerHTML = '<option value="">Sin subtítulos</option>';
+        if (!track) return;
 
-            const gainToAngle = (gain) => (gain + 12) / 24 * 270 - 135;
-            const angleToGain = (angle) => ((angle + 135) / 270) * 24 - 12;
-            
-            const initialGain = this.settings.customEq[index] || 0;
-            currentAngle = gainToAngle(initialGain);
-            knob.style.transform = `rotate(${currentAngle}deg)`;
-            if (valueDisplay) valueDisplay.textContent = `${initialGain.toFixed(1)}dB`;
+        const subtitles = (track.subtitles || []).filter(sub => this.assets.has(sub.assetId));
+        subtitles.forEach(sub => {
+            const asset = this.assets.get(sub.assetId);
+            const trackEl = document.createElement('track');
+            trackEl.kind = 'subtitles';
+            trackEl.label = sub.label;
+            // Sin sufijo de idioma en el nombre del archivo se deja srclang vacío en lugar de suponer uno
+            const lang = this.getSubtitleLanguage(asset.filename || '');
+            if (lang) trackEl.srclang = lang;
+            trackEl.src = URL.createObjectURL(asset.blob);
+            trackEl.dataset.assetId = sub.assetId;
+            videoElement.appendChild(trackEl);
+
+            const option = document.createElement('option');
+            option.value = sub.assetId;
+            option.textContent = sub.label;
+            select.appendChild(option);
+        });
 
+        const initial = selectedAssetId || (subtitles[0] && subtitles[0].assetId) || '';
+        select.value = initial;
+        this.selectSubtitle(initial);
+    }
 
-            const startDrag = (e) => {
-                isDragging = true;
-                const rect = knob.getBoundingClientRect();
-                const centerX = rect.left + rect.width / 2;
-                const centerY = rect.top + rect.height / 2;
-                const clientX = e.clientX || e.touches[0].clientX;
-                const clientY = e.clientY || e.touches[0].clientY;
-                const startX = clientX - centerX;
-                const startY = clientY - centerY;
-                startAngle = Math.atan2(startY, startX) * (180 / Math.PI) - currentAngle;
-                document.body.style.cursor = 'grabbing';
-            };
+    getSubtitleLanguage(filename) {
+        // Sufijo de idioma antes de la extensión: "pelicula.en.srt", "pelicula.pt-BR.vtt"
+        const match = filename.match(/\.([a-z]{2,3}(?:[-_][a-z0-9]{2,8})?)\.(?:srt|vtt)$/i);
+        if (!match) return null;
+        try {
+            return Intl.getCanonicalLocales(match[1].replace('_', '-'))[0];
+        } catch (error) {
+            return null;
+        }
+    }
 
-            const drag = (e) => {
-                if (!isDragging) return;
-                e.preventDefault();
-                const rect = knob.getBoundingClientRect();
-                const centerX = rect.left + rect.width / 2;
-                const centerY = rect.top + rect.height / 2;
-                const clientX = e.clientX || e.touches[0].clientX;
-                const clientY = e.clientY || e.touches[0].clientY;
-                const moveX = clientX - centerX;
-                const moveY = clientY - centerY;
-                
-                let angle = Math.atan2(moveY, moveX) * (180 / Math.PI) - startAngle;
-                angle = Math.max(-135, Math.min(135, angle));
-                
-                currentAngle = angle;
-                knob.style.transform = `rotate(${currentAngle}deg)`;
+    selectSubtitle(assetId) {
+        const videoElement = document.getElementById('videoElement');
+        const trackEls = Array.from(videoElement.querySelectorAll('track'));
+        trackEls.forEach(el => {
+            el.track.mode = el.dataset.assetId === assetId ? 'showing' : 'disabled';
+        });
+    }
 
-                const gain = angleToGain(angle);
-                this.setEQGain(index, gain);
-                if (valueDisplay) valueDisplay.textContent = `${gain.toFixed(1)}dB`;
-                
-                document.getElementById('eqPresetSelect').value = 'custom';
-                this.settings.eqPreset = 'custom';
-            };
+    async attachSubtitle(trackId, file) {
+        const track = this.library.get(trackId);
+        if (!track) return;
 
-            const stopDrag = () => {
-                if (!isDragging) return;
-                isDragging = false;
-                document.body.style.cursor = 'default';
-                this.saveSettings();
-            };
+        let text = await file.text();
+        if (/\.srt$/i.test(file.name)) {
+            text = this.convertSrtToVtt(text);
+        } else if (!text.trimStart().startsWith('WEBVTT')) {
+            this.showToast('Formato de subtítulos no reconocido', 'error');
+            return;
+        }
 
-            knob.addEventListener('mousedown', startDrag);
-            knob.addEventListener('touchstart', startDrag);
+        const assetId = `subtitle_${this.generateId()}`;
+        const asset = { id: assetId, type: 'subtitle', blob: new Blob([text], { type: 'text/vtt' }), filename: file.name };
+        await this.saveToStore('assets', asset);
+        this.assets.set(assetId, asset);
 
-            document.addEventListener('mousemove', drag);
-            document.addEventListener('touchmove', drag, { passive: false });
+        track.subtitles = [...(track.subtitles || []), { assetId, label: file.name.replace(/\.[^/.]+$/, ''), lang: this.getSubtitleLanguage(file.name) }];
+        await this.saveToStore('tracks', track);
 
-            document.addEventListener('mouseup', stopDrag);
-            document.addEventListener('touchend', stopDrag);
-        });
+        if (this.currentTrackId === trackId) this.loadSubtitleTracks(track, assetId);
+        this.showToast('Subtítulos añadidos', 'success');
     }
 
-    setEQGain(bandIndex, gain) {
-        if (this.eqNodes[bandIndex]) {
-            this.eqNodes[bandIndex].gain.value = gain;
-            this.settings.customEq[bandIndex] = gain;
+    convertSrtToVtt(srt) {
+        const body = srt
+            .replace(/\r\n?/g, '\n')
+            .replace(/^\uFEFF/, '')
+            .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+        return `WEBVTT\n\n${body}`;
+    }
+
+    async toggleVideoFullscreen() {
+        const stage = document.getElementById('videoStage');
+        try {
+            if (document.fullscreenElement) {
+                await document.exitFullscreen();
+            } else {
+                await stage.requestFullscreen();
+            }
+        } catch (err) {
+            console.error("Fullscreen error:", err);
+            this.showToast('No se pudo cambiar a pantalla completa', 'error');
         }
     }
 
-    applyEQPreset(presetName, save = true) {
-        const presets = {
-            flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-            rock: [5, 3, 1, -2, -1, 1, 3, 4, 5, 5],
-            pop: [-1, 1, 3, 4, 3, 1, -1, -1, 0, 0],
-            jazz: [4, 2, 1, 2, -1, -1, 0, 1, 3, 4],
-            classical: [-1, 0, 0, 0, 0, 0, 0, 2, 3, 4],
-            bass: [6, 5, 4, 2, 0, -1, -2, -2, -3, -3],
-            custom: this.settings.customEq,
-        };
-        const preset = presets[presetName] || presets.flat;
+    async toggleVideoPictureInPicture() {
+        const videoElement = document.getElementById('videoElement');
+        try {
+            if (document.pictureInPictureElement) {
+                await document.exitPictureInPicture();
+            } else {
+                await videoElement.requestPictureInPicture();
+            }
+        } catch (err) {
+            console.error("Picture-in-Picture error:", err);
+            this.showToast('Picture-in-Picture no disponible', 'error');
+        }
+    }
+
+    // ===================================
+    // LYRICS
+    // ===================================
+
+    extractEmbeddedLyrics(metadata) {
+        for (const tags of Object.values(metadata.native || {})) {
+            const sylt = tags.find(tag => tag.id === 'SYLT' && tag.value && Array.isArray(tag.value.synchronisedText));
+            // Solo se aceptan marcas de tiempo absolutas en milisegundos (timeStampFormat 2)
+            if (sylt && sylt.value.timeStampFormat === 2) {
+                return sylt.value.synchronisedText
+                    .map(({ text, timeStamp, timestamp }) => `[${this.formatLrcTime((timeStamp ?? timestamp) / 1000)}]${String(text).trim()}`)
+                    .join('\n');
+            }
+        }
+
+        const lyrics = metadata.common.lyrics;
+        if (lyrics && lyrics.length > 0) {
+            const first = lyrics[0];
+            return (typeof first === 'string' ? first : first.text || '').trim() || null;
+        }
+        return null;
+    }
+
+    async importLyricFiles(lyricItems, importedTracks) {
+        const baseName = (name) => name.replace(/\.[^/.]+$/, '').toLowerCase();
+        const findTrack = (item, tracks) => {
+            const name = baseName(item.file.name);
+            const samePath = tracks.find(t => {
+                const asset = this.assets.get(t.fileAssetId);
+                return asset && asset.sourcePath && baseName(asset.sourcePath) === baseName(item.path);
+            });
+            return samePath || tracks.find(t => {
+                const asset = this.assets.get(t.fileAssetId);
+                return asset && asset.filename && baseName(asset.filename) === name;
+            });
+        };
+
+        let matched = 0;
+        for (const item of lyricItems) {
+            const file = item.file;
+            const track = findTrack(item, importedTracks) || findTrack(item, [...this.library.values()]);
+            if (!track) continue;
+
+            track.lyrics = (await file.text()).replace(/^\uFEFF/, '').trim();
+            await this.saveToStore('tracks', track);
+            matched++;
+            if (track.id === this.currentTrackId) this.updateLyricsDisplay();
+        }
+
+        if (matched > 0) {
+            this.showToast(`Letras asociadas a ${matched} pistas`, 'success');
+        } else {
+            this.showToast('No se encontraron pistas para los archivos .lrc', 'warning');
+        }
+    }
+
+    parseLyrics(text) {
+        if (!text) return { synced: false, lines: [] };
+
+        let offset = 0;
+        const lines = [];
+        const plain = [];
+        text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+            const offsetMatch = rawLine.match(/^\[offset:\s*([+-]?\d+)\]/i);
+            if (offsetMatch) {
+                offset = parseInt(offsetMatch[1], 10) / 1000;
+                return;
+            }
+
+            const stamps = [...rawLine.matchAll(/\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g)];
+            const lineText = rawLine.replace(/\[[^\]]*\]/g, '').replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+            if (stamps.length === 0) {
+                if (!/^\[[a-z]+:.*\]$/i.test(rawLine.trim())) plain.push(lineText);
+                return;
+            }
+            stamps.forEach(stamp => {
+                const seconds = parseInt(stamp[1], 10) * 60 + parseFloat(stamp[2].replace(':', '.'));
+                lines.push({ time: seconds, text: lineText });
+            });
+        });
+
+        if (lines.length === 0) {
+            return { synced: false, lines: plain.map(lineText => ({ time: null, text: lineText })) };
+        }
+        // Un offset positivo adelanta la letra
+        lines.forEach(line => line.time = Math.max(0, line.time - offset));
+        lines.sort((a, b) => a.time - b.time);
+        return { synced: true, lines };
+    }
+
+    formatLrcTime(seconds) {
+        const min = Math.floor(seconds / 60).toString().padStart(2, '0');
+        const sec = (seconds % 60).toFixed(2).padStart(5, '0');
+        return `${min}:${sec}`;
+    }
+
+    updateLyricsDisplay() {
+        const content = document.getElementById('lyricsContent');
+        const track = this.library.get(this.currentTrackId);
+        this.currentLyrics = this.parseLyrics(track ? track.lyrics : null);
+        this.activeLyricsLine = -1;
+        content.innerHTML = '';
+        content.classList.toggle('synced', this.currentLyrics.synced);
+
+        if (this.currentLyrics.lines.length === 0) {
+            content.innerHTML = `<p class="lyrics-empty">${track ? 'Esta pista no tiene letra. Puedes añadirla desde "Editar".' : 'Sin reproducción'}</p>`;
+            return;
+        }
+
+        this.currentLyrics.lines.forEach(line => {
+            const el = document.createElement('div');
+            el.className = 'lyrics-line';
+            el.textContent = line.text || '♪';
+            if (line.time !== null) el.dataset.time = line.time;
+            content.appendChild(el);
+        });
+        this.highlightLyricsLine(this.getMediaElement().currentTime);
+    }
+
+    highlightLyricsLine(currentTime) {
+        if (!this.currentLyrics || !this.currentLyrics.synced) return;
+        if (document.getElementById('lyricsPanel').classList.contains('hidden')) return;
+
+        const lines = this.currentLyrics.lines;
+        let low = 0;
+        let high = lines.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (lines[mid].time <= currentTime) {
+                index = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (index === this.activeLyricsLine) return;
+        this.activeLyricsLine = index;
+
+        const lineEls = document.querySelectorAll('#lyricsContent .lyrics-line');
+        lineEls.forEach((el, i) => {
+            el.classList.toggle('active', i === index);
+            el.classList.toggle('past', i < index);
+        });
+        if (lineEls[index]) lineEls[index].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    // ===================================
+    // BACKUP & RESTORE
+    // ===================================
+
+    setupBackupEvents() {
+        const modal = document.getElementById('restoreModal');
+        document.getElementById('exportLibraryBtn').addEventListener('click', () => this.exportLibrary(false));
+        document.getElementById('exportMetadataBtn').addEventListener('click', () => this.exportLibrary(true));
+        document.getElementById('importBackupBtn').addEventListener('click', () => document.getElementById('backupFileInput').click());
+        document.getElementById('backupFileInput').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.showRestoreOptions(file);
+        });
+        document.getElementById('closeRestoreBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('cancelRestoreBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('restoreMode').addEventListener('change', e => {
+            document.getElementById('restoreConflictGroup').classList.toggle('hidden', e.target.value === 'replace');
+        });
+        document.getElementById('confirmRestoreBtn').addEventListener('click', async () => {
+            modal.classList.add('hidden');
+            await this.restoreBackup(this.pendingBackup, {
+                mode: document.getElementById('restoreMode').value,
+                conflicts: document.getElementById('restoreConflicts').value
+            });
+            this.pendingBackup = null;
+        });
+    }
+
+    showProgress(title, fraction, label = '') {
+        const modal = document.getElementById('progressModal');
+        modal.classList.remove('hidden');
+        document.getElementById('progressTitle').textContent = title;
+        document.getElementById('progressBarFill').style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+        document.getElementById('progressLabel').textContent = label;
+    }
+
+    hideProgress() {
+        document.getElementById('progressModal').classList.add('hidden');
+    }
+
+    async exportLibrary(metadataOnly = false) {
+        const title = metadataOnly ? 'Exportando metadatos' : 'Exportando biblioteca';
+        try {
+            this.showProgress(title, 0, 'Leyendo la base de datos...');
+            const storeNames = Array.from(this.db.objectStoreNames);
+            const stores = {};
+            for (const storeName of storeNames) {
+                if (storeName === 'assets') continue;
+                stores[storeName] = await this.getAllFromStore(storeName);
+            }
+
+            const blobs = [];
+            let offset = 0;
+            // Las miniaturas no viajan en la copia: se regeneran tras restaurarla
+            stores.assets = [...this.assets.values()].filter(asset => asset.type !== 'thumbnail').map(asset => {
+                const { blob, ...record } = asset;
+                record.mime = blob ? blob.type : '';
+                record.size = blob ? blob.size : 0;
+                if (metadataOnly || !blob) {
+                    record.omitted = true;
+                } else {
+                    record.offset = offset;
+                    offset += blob.size;
+                    blobs.push(blob);
+                }
+                return record;
+            });
+
+            const manifest = { app: 'FinalPlayer', format: 1, createdAt: Date.now(), metadataOnly, stores };
+            const date = new Date().toISOString().slice(0, 10);
+
+            if (metadataOnly) {
+                const json = new Blob([JSON.stringify(manifest)], { type: 'application/json' });
+                this.downloadBlob(json, `finalplayer-metadatos-${date}.json`);
+                this.hideProgress();
+                this.showToast('Metadatos exportados', 'success');
+                return;
+            }
+
+            const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+            const header = new Uint8Array(12);
+            header.set(new TextEncoder().encode('FPBK'), 0);
+            new DataView(header.buffer).setUint32(4, 1, true);
+            new DataView(header.buffer).setUint32(8, manifestBytes.length, true);
+            const filename = `finalplayer-biblioteca-${date}.fpbk`;
+
+            if (window.showSaveFilePicker) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'Copia de FinalPlayer', accept: { 'application/octet-stream': ['.fpbk'] } }]
+                });
+                const writable = await handle.createWritable();
+                await writable.write(header);
+                await writable.write(manifestBytes);
+                let written = 0;
+                for (const blob of blobs) {
+                    await writable.write(blob);
+                    written += blob.size;
+                    this.showProgress(title, written / Math.max(offset, 1), `${this.formatBytes(written)} de ${this.formatBytes(offset)}`);
+                }
+                await writable.close();
+            } else {
+                this.downloadBlob(new Blob([header, manifestBytes, ...blobs], { type: 'application/octet-stream' }), filename);
+            }
+
+            this.hideProgress();
+            this.showToast('Biblioteca exportada', 'success');
+        } catch (error) {
+            this.hideProgress();
+            if (error && error.name === 'AbortError') return;
+            console.error('Error al exportar la biblioteca:', error);
+            this.showToast('Error al exportar la biblioteca', 'error');
+        }
+    }
+
+    async readBackupFile(file) {
+        const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+        const magic = new TextDecoder().decode(head.slice(0, 4));
+
+        if (magic === 'FPBK') {
+            const view = new DataView(head.buffer);
+            const manifestLength = view.getUint32(8, true);
+            const manifest = JSON.parse(await file.slice(12, 12 + manifestLength).text());
+            return { manifest, file, dataStart: 12 + manifestLength };
+        }
+
+        const manifest = JSON.parse(await file.text());
+        if (manifest.app !== 'FinalPlayer' || !manifest.stores) throw new Error('Archivo de copia no reconocido');
+        return { manifest, file, dataStart: null };
+    }
+
+    async showRestoreOptions(file) {
+        try {
+            this.pendingBackup = await this.readBackupFile(file);
+        } catch (error) {
+            console.error('Copia de seguridad no válida:', error);
+            this.showToast('El archivo no es una copia de FinalPlayer válida', 'error');
+            return;
+        }
+
+        const { manifest } = this.pendingBackup;
+        const count = (name) => (manifest.stores[name] || []).length;
+        document.getElementById('restoreSummary').textContent =
+            `${count('tracks')} canciones, ${count('playlists')} playlists, ${count('albums')} álbumes, ${count('history')} entradas de historial` +
+            ` · ${new Date(manifest.createdAt).toLocaleString('es')}` +
+            (manifest.metadataOnly ? ' · Solo metadatos (sin archivos)' : '');
+        document.getElementById('restoreMode').value = 'merge';
+        // Una copia sin archivos solo puede combinarse con la biblioteca actual
+        document.getElementById('restoreReplaceOption').disabled = manifest.metadataOnly || this.pendingBackup.dataStart === null;
+        document.getElementById('restoreConflictGroup').classList.remove('hidden');
+        document.getElementById('restoreModal').classList.remove('hidden');
+    }
+
+    async restoreBackup(backup, { mode, conflicts }) {
+        const { manifest, file, dataStart } = backup;
+        // Sin archivos, reemplazar dejaría la biblioteca vacía
+        if (mode === 'replace' && (manifest.metadataOnly || dataStart === null)) {
+            this.showToast('Una copia solo de metadatos no puede reemplazar la biblioteca', 'warning');
+            return;
+        }
+
+        const title = 'Restaurando copia de seguridad';
+        const imported = { ...manifest.stores };
+        const storeNames = Array.from(this.db.objectStoreNames).filter(name => imported[name]);
+
+        try {
+            this.showProgress(title, 0, 'Preparando...');
+            const existing = {};
+            for (const storeName of storeNames) {
+                existing[storeName] = mode === 'replace'
+                    ? new Set()
+                    : new Set((await this.getAllFromStore(storeName)).map(record => record.id));
+            }
+
+            // Conflictos de ID: se omiten, se sobrescriben o se importan con un ID nuevo
+            const idMaps = {};
+            const keep = {};
+            storeNames.forEach(storeName => {
+                idMaps[storeName] = new Map();
+                keep[storeName] = imported[storeName].filter(record => {
+                    if (!existing[storeName].has(record.id)) return true;
+                    if (conflicts === 'overwrite') return true;
+                    if (conflicts === 'keepBoth' && storeName !== 'settings') {
+                        idMaps[storeName].set(record.id, this.generateId());
+                        return true;
+                    }
+                    return false;
+                });
+            });
+            const remap = (storeName, id) => (idMaps[storeName] && idMaps[storeName].get(id)) || id;
+
+            // Todo se prepara antes de escribir, para que un error no deje la base de datos a medias
+            const assets = (keep.assets || [])
+                .filter(record => !record.omitted && dataStart !== null)
+                .map(({ offset, size, mime, omitted, ...asset }) => ({
+                    ...asset,
+                    id: remap('assets', asset.id),
+                    blob: file.slice(dataStart + offset, dataStart + offset + size, mime)
+                }));
+            const availableAssets = new Set([...(existing.assets || []), ...assets.map(asset => asset.id)]);
+
+            let skippedTracks = 0;
+            const restoredTrackIds = new Set(existing.tracks || []);
+            const tracks = (keep.tracks || []).map(track => ({
+                ...track,
+                id: remap('tracks', track.id),
+                fileAssetId: remap('assets', track.fileAssetId),
+                coverAssetId: track.coverAssetId ? remap('assets', track.coverAssetId) : null,
+                subtitles: (track.subtitles || []).map(sub => ({ ...sub, assetId: remap('assets', sub.assetId) }))
+            })).filter(track => {
+                if (availableAssets.has(track.fileAssetId)) {
+                    restoredTrackIds.add(track.id);
+                    return true;
+                }
+                skippedTracks++;
+                return false;
+            });
+
+            const remapTrackIds = (ids) => ids.map(id => remap('tracks', id)).filter(id => restoredTrackIds.has(id));
+            const remapCover = (id) => (id ? remap('assets', id) : null);
+
+            const records = { tracks };
+            if (keep.playlists) {
+                records.playlists = keep.playlists.map(playlist => (
+                    { ...playlist, id: remap('playlists', playlist.id), trackIds: remapTrackIds(playlist.trackIds || []), coverAssetId: remapCover(playlist.coverAssetId) }
+                ));
+            }
+
+            if (keep.albums) {
+                const currentAlbums = mode === 'replace' ? [] : await this.getAllFromStore('albums');
+                const albumsByKey = new Map(currentAlbums.map(album => [`${album.name}|${album.artist}`.toLowerCase(), album]));
+                records.albums = [];
+                keep.albums.forEach(record => {
+                    const album = { ...record, id: remap('albums', record.id), trackIds: remapTrackIds(record.trackIds || []), coverAssetId: remapCover(record.coverAssetId) };
+                    const sameName = albumsByKey.get(`${album.name}|${album.artist}`.toLowerCase());
+                    if (sameName && sameName.id !== album.id) {
+                        sameName.trackIds = [...new Set([...sameName.trackIds, ...album.trackIds])];
+                        if (!sameName.coverAssetId) sameName.coverAssetId = album.coverAssetId;
+                        records.albums.push(sameName);
+                    } else {
+                        albumsByKey.set(`${album.name}|${album.artist}`.toLowerCase(), album);
+                        records.albums.push(album);
+                    }
+                });
+            }
+
+            if (keep.history) {
+                records.history = keep.history
+                    .map(entry => ({ ...entry, id: remap('history', entry.id), trackId: remap('tracks', entry.trackId) }))
+                    .filter(entry => restoredTrackIds.has(entry.trackId));
+            }
+
+            storeNames.forEach(storeName => {
+                if (!['assets', 'tracks', 'playlists', 'albums', 'history'].includes(storeName)) records[storeName] = keep[storeName];
+            });
+
+            const totalSteps = assets.length + Object.values(records).reduce((sum, list) => sum + list.length, 0) || 1;
+            let step = 0;
+            const labels = { tracks: 'Canciones', playlists: 'Playlists', albums: 'Álbumes', history: 'Historial' };
+
+            if (mode === 'replace') {
+                for (const storeName of Array.from(this.db.objectStoreNames)) await this.clearStore(storeName);
+            }
+
+            for (const asset of assets) {
+                this.showProgress(title, ++step / totalSteps, `Archivos: ${asset.filename || asset.id}`);
+                if (asset.blob.type.startsWith('image/')) await this.deleteAsset(asset.id);
+                await this.saveToStore('assets', asset);
+            }
+            for (const [storeName, list] of Object.entries(records)) {
+                step += list.length;
+                this.showProgress(title, step / totalSteps, labels[storeName] || 'Ajustes');
+                await this.saveManyToStore(storeName, list);
+            }
+            const restoredAssets = assets.length;
+
+            this.pause();
+            await this.loadDataFromDB();
+            await this.applyTheme();
+            await this.loadViewData(this.currentView, this.currentViewData);
+            this.hideProgress();
+            this.generateMissingThumbnails();
+
+            let message = `Copia restaurada: ${tracks.length} canciones, ${restoredAssets} archivos`;
+            if (skippedTracks > 0) message += ` (${skippedTracks} canciones sin archivo omitidas)`;
+            this.showToast(message, 'success');
+        } catch (error) {
+            this.hideProgress();
+            console.error('Error al restaurar la copia:', error);
+            this.showToast('Error al restaurar la copia de seguridad', 'error');
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = -1;
+        do {
+            value /= 1024;
+            unit++;
+        } while (value >= 1024 && unit < units.length - 1);
+        return `${value.toFixed(1)} ${units[unit]}`;
+    }
+
+    // ===================================
+    // THEME MANAGEMENT
+    // ===================================
+    
+    async applyTheme(fromSettings = true) {
+        if (fromSettings) {
+            document.getElementById('accentColor').value = this.settings.theme.accentColor;
+            document.getElementById('bgColor').value = this.settings.theme.bgColor;
+            document.getElementById('textColor').value = this.settings.theme.textColor;
+            document.getElementById('glassOpacity').value = this.settings.theme.glassOpacity;
+            document.getElementById('blurAmount').value = this.settings.theme.blurAmount;
+        }
+
+        const root = document.documentElement;
+        root.style.setProperty('--accent', this.settings.theme.accentColor);
+        root.style.setProperty('--bg-primary', this.settings.theme.bgColor);
+        root.style.setProperty('--text-primary', this.settings.theme.textColor);
+        root.style.setProperty('--glass-opacity', this.settings.theme.glassOpacity / 100);
+        root.style.setProperty('--blur-amount', `${this.settings.theme.blurAmount}px`);
+        
+        const hexToRgb = (hex) => {
+            const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+            return result ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}` : null;
+        };
+        const rgb = hexToRgb(this.settings.theme.accentColor);
+        if(rgb) root.style.setProperty('--accent-rgb', rgb);
+
+        const bgImageEl = document.querySelector('.background-image');
+        const bgVideoEl = document.getElementById('bgVideo');
+        bgImageEl.style.display = 'none';
+        bgVideoEl.style.display = 'none';
+        this.pinAssetUrl('background', null);
+
+        if (this.settings.theme.backgroundType !== 'gradient' && this.settings.theme.backgroundAssetId) {
+            const asset = this.assets.get(this.settings.theme.backgroundAssetId);
+            if (asset) {
+                const url = this.getAssetUrl(asset.id, null, 'background');
+                if(asset.type.startsWith('image')) {
+                    bgImageEl.style.backgroundImage = `url(${url})`;
+                    bgImageEl.style.display = 'block';
+                } else if(asset.type.startsWith('video')) {
+                    bgVideoEl.src = url;
+                    bgVideoEl.style.display = 'block';
+                    bgVideoEl.play();
+                }
+            }
+        }
+    }
+
+    applyThemePreset(presetName) {
+        const presets = {
+            dark: { accentColor: '#6366f1', bgColor: '#0f172a', textColor: '#ffffff' },
+            neon: { accentColor: '#34d399', bgColor: '#111827', textColor: '#f9fafb' },
+            pastel: { accentColor: '#f472b6', bgColor: '#fff1f2', textColor: '#831843' },
+            minimal: { accentColor: '#1f2937', bgColor: '#f9fafb', textColor: '#1f2937' },
+        };
+        const preset = presets[presetName];
+        if (preset) {
+            this.settings.theme = { ...this.settings.theme, ...preset };
+            this.applyTheme();
+            this.saveSettings();
+        }
+    }
+
+    // ===================================
+    // EQUALIZER
+    // ===================================
+
+    setupEQKnobs() {
+        const knobs = document.querySelectorAll('.eq-knob');
+        knobs.forEach((knob, index) => {
+            let isDragging = false;
+            let startAngle = 0;
+            let currentAngle = 0;
+            const valueDisplay = knob.parentElement.querySelector('.eq-value');
+
+            const gainToAngle = (gain) => (gain + 12) / 24 * 270 - 135;
+            const angleToGain = (angle) => ((angle + 135) / 270) * 24 - 12;
+            
+            const initialGain = this.settings.customEq[index] || 0;
+            currentAngle = gainToAngle(initialGain);
+            knob.style.transform = `rotate(${currentAngle}deg)`;
+            if (valueDisplay) valueDisplay.textContent = `${initialGain.toFixed(1)}dB`;
+
+
+            const startDrag = (e) => {
+                isDragging = true;
+                const rect = knob.getBoundingClientRect();
+                const centerX = rect.left + rect.width / 2;
+                const centerY = rect.top + rect.height / 2;
+                const clientX = e.clientX || e.touches[0].clientX;
+                const clientY = e.clientY || e.touches[0].clientY;
+                const startX = clientX - centerX;
+                const startY = clientY - centerY;
+                startAngle = Math.atan2(startY, startX) * (180 / Math.PI) - currentAngle;
+                document.body.style.cursor = 'grabbing';
+            };
+
+            const drag = (e) => {
+                if (!isDragging) return;
+                e.preventDefault();
+                const rect = knob.getBoundingClientRect();
+                const centerX = rect.left + rect.width / 2;
+                const centerY = rect.top + rect.height / 2;
+                const clientX = e.clientX || e.touches[0].clientX;
+                const clientY = e.clientY || e.touches[0].clientY;
+                const moveX = clientX - centerX;
+                const moveY = clientY - centerY;
+                
+                let angle = Math.atan2(moveY, moveX) * (180 / Math.PI) - startAngle;
+                angle = Math.max(-135, Math.min(135, angle));
+                
+                currentAngle = angle;
+                knob.style.transform = `rotate(${currentAngle}deg)`;
+
+                const gain = angleToGain(angle);
+                this.setEQGain(index, gain);
+                if (valueDisplay) valueDisplay.textContent = `${gain.toFixed(1)}dB`;
+                
+                document.getElementById('eqPresetSelect').value = 'custom';
+                this.settings.eqPreset = 'custom';
+                this.releaseEQProfile();
+            };
+
+            const stopDrag = () => {
+                if (!isDragging) return;
+                isDragging = false;
+                document.body.style.cursor = 'default';
+                this.saveSettings();
+            };
+
+            knob.addEventListener('mousedown', startDrag);
+            knob.addEventListener('touchstart', startDrag);
+
+            document.addEventListener('mousemove', drag);
+            document.addEventListener('touchmove', drag, { passive: false });
+
+            document.addEventListener('mouseup', stopDrag);
+            document.addEventListener('touchend', stopDrag);
+        });
+    }
+
+    setEQGain(bandIndex, gain) {
+        if (this.eqNodes[bandIndex]) {
+            this.eqNodes[bandIndex].gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.05);
+            this.settings.customEq[bandIndex] = gain;
+        }
+    }
+
+    applyEQPreset(presetName, save = true) {
+        // Un cambio manual sustituye al perfil automático y pasa a ser el ecualizador global
+        if (save) this.releaseEQProfile();
+        if (presetName.startsWith('user:')) {
+            const userPreset = this.eqPresets.get(presetName.slice(5));
+            if (userPreset) {
+                this.applyUserEQPreset(userPreset, save);
+                return;
+            }
+            presetName = 'custom';
+        }
+        const presets = {
+            flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            rock: [5, 3, 1, -2, -1, 1, 3, 4, 5, 5],
+            pop: [-1, 1, 3, 4, 3, 1, -1, -1, 0, 0],
+            jazz: [4, 2, 1, 2, -1, -1, 0, 1, 3, 4],
+            classical: [-1, 0, 0, 0, 0, 0, 0, 2, 3, 4],
+            bass: [6, 5, 4, 2, 0, -1, -2, -2, -3, -3],
+            custom: this.settings.customEq,
+        };
+        const preset = presets[presetName] || presets.flat;
         preset.forEach((gain, index) => this.setEQGain(index, gain));
+        // Los presets integrados son de 10 bandas; "custom" conserva la curva actual de cada modo
+        if (presetName !== 'custom') {
+            this.setEQPreamp(0, false);
+            if (this.settings.eqMode !== 'graphic') this.setEQMode('graphic', false);
+        }
         this.settings.eqPreset = presetName;
         document.getElementById('eqPresetSelect').value = presetName;
         this.updateEQDisplay();
-        if(save) this.saveSettings();
+        if(save) this.saveSettings();
+    }
+
+    updateEQDisplay() {
+        const bands = document.querySelectorAll('.eq-band');
+        const gainToAngle = (gain) => (gain + 12) / 24 * 270 - 135;
+        // Las ganancias cambian con rampa: se muestra el valor de destino, no el actual del nodo
+        this.settings.customEq.forEach((gain, index) => {
+            if (bands[index]) {
+                const knob = bands[index].querySelector('.eq-knob');
+                const valueDisplay = bands[index].querySelector('.eq-value');
+                const angle = gainToAngle(gain);
+                knob.style.transform = `rotate(${angle}deg)`;
+                if (valueDisplay) valueDisplay.textContent = `${gain.toFixed(1)}dB`;
+            }
+        });
+    }
+
+    // ===================================
+    // PARAMETRIC EQUALIZER
+    // ===================================
+
+    setupParametricEQEvents() {
+        const canvas = document.getElementById('eqVisualizerCanvas');
+        const getPoint = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+
+        document.getElementById('eqModeSelect').addEventListener('change', (e) => {
+            this.markEQPresetCustom();
+            this.setEQMode(e.target.value);
+        });
+        document.getElementById('addParametricBandBtn').addEventListener('click', () => this.addParametricBand());
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (this.settings.eqMode !== 'parametric') return;
+            const { x, y } = getPoint(e);
+            const index = this.findParametricHandle(x, y);
+            if (index === -1) return;
+            this.selectedEQBand = index;
+            this.eqDragBand = index;
+            canvas.setPointerCapture(e.pointerId);
+            this.renderParametricBands();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (this.settings.eqMode !== 'parametric') return;
+            const { x, y } = getPoint(e);
+            if (this.eqDragBand === null) {
+                canvas.style.cursor = this.findParametricHandle(x, y) === -1 ? 'crosshair' : 'grab';
+                return;
+            }
+            const band = this.settings.parametricEq[this.eqDragBand];
+            const changes = { frequency: Math.round(this.eqXToFrequency(x, canvas.width)) };
+            if (this.bandUsesGain(band.type)) changes.gain = Math.round(this.eqYToGain(y, canvas.height) * 10) / 10;
+            this.updateParametricBand(this.eqDragBand, changes, false);
+        });
+
+        const stopDrag = () => {
+            if (this.eqDragBand === null) return;
+            this.eqDragBand = null;
+            this.saveSettings();
+        };
+        canvas.addEventListener('pointerup', stopDrag);
+        canvas.addEventListener('pointercancel', stopDrag);
+
+        canvas.addEventListener('dblclick', (e) => {
+            if (this.settings.eqMode !== 'parametric') return;
+            const { x, y } = getPoint(e);
+            if (this.findParametricHandle(x, y) !== -1) return;
+            this.addParametricBand({
+                type: 'peaking',
+                frequency: Math.round(this.eqXToFrequency(x, canvas.width)),
+                gain: Math.round(this.eqYToGain(y, canvas.height) * 10) / 10,
+                q: 1,
+            });
+        });
+
+        canvas.addEventListener('wheel', (e) => {
+            if (this.settings.eqMode !== 'parametric' || this.selectedEQBand === null) return;
+            e.preventDefault();
+            const band = this.settings.parametricEq[this.selectedEQBand];
+            this.updateParametricBand(this.selectedEQBand, { q: band.q * (e.deltaY < 0 ? 1.1 : 1 / 1.1) }, false);
+            clearTimeout(this.eqWheelSaveId);
+            this.eqWheelSaveId = setTimeout(() => this.saveSettings(), 500);
+        }, { passive: false });
+
+        const list = document.getElementById('parametricBands');
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('.param-band');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            const value = field === 'type' ? e.target.value : parseFloat(e.target.value);
+            if (field !== 'type' && !Number.isFinite(value)) {
+                this.renderParametricBands();
+                return;
+            }
+            this.updateParametricBand(parseInt(row.dataset.index, 10), { [field]: value });
+        });
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.param-band');
+            if (!row) return;
+            const index = parseInt(row.dataset.index, 10);
+            if (e.target.closest('[data-action="remove"]')) {
+                this.removeParametricBand(index);
+            } else if (this.selectedEQBand !== index) {
+                this.selectedEQBand = index;
+                list.querySelectorAll('.param-band').forEach(el => el.classList.toggle('selected', el === row));
+            }
+        });
+
+        this.updateEQModeDisplay();
+    }
+
+    createParametricNodes() {
+        this.parametricNodes = this.settings.parametricEq.map(band => {
+            const filter = this.audioContext.createBiquadFilter();
+            this.applyParametricBand(filter, band);
+            return filter;
+        });
+    }
+
+    applyParametricBand(filter, band) {
+        filter.type = band.type;
+        filter.frequency.value = band.frequency;
+        filter.gain.value = band.gain;
+        filter.Q.value = band.q;
+    }
+
+    rebuildParametricEQ() {
+        if (!this.audioContext) return;
+        // Con el mismo número de bandas se ajustan los filtros existentes con rampa, sin reconectar la cadena
+        if (this.parametricNodes.length === this.settings.parametricEq.length) {
+            const now = this.audioContext.currentTime;
+            this.settings.parametricEq.forEach((band, index) => {
+                const filter = this.parametricNodes[index];
+                filter.type = band.type;
+                filter.frequency.setTargetAtTime(band.frequency, now, 0.05);
+                filter.gain.setTargetAtTime(band.gain, now, 0.05);
+                filter.Q.setTargetAtTime(band.q, now, 0.05);
+            });
+            return;
+        }
+        this.parametricNodes.forEach(node => node.disconnect());
+        this.createParametricNodes();
+        this.connectEQChain();
+    }
+
+    bandUsesGain(type) {
+        // Los pasa-altos, pasa-bajos y notch ignoran la ganancia
+        return ['peaking', 'lowshelf', 'highshelf'].includes(type);
+    }
+
+    bandUsesQ(type) {
+        // Los filtros shelf de Web Audio no usan Q
+        return !['lowshelf', 'highshelf'].includes(type);
+    }
+
+    setEQMode(mode, save = true) {
+        this.settings.eqMode = mode === 'parametric' ? 'parametric' : 'graphic';
+        if (this.audioContext) this.connectEQChain();
+        this.updateEQModeDisplay();
+        if (save) this.saveSettings();
+    }
+
+    markEQPresetCustom() {
+        this.releaseEQProfile();
+        this.settings.eqPreset = 'custom';
+        document.getElementById('eqPresetSelect').value = 'custom';
+    }
+
+    updateEQModeDisplay() {
+        const parametric = this.settings.eqMode === 'parametric';
+        document.getElementById('eqModeSelect').value = this.settings.eqMode;
+        document.querySelector('.eq-bands').classList.toggle('hidden', parametric);
+        document.getElementById('parametricEditor').classList.toggle('hidden', !parametric);
+        const canvas = document.getElementById('eqVisualizerCanvas');
+        canvas.classList.toggle('parametric', parametric);
+        canvas.style.cursor = '';
+        if (parametric) this.renderParametricBands();
+        // El canvas cambia de altura: se reinicia el dibujo con las nuevas medidas
+        if (this.eqVisualizerAnimationId) this.startEQVisualizer();
+    }
+
+    addParametricBand(band = null) {
+        if (this.settings.parametricEq.length >= 16) {
+            this.showToast('Máximo 16 bandas', 'warning');
+            return;
+        }
+        this.settings.parametricEq.push(this.normalizeParametricBand(band || { type: 'peaking', frequency: 1000, gain: 0, q: 1 }));
+        this.selectedEQBand = this.settings.parametricEq.length - 1;
+        this.markEQPresetCustom();
+        this.rebuildParametricEQ();
+        this.renderParametricBands();
+        this.saveSettings();
+    }
+
+    removeParametricBand(index) {
+        if (!this.settings.parametricEq[index]) return;
+        this.settings.parametricEq.splice(index, 1);
+        this.markEQPresetCustom();
+        if (this.selectedEQBand === index) this.selectedEQBand = null;
+        else if (this.selectedEQBand > index) this.selectedEQBand--;
+        this.rebuildParametricEQ();
+        this.renderParametricBands();
+        this.saveSettings();
+    }
+
+    updateParametricBand(index, changes, save = true) {
+        const band = this.settings.parametricEq[index];
+        if (!band) return;
+        Object.assign(band, this.normalizeParametricBand({ ...band, ...changes }));
+        const node = this.parametricNodes[index];
+        if (node) this.applyParametricBand(node, band);
+        this.markEQPresetCustom();
+        this.renderParametricBands();
+        if (save) this.saveSettings();
+    }
+
+    normalizeParametricBand(band) {
+        const types = ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'notch'];
+        const clamp = (value, min, max, fallback) => Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+        return {
+            type: types.includes(band.type) ? band.type : 'peaking',
+            frequency: Math.round(clamp(band.frequency, 20, 20000, 1000)),
+            gain: Math.round(clamp(band.gain, -15, 15, 0) * 10) / 10,
+            q: Math.round(clamp(band.q, 0.1, 18, 1) * 100) / 100,
+        };
+    }
+
+    renderParametricBands() {
+        const list = document.getElementById('parametricBands');
+        const typeLabels = {
+            peaking: 'Campana', lowshelf: 'Shelf graves', highshelf: 'Shelf agudos',
+            lowpass: 'Pasa bajos', highpass: 'Pasa altos', notch: 'Notch',
+        };
+        if (this.settings.parametricEq.length === 0) {
+            list.innerHTML = '<p class="parametric-empty">Sin bandas. Haz doble clic en la curva para añadir una.</p>';
+            return;
+        }
+        list.innerHTML = this.settings.parametricEq.map((band, index) => `
+            <div class="param-band ${index === this.selectedEQBand ? 'selected' : ''}" data-index="${index}">
+                <span class="param-band-index">${index + 1}</span>
+                <select class="glass-select" data-field="type" aria-label="Tipo de filtro">
+                    ${Object.entries(typeLabels).map(([value, label]) => `<option value="${value}" ${value === band.type ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <label>Hz <input type="number" class="glass-input" data-field="frequency" min="20" max="20000" step="1" value="${band.frequency}"></label>
+                <label>dB <input type="number" class="glass-input" data-field="gain" min="-15" max="15" step="0.5" value="${band.gain}" ${this.bandUsesGain(band.type) ? '' : 'disabled'}></label>
+                <label>Q <input type="number" class="glass-input" data-field="q" min="0.1" max="18" step="0.1" value="${band.q}" ${this.bandUsesQ(band.type) ? '' : 'disabled'}></label>
+                <button class="close-btn" data-action="remove" title="Eliminar banda">×</button>
+            </div>
+        `).join('');
+    }
+
+    findParametricHandle(x, y) {
+        const canvas = document.getElementById('eqVisualizerCanvas');
+        let found = -1;
+        let bestDistance = 12;
+        this.settings.parametricEq.forEach((band, index) => {
+            const hx = this.eqFrequencyToX(band.frequency, canvas.width);
+            const hy = this.eqGainToY(this.bandUsesGain(band.type) ? band.gain : 0, canvas.height);
+            const distance = Math.hypot(hx - x, hy - y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                found = index;
+            }
+        });
+        return found;
+    }
+
+    // Eje de frecuencias logarítmico de 20 Hz a 20 kHz y eje de ganancia de ±18 dB
+    eqFrequencyToX(frequency, width) { return Math.log(frequency / 20) / Math.log(1000) * width; }
+    eqXToFrequency(x, width) { return 20 * Math.pow(1000, x / width); }
+    eqGainToY(gain, height) { return height / 2 - gain / 18 * (height / 2); }
+    eqYToGain(y, height) { return (height / 2 - y) / (height / 2) * 18; }
+
+    drawEQResponse(ctx, width, height, accentRGB) {
+        const nodes = this.getActiveEQNodes();
+        const points = Math.max(2, Math.floor(width / 2));
+        if (!this.eqResponseBuffers || this.eqResponseBuffers.frequencies.length !== points) {
+            const frequencies = new Float32Array(points);
+            for (let i = 0; i < points; i++) frequencies[i] = this.eqXToFrequency(i / (points - 1) * width, width);
+            this.eqResponseBuffers = { frequencies, magnitude: new Float32Array(points), phase: new Float32Array(points), total: new Float32Array(points) };
+        }
+        const { frequencies, magnitude, phase, total } = this.eqResponseBuffers;
+        total.fill(0);
+        nodes.forEach(node => {
+            node.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < points; i++) total[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+        });
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < points; i++) {
+            const x = i / (points - 1) * width;
+            const y = Math.max(0, Math.min(height, this.eqGainToY(total[i], height)));
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        if (this.settings.eqMode !== 'parametric') return;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.settings.parametricEq.forEach((band, index) => {
+            const x = this.eqFrequencyToX(band.frequency, width);
+            const y = this.eqGainToY(this.bandUsesGain(band.type) ? band.gain : 0, height);
+            ctx.fillStyle = index === this.selectedEQBand ? 'rgba(255, 255, 255, 0.95)' : `rgba(${accentRGB}, 0.9)`;
+            ctx.beginPath();
+            ctx.arc(x, y, 8, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = index === this.selectedEQBand ? '#000' : '#fff';
+            ctx.fillText(String(index + 1), x, y);
+        });
+    }
+
+    // ===================================
+    // EQ PRESETS
+    // ===================================
+
+    setupEQPresetEvents() {
+        const modal = document.getElementById('eqPresetsModal');
+        const closeModal = () => modal.classList.add('hidden');
+
+        document.getElementById('saveEqPresetBtn').addEventListener('click', () => this.saveCurrentEQPreset());
+        document.getElementById('manageEqPresetsBtn').addEventListener('click', () => {
+            this.renderEQPresetsList();
+            modal.classList.remove('hidden');
+        });
+        document.getElementById('closeEqPresetsBtn').addEventListener('click', closeModal);
+        document.getElementById('acceptEqPresetsBtn').addEventListener('click', closeModal);
+        document.getElementById('exportEqPresetsBtn').addEventListener('click', () => {
+            const presets = this.getSortedEQPresets();
+            if (presets.length === 0) {
+                this.showToast('No hay presets guardados', 'warning');
+                return;
+            }
+            this.exportEQPresets(presets, 'json');
+        });
+        document.getElementById('importEqPresetBtn').addEventListener('click', () => document.getElementById('eqPresetFileInput').click());
+        document.getElementById('eqPresetFileInput').addEventListener('change', async e => {
+            for (const file of Array.from(e.target.files)) await this.importEQPresetFile(file);
+            e.target.value = '';
+        });
+
+        const preampInput = document.getElementById('eqPreampInput');
+        preampInput.value = this.settings.eqPreamp;
+        preampInput.addEventListener('change', () => {
+            const value = parseFloat(preampInput.value);
+            if (!Number.isFinite(value)) {
+                preampInput.value = this.settings.eqPreamp;
+                return;
+            }
+            this.markEQPresetCustom();
+            this.setEQPreamp(value);
+        });
+
+        document.getElementById('eqPresetsList').addEventListener('click', (e) => {
+            const row = e.target.closest('.eq-preset-row');
+            if (!row) return;
+            const preset = this.eqPresets.get(row.dataset.id);
+            if (!preset) return;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            switch (action) {
+                case 'up': this.moveEQPreset(preset.id, -1); break;
+                case 'down': this.moveEQPreset(preset.id, 1); break;
+                case 'rename': this.renameEQPreset(preset.id); break;
+                case 'delete': this.deleteEQPreset(preset.id); break;
+                case 'export': this.showEQPresetExportMenu(e, preset); break;
+                default:
+                    this.applyEQPreset(`user:${preset.id}`);
+                    this.showToast(`Preset "${preset.name}" aplicado`, 'success');
+            }
+        });
+    }
+
+    setEQPreamp(gain, save = true) {
+        this.settings.eqPreamp = Math.round(Math.max(-24, Math.min(12, gain)) * 10) / 10;
+        if (this.eqPreampNode) this.eqPreampNode.gain.setTargetAtTime(Math.pow(10, this.settings.eqPreamp / 20), this.audioContext.currentTime, 0.05);
+        const input = document.getElementById('eqPreampInput');
+        if (input) input.value = this.settings.eqPreamp;
+        if (save) this.saveSettings();
+    }
+
+    getSortedEQPresets() {
+        return [...this.eqPresets.values()].sort((a, b) => a.order - b.order);
+    }
+
+    updateEQPresetSelect() {
+        const group = document.getElementById('userEqPresetGroup');
+        const presets = this.getSortedEQPresets();
+        group.innerHTML = '';
+        group.classList.toggle('hidden', presets.length === 0);
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = `user:${preset.id}`;
+            option.textContent = preset.name;
+            group.appendChild(option);
+        });
+        const select = document.getElementById('eqPresetSelect');
+        if (this.settings.eqPreset.startsWith('user:') && !this.eqPresets.has(this.settings.eqPreset.slice(5))) {
+            this.settings.eqPreset = 'custom';
+        }
+        select.value = this.settings.eqPreset;
+    }
+
+    applyUserEQPreset(preset, save = true) {
+        this.setEQPreamp(preset.preamp || 0, false);
+        if (preset.mode === 'parametric') {
+            this.settings.parametricEq = preset.bands.map(band => this.normalizeParametricBand(band));
+            this.selectedEQBand = null;
+            this.rebuildParametricEQ();
+        } else {
+            preset.gains.forEach((gain, index) => this.setEQGain(index, gain));
+            this.updateEQDisplay();
+        }
+        this.settings.eqPreset = `user:${preset.id}`;
+        this.setEQMode(preset.mode, false);
+        document.getElementById('eqPresetSelect').value = this.settings.eqPreset;
+        if (save) this.saveSettings();
+    }
+
+    getCurrentEQCurve() {
+        const curve = { mode: this.settings.eqMode, preamp: this.settings.eqPreamp };
+        if (curve.mode === 'parametric') curve.bands = this.settings.parametricEq.map(band => ({ ...band }));
+        else curve.gains = [...this.settings.customEq];
+        return curve;
+    }
+
+    async saveCurrentEQPreset() {
+        const current = this.settings.eqPreset.startsWith('user:') ? this.eqPresets.get(this.settings.eqPreset.slice(5)) : null;
+        const name = prompt('Nombre del preset:', current ? current.name : '');
+        if (!name || !name.trim()) return;
+
+        // Con el mismo nombre se actualiza el preset existente en lugar de duplicarlo
+        const existing = this.getSortedEQPresets().find(preset => preset.name.toLowerCase() === name.trim().toLowerCase());
+        if (existing && !confirm(`Ya existe un preset llamado "${existing.name}". ¿Reemplazarlo?`)) return;
+
+        const preset = {
+            id: existing ? existing.id : this.generateId(),
+            name: name.trim(),
+            order: existing ? existing.order : this.eqPresets.size,
+            createdAt: existing ? existing.createdAt : Date.now(),
+            ...this.getCurrentEQCurve()
+        };
+        await this.saveToStore('eqPresets', preset);
+        this.eqPresets.set(preset.id, preset);
+        this.releaseEQProfile();
+        this.settings.eqPreset = `user:${preset.id}`;
+        this.updateEQPresetSelect();
+        this.saveSettings();
+        this.showToast(`Preset "${preset.name}" guardado`, 'success');
+    }
+
+    async renameEQPreset(presetId) {
+        const preset = this.eqPresets.get(presetId);
+        const name = prompt('Nuevo nombre del preset:', preset.name);
+        if (!name || !name.trim() || name.trim() === preset.name) return;
+        preset.name = name.trim();
+        await this.saveToStore('eqPresets', preset);
+        this.updateEQPresetSelect();
+        this.renderEQPresetsList();
+    }
+
+    async deleteEQPreset(presetId) {
+        const preset = this.eqPresets.get(presetId);
+        if (!confirm(`¿Eliminar el preset "${preset.name}"?`)) return;
+        await this.deleteFromStore('eqPresets', presetId);
+        this.eqPresets.delete(presetId);
+        // La curva sigue sonando igual; solo deja de estar asociada al preset
+        if (this.settings.eqPreset === `user:${presetId}`) {
+            this.settings.eqPreset = 'custom';
+            this.saveSettings();
+        }
+        this.updateEQPresetSelect();
+        this.renderEQPresetsList();
+    }
+
+    async moveEQPreset(presetId, direction) {
+        const presets = this.getSortedEQPresets();
+        const from = presets.findIndex(preset => preset.id === presetId);
+        const to = from + direction;
+        if (to < 0 || to >= presets.length) return;
+        [presets[from], presets[to]] = [presets[to], presets[from]];
+        presets.forEach((preset, index) => { preset.order = index; });
+        await this.saveManyToStore('eqPresets', presets);
+        this.updateEQPresetSelect();
+        this.renderEQPresetsList();
+    }
+
+    renderEQPresetsList() {
+        const listEl = document.getElementById('eqPresetsList');
+        const presets = this.getSortedEQPresets();
+        listEl.innerHTML = '';
+        if (presets.length === 0) {
+            listEl.innerHTML = '<p class="eq-presets-empty">No hay presets guardados. Ajusta el ecualizador y pulsa "Guardar".</p>';
+            return;
+        }
+        presets.forEach((preset, index) => {
+            const row = document.createElement('div');
+            row.className = 'eq-preset-row';
+            row.classList.toggle('active', this.settings.eqPreset === `user:${preset.id}`);
+            row.dataset.id = preset.id;
+            row.innerHTML = `
+                <span class="eq-preset-name"></span>
+                <span class="eq-preset-info">${preset.mode === 'parametric' ? `Paramétrico · ${preset.bands.length} bandas` : 'Gráfico'}</span>
+                <button class="bookmark-btn" data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="bookmark-btn" data-action="down" title="Bajar" ${index === presets.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="bookmark-btn" data-action="rename" title="Renombrar">✎</button>
+                <button class="bookmark-btn" data-action="export" title="Exportar">⤓</button>
+                <button class="bookmark-btn" data-action="delete" title="Eliminar">×</button>
+            `;
+            row.querySelector('.eq-preset-name').textContent = preset.name;
+            listEl.appendChild(row);
+        });
+    }
+
+    showEQPresetExportMenu(event, preset) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+        menu.innerHTML = `
+            <button class="glass-btn" data-action="exportEqPreset" data-format="json">FinalPlayer (.json)</button>
+            <button class="glass-btn" data-action="exportEqPreset" data-format="apo">Equalizer APO (.txt)</button>
+            <button class="glass-btn" data-action="exportEqPreset" data-format="graphiceq">AutoEQ GraphicEQ (.txt)</button>
+        `;
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action, button) => this.exportEQPresets([preset], button.dataset.format));
+    }
+
+    exportEQPresets(presets, format) {
+        const name = presets.length === 1 ? presets[0].name : 'finalplayer-presets-eq';
+        const safeName = name.replace(/[\\/:*?"<>|]+/g, '_');
+        let content;
+        let filename;
+
+        if (format === 'json') {
+            const data = {
+                app: 'FinalPlayer',
+                type: 'eqPresets',
+                format: 1,
+                presets: presets.map(({ id, order, createdAt, ...preset }) => preset)
+            };
+            content = JSON.stringify(data, null, 2);
+            filename = `${safeName}.json`;
+        } else if (format === 'apo') {
+            content = this.buildEqualizerAPOText(presets[0]);
+            filename = `${safeName} ParametricEQ.txt`;
+        } else {
+            if (!this.audioContext) {
+                this.showToast('El contexto de audio no está disponible', 'error');
+                return;
+            }
+            content = this.buildGraphicEQText(presets[0]);
+            filename = `${safeName} GraphicEQ.txt`;
+        }
+        this.downloadBlob(new Blob([content], { type: format === 'json' ? 'application/json' : 'text/plain' }), filename);
+    }
+
+    getEQPresetBands(preset) {
+        if (preset.mode === 'parametric') return preset.bands;
+        return this.getGraphicEQFrequencies().map((frequency, index) => ({ type: 'peaking', frequency, gain: preset.gains[index] || 0, q: 1.41 }));
+    }
+
+    buildEqualizerAPOText(preset) {
+        const filterCodes = { peaking: 'PK', lowshelf: 'LSC', highshelf: 'HSC', lowpass: 'LPQ', highpass: 'HPQ', notch: 'NO' };
+        const lines = [`Preamp: ${(preset.preamp || 0).toFixed(1)} dB`];
+        this.getEQPresetBands(preset).forEach((band, index) => {
+            let line = `Filter ${index + 1}: ON ${filterCodes[band.type]} Fc ${band.frequency} Hz`;
+            if (this.bandUsesGain(band.type)) line += ` Gain ${band.gain.toFixed(1)} dB`;
+            if (band.type !== 'lowshelf' && band.type !== 'highshelf') line += ` Q ${band.q.toFixed(2)}`;
+            lines.push(line);
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    buildGraphicEQText(preset) {
+        // Se muestrea la respuesta real de los filtros en 127 puntos logarítmicos, como AutoEQ
+        const points = 127;
+        const frequencies = new Float32Array(points);
+        for (let i = 0; i < points; i++) frequencies[i] = Math.round(20 * Math.pow(1000, i / (points - 1)));
+        const magnitude = new Float32Array(points);
+        const phase = new Float32Array(points);
+        const total = new Float32Array(points).fill(preset.preamp || 0);
+        this.getEQPresetBands(preset).forEach(band => {
+            const filter = this.audioContext.createBiquadFilter();
+            this.applyParametricBand(filter, band);
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < points; i++) total[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+        });
+        const pairs = Array.from(frequencies, (frequency, i) => `${frequency} ${total[i].toFixed(1)}`);
+        return `GraphicEQ: ${pairs.join('; ')}\r\n`;
+    }
+
+    async importEQPresetFile(file) {
+        let presets;
+        try {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            presets = this.parseEQPresetFile(text, file.name.replace(/\.[^.]+$/, ''));
+        } catch (error) {
+            console.error('Error al importar el preset:', error);
+            this.showToast(`No se pudo leer "${file.name}"`, 'error');
+            return;
+        }
+        if (presets.length === 0) {
+            this.showToast(`"${file.name}" no contiene presets de ecualizador`, 'warning');
+            return;
+        }
+
+        const records = presets.map((preset, index) => ({
+            ...preset,
+            id: this.generateId(),
+            order: this.eqPresets.size + index,
+            createdAt: Date.now()
+        }));
+        await this.saveManyToStore('eqPresets', records);
+        records.forEach(record => this.eqPresets.set(record.id, record));
+        this.updateEQPresetSelect();
+        this.renderEQPresetsList();
+
+        // Un único preset (p. ej. una corrección de auriculares) se aplica directamente
+        if (records.length === 1) {
+            this.applyEQPreset(`user:${records[0].id}`);
+            this.showToast(`Preset "${records[0].name}" importado y aplicado`, 'success');
+        } else {
+            this.showToast(`${records.length} presets importados`, 'success');
+        }
+    }
+
+    parseEQPresetFile(text, name) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const data = JSON.parse(trimmed);
+            const presets = Array.isArray(data) ? data : (data.presets || [data]);
+            return presets.map(preset => this.normalizeEQPreset(preset)).filter(Boolean);
+        }
+        return this.parseEqualizerAPOText(text, name);
+    }
+
+    parseEqualizerAPOText(text, name) {
+        const filterTypes = {
+            PK: 'peaking', PEQ: 'peaking', MODAL: 'peaking',
+            LS: 'lowshelf', LSC: 'lowshelf', HS: 'highshelf', HSC: 'highshelf',
+            LP: 'lowpass', LPQ: 'lowpass', HP: 'highpass', HPQ: 'highpass', NO: 'notch'
+        };
+        const filterRegex = /^Filter\s*\d*:\s*ON\s+([A-Z]+)(?:\s+\d+(?:\.\d+)?\s*dB)?\s+Fc\s+([\d.]+)\s*Hz(?:\s+Gain\s+([-+\d.]+)\s*dB)?(?:\s+Q\s+([\d.]+))?/i;
+        let preamp = 0;
+        let graphic = null;
+        const bands = [];
+        let skipped = 0;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*/, '').trim();
+            let match;
+            if ((match = line.match(/^Preamp:\s*([-+\d.]+)\s*dB/i))) {
+                preamp += parseFloat(match[1]);
+            } else if ((match = line.match(/^GraphicEQ:\s*(.+)$/i))) {
+                graphic = match[1].split(';')
+                    .map(pair => pair.trim().split(/\s+/).map(Number))
+                    .filter(([frequency, gain]) => frequency > 0 && Number.isFinite(gain))
+                    .sort((a, b) => a[0] - b[0]);
+            } else if ((match = line.match(filterRegex))) {
+                const type = filterTypes[match[1].toUpperCase()];
+                if (!type) {
+                    skipped++;
+                    return;
+                }
+                bands.push({
+                    type,
+                    frequency: parseFloat(match[2]),
+                    gain: match[3] !== undefined ? parseFloat(match[3]) : 0,
+                    q: match[4] !== undefined ? parseFloat(match[4]) : 0.71
+                });
+            }
+        });
+
+        if (bands.length > 16 || skipped > 0) {
+            this.showToast(`"${name}": se omitieron ${Math.max(0, bands.length - 16) + skipped} filtros no compatibles`, 'warning');
+        }
+        if (bands.length > 0) {
+            return [this.normalizeEQPreset({ name, mode: 'parametric', bands, preamp })];
+        }
+        if (graphic && graphic.length > 0) {
+            // Las curvas de AutoEQ tienen ~127 puntos: se ajustan con bandas paramétricas en vez de 10 bandas fijas
+            const { bands: fitted, maxError } = this.fitParametricBands(graphic, 16);
+            this.showToast(`"${name}": curva GraphicEQ aproximada con ${fitted.length} bandas paramétricas (desviación máx. ${maxError.toFixed(1)} dB)`,
+                maxError > 1 ? 'warning' : 'info');
+            return [this.normalizeEQPreset({ name, mode: 'parametric', bands: fitted, preamp })];
+        }
+        return [];
+    }
+
+    fitParametricBands(points, maxBands) {
+        // Ajuste voraz: cada banda se coloca en el mayor error restante y después se reajustan las ganancias
+        const sampleRate = 48000;
+        const gainAt = (frequency) => {
+            if (frequency <= points[0][0]) return points[0][1];
+            const upper = points.findIndex(([f]) => f >= frequency);
+            if (upper === -1) return points[points.length - 1][1];
+            const [f0, g0] = points[upper - 1];
+            const [f1, g1] = points[upper];
+            if (f1 === f0) return g1;
+            return g0 + (g1 - g0) * Math.log(frequency / f0) / Math.log(f1 / f0);
+        };
+        const peakingResponse = (band, frequency) => {
+            const A = Math.pow(10, band.gain / 40);
+            const w0 = 2 * Math.PI * band.frequency / sampleRate;
+            const alpha = Math.sin(w0) / (2 * band.q);
+            const cos = Math.cos(w0);
+            const w = 2 * Math.PI * frequency / sampleRate;
+            const evaluate = (c0, c1, c2) => Math.hypot(c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w), c1 * Math.sin(w) + c2 * Math.sin(2 * w));
+            return 20 * Math.log10(evaluate(1 + alpha * A, -2 * cos, 1 - alpha * A) / evaluate(1 + alpha / A, -2 * cos, 1 - alpha / A));
+        };
+
+        const grid = Array.from({ length: 120 }, (_, i) => 20 * Math.pow(1000, i / 119));
+        const target = grid.map(gainAt);
+        const bands = [];
+        const residual = (skip = null) => grid.map((frequency, i) =>
+            bands.reduce((value, band) => band === skip ? value : value - peakingResponse(band, frequency), target[i]));
+        const clampGain = (gain) => Math.max(-15, Math.min(15, gain));
+
+        while (bands.length < maxBands) {
+            const error = residual();
+            let peak = 0;
+            error.forEach((value, i) => {
+                if (Math.abs(value) > Math.abs(error[peak])) peak = i;
+            });
+            if (Math.abs(error[peak]) < 0.2) break;
+
+            // El ancho de banda se estima donde el error cae a la mitad del pico
+            const half = Math.abs(error[peak]) / 2;
+            const sameSide = (i) => Math.sign(error[i]) === Math.sign(error[peak]) && Math.abs(error[i]) > half;
+            let low = peak;
+            let high = peak;
+            while (low > 0 && sameSide(low - 1)) low--;
+            while (high < grid.length - 1 && sameSide(high + 1)) high++;
+            const octaves = Math.max(0.1, Math.min(4, Math.log2(grid[high] / grid[low]) || 0.1));
+            const q = Math.sqrt(Math.pow(2, octaves)) / (Math.pow(2, octaves) - 1);
+            bands.push({ type: 'peaking', frequency: grid[peak], gain: clampGain(error[peak]), q: Math.max(0.3, Math.min(10, q)) });
+
+            for (let pass = 0; pass < 3; pass++) {
+                bands.forEach(band => {
+                    const others = residual(band);
+                    const index = grid.reduce((best, frequency, i) =>
+                        Math.abs(frequency - band.frequency) < Math.abs(grid[best] - band.frequency) ? i : best, 0);
+                    band.gain = clampGain(others[index]);
+                });
+            }
+        }
+
+        const maxError = Math.max(0, ...residual().map(Math.abs));
+        return { bands, maxError };
+    }
+
+    normalizeEQPreset(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const mode = raw.mode === 'parametric' ? 'parametric' : 'graphic';
+        const preamp = Number.isFinite(raw.preamp) ? Math.max(-24, Math.min(12, raw.preamp)) : 0;
+        const preset = { name: String(raw.name || 'Preset').trim().slice(0, 80) || 'Preset', mode, preamp: Math.round(preamp * 10) / 10 };
+        if (mode === 'parametric') {
+            if (!Array.isArray(raw.bands)) return null;
+            preset.bands = raw.bands.slice(0, 16).map(band => this.normalizeParametricBand(band));
+        } else {
+            if (!Array.isArray(raw.gains)) return null;
+            preset.gains = this.getGraphicEQFrequencies().map((frequency, index) => {
+                const gain = Number(raw.gains[index]);
+                return Number.isFinite(gain) ? Math.round(Math.max(-12, Math.min(12, gain)) * 10) / 10 : 0;
+            });
+        }
+        return preset;
+    }
+
+    // ===================================
+    // EQ PROFILES
+    // ===================================
+
+    setupEQProfileEvents() {
+        const modal = document.getElementById('eqProfileModal');
+        const gainSlider = document.getElementById('eqProfileGain');
+        const closeModal = () => modal.classList.add('hidden');
+
+        document.getElementById('closeEqProfileBtn').addEventListener('click', closeModal);
+        document.getElementById('eqProfileScope').addEventListener('change', () => this.loadEQProfileForm());
+        gainSlider.addEventListener('input', () => {
+            gainSlider.nextElementSibling.textContent = this.formatGainOffset(parseFloat(gainSlider.value));
+        });
+        document.getElementById('saveEqProfileBtn').addEventListener('click', () => {
+            const target = this.getSelectedEQProfileTarget();
+            const preset = document.getElementById('eqProfilePreset').value;
+            const gain = parseFloat(gainSlider.value);
+            if (!preset && gain === 0) this.setEQProfile(target, null);
+            else this.setEQProfile(target, { preset, gain, label: target.label });
+            closeModal();
+            this.showToast('Perfil de ecualizador guardado', 'success');
+        });
+        document.getElementById('removeEqProfileBtn').addEventListener('click', () => {
+            this.setEQProfile(this.getSelectedEQProfileTarget(), null);
+            closeModal();
+            this.showToast('Perfil de ecualizador eliminado', 'success');
+        });
+        document.getElementById('eqProfileIndicator').addEventListener('click', () => {
+            const track = this.library.get(this.currentTrackId);
+            if (!track) return;
+            const targets = this.getEQProfileTargets(track);
+            const active = this.activeEQProfile;
+            this.showEQProfileEditor(targets, active ? targets.findIndex(t => t.scope === active.scope) : 0);
+        });
+    }
+
+    getEQProfileTargets(track) {
+        // En orden de prioridad: la canción manda sobre el álbum, el artista y el género
+        const targets = [{ scope: 'track', key: track.id, label: track.title }];
+        const album = [...this.albums.values()].find(a => a.trackIds.includes(track.id));
+        if (album) targets.push({ scope: 'album', key: album.id, label: album.name });
+        if (track.artist) targets.push({ scope: 'artist', key: track.artist.toLowerCase(), label: track.artist });
+        if (track.genre) targets.push({ scope: 'genre', key: track.genre.toLowerCase(), label: track.genre });
+        return targets;
+    }
+
+    findEQProfile(track) {
+        for (const target of this.getEQProfileTargets(track)) {
+            const profile = this.settings.eqProfiles[target.scope]?.[target.key];
+            if (!profile) continue;
+            // Un preset de usuario eliminado deja el perfil solo con el ajuste de volumen
+            const preset = profile.preset && (!profile.preset.startsWith('user:') || this.eqPresets.has(profile.preset.slice(5))) ? profile.preset : '';
+            return { ...target, profile: { ...profile, preset } };
+        }
+        return null;
+    }
+
+    setEQProfile(target, profile) {
+        const profiles = this.settings.eqProfiles[target.scope] || (this.settings.eqProfiles[target.scope] = {});
+        if (profile) profiles[target.key] = profile;
+        else delete profiles[target.key];
+        this.saveSettings();
+
+        const track = this.library.get(this.currentTrackId);
+        if (track) this.applyEQProfileForTrack(track);
+        this.refreshNormalization();
+    }
+
+    applyEQProfileForTrack(track, inTransition = false) {
+        const previous = this.activeEQProfile;
+        const match = this.findEQProfile(track);
+        const currentPreset = previous && !this.eqProfileOverridden ? previous.profile.preset : '';
+        const targetPreset = match ? match.profile.preset : '';
+        this.activeEQProfile = match;
+        this.eqProfileOverridden = false;
+        this.updateEQProfileIndicator();
+        if (targetPreset === currentPreset || !this.audioContext) return;
+
+        const apply = () => {
+            if (targetPreset) {
+                if (!this.eqProfileBackup) this.eqProfileBackup = this.snapshotEQSettings();
+                this.applyEQPreset(targetPreset, false);
+            } else if (this.eqProfileBackup) {
+                const backup = this.eqProfileBackup;
+                this.eqProfileBackup = null;
+                this.restoreEQSnapshot(backup);
+            }
+        };
+        // En un crossfade o en modo gapless no se silencia la salida: se aplica aunque haya que reconectar
+        if (inTransition || !this.eqChangeNeedsRebuild(targetPreset)) apply();
+        else this.rampEQChange(apply);
+    }
+
+    eqChangeNeedsRebuild(targetPreset) {
+        // Ganancias y filtros cambian con setTargetAtTime; solo cambiar de modo o de número de bandas reconecta la cadena
+        let target = null;
+        if (targetPreset.startsWith('user:')) target = this.eqPresets.get(targetPreset.slice(5));
+        else if (targetPreset && targetPreset !== 'custom') target = { mode: 'graphic' };
+        else if (!targetPreset && this.eqProfileBackup) target = { mode: this.eqProfileBackup.eqMode, bands: this.eqProfileBackup.parametricEq };
+        if (!target) return false;
+        if (target.mode !== this.settings.eqMode) return true;
+        return target.mode === 'parametric' && target.bands.length !== this.parametricNodes.length;
+    }
+
+    rampEQChange(apply) {
+        // Se baja la salida un instante para que la reconexión de filtros no produzca clics
+        const param = this.eqPreampNode.gain;
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(0, now + 0.08);
+
+        clearTimeout(this.eqRampTimeoutId);
+        this.eqRampTimeoutId = setTimeout(() => {
+            apply();
+            const time = this.audioContext.currentTime;
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(0, time);
+            param.linearRampToValueAtTime(Math.pow(10, this.settings.eqPreamp / 20), time + 0.25);
+        }, 90);
+    }
+
+    releaseEQProfile() {
+        if (!this.eqProfileBackup && (!this.activeEQProfile || this.eqProfileOverridden)) return;
+        this.eqProfileBackup = null;
+        if (this.activeEQProfile) this.eqProfileOverridden = true;
+        this.updateEQProfileIndicator();
+    }
+
+    snapshotEQSettings() {
+        return {
+            eqPreset: this.settings.eqPreset,
+            eqMode: this.settings.eqMode,
+            eqPreamp: this.settings.eqPreamp,
+            customEq: [...this.settings.customEq],
+            parametricEq: this.settings.parametricEq.map(band => ({ ...band }))
+        };
+    }
+
+    restoreEQSnapshot(snapshot) {
+        snapshot.customEq.forEach((gain, index) => this.setEQGain(index, gain));
+        this.settings.parametricEq = snapshot.parametricEq;
+        this.selectedEQBand = null;
+        this.rebuildParametricEQ();
+        this.setEQPreamp(snapshot.eqPreamp, false);
+        this.setEQMode(snapshot.eqMode, false);
+        this.settings.eqPreset = snapshot.eqPreset;
+        document.getElementById('eqPresetSelect').value = snapshot.eqPreset;
+        this.updateEQDisplay();
+    }
+
+    getEQPresetLabel(presetName) {
+        if (!presetName) return 'Ecualizador global';
+        const option = [...document.getElementById('eqPresetSelect').options].find(o => o.value === presetName);
+        return option ? option.textContent : presetName;
+    }
+
+    formatGainOffset(gain) {
+        return `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+    }
+
+    updateEQProfileIndicator() {
+        const indicator = document.getElementById('eqProfileIndicator');
+        const active = this.activeEQProfile;
+        indicator.classList.toggle('hidden', !active);
+        if (!active) return;
+
+        const scopeLabels = { track: 'Canción', album: 'Álbum', artist: 'Artista', genre: 'Género' };
+        const { preset, gain } = active.profile;
+        const parts = [];
+        if (preset) parts.push(this.eqProfileOverridden ? 'ajuste manual' : this.getEQPresetLabel(preset));
+        if (gain) parts.push(this.formatGainOffset(gain));
+        indicator.textContent = `EQ · ${scopeLabels[active.scope]}: ${parts.join(' · ')}`;
+        indicator.title = `Perfil de ${scopeLabels[active.scope].toLowerCase()} "${active.label}". Haz clic para editarlo.`;
+        indicator.classList.toggle('overridden', this.eqProfileOverridden);
+    }
+
+    showEQProfileEditor(targets, selectedIndex = 0) {
+        const scopeLabels = { track: 'Esta canción', album: 'Álbum', artist: 'Artista', genre: 'Género' };
+        this.eqProfileTargets = targets;
+
+        const scopeSelect = document.getElementById('eqProfileScope');
+        scopeSelect.innerHTML = '';
+        targets.forEach((target, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${scopeLabels[target.scope]}: ${target.label}`;
+            scopeSelect.appendChild(option);
+        });
+        scopeSelect.value = Math.max(0, selectedIndex);
+        scopeSelect.disabled = targets.length === 1;
+
+        // Mismas opciones que el selector del ecualizador, salvo la curva "Personalizado" que cambia con cada ajuste
+        const presetSelect = document.getElementById('eqProfilePreset');
+        presetSelect.innerHTML = '<option value="">Mantener el ecualizador global</option>';
+        [...document.getElementById('eqPresetSelect').options].forEach(option => {
+            if (option.value === 'custom') return;
+            const copy = document.createElement('option');
+            copy.value = option.value;
+            copy.textContent = option.parentElement.tagName === 'OPTGROUP' ? `${option.textContent} (mi preset)` : option.textContent;
+            presetSelect.appendChild(copy);
+        });
+
+        this.loadEQProfileForm();
+        document.getElementById('eqProfileModal').classList.remove('hidden');
+    }
+
+    getSelectedEQProfileTarget() {
+        return this.eqProfileTargets[parseInt(document.getElementById('eqProfileScope').value, 10)] || this.eqProfileTargets[0];
+    }
+
+    loadEQProfileForm() {
+        const target = this.getSelectedEQProfileTarget();
+        const profile = this.settings.eqProfiles[target.scope]?.[target.key];
+        const presetSelect = document.getElementById('eqProfilePreset');
+        presetSelect.value = profile && profile.preset ? profile.preset : '';
+        if (presetSelect.selectedIndex === -1) presetSelect.value = '';
+        const gainSlider = document.getElementById('eqProfileGain');
+        gainSlider.value = profile ? profile.gain || 0 : 0;
+        gainSlider.nextElementSibling.textContent = this.formatGainOffset(parseFloat(gainSlider.value));
+        document.getElementById('removeEqProfileBtn').disabled = !profile;
+    }
+
+    // ===================================
+    // DSP EFFECTS RACK
+    // ===================================
+
+    setupRackEvents() {
+        const container = document.getElementById('rackModules');
+        const getModuleId = (target) => target.closest('.rack-module')?.dataset.module;
+
+        document.getElementById('closeEffectsBtn').addEventListener('click', () => this.hidePanel('effectsPanel'));
+
+        container.addEventListener('input', (e) => {
+            const id = getModuleId(e.target);
+            if (!id || e.target.type !== 'range') return;
+            const value = parseFloat(e.target.value);
+            this.updateRackParam(id, e.target.dataset.field, value, false);
+            e.target.nextElementSibling.textContent = this.formatRackParam(id, e.target.dataset.field, value);
+        });
+
+        container.addEventListener('change', (e) => {
+            const id = getModuleId(e.target);
+            const field = e.target.dataset.field;
+            if (!id || !field) return;
+            if (field === 'enabled') this.setRackModuleEnabled(id, e.target.checked);
+            else if (field === 'impulseId') this.selectImpulseResponse(e.target.value || null);
+            else if (e.target.type === 'range') this.saveSettings();
+            else {
+                this.updateRackParam(id, field, e.target.value);
+                this.renderRack();
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const id = getModuleId(e.target);
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (!id || !action) return;
+            switch (action) {
+                case 'up': this.moveRackModule(id, -1); break;
+                case 'down': this.moveRackModule(id, 1); break;
+                case 'importImpulse': document.getElementById('impulseFileInput').click(); break;
+                case 'deleteImpulse': this.deleteImpulseResponse(this.settings.rack.reverb.impulseId); break;
+            }
+        });
+
+        document.getElementById('impulseFileInput').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            if (file) await this.importImpulseResponse(file);
+            e.target.value = '';
+        });
+    }
+
+    mergeRackSettings(saved) {
+        const rack = { ...this.settings.rack };
+        Object.keys(rack).forEach(key => {
+            if (key !== 'order') rack[key] = { ...rack[key], ...(saved[key] || {}) };
+        });
+        // Los módulos que falten en un orden guardado se añaden al final
+        const order = (saved.order || []).filter(id => rack.order.includes(id));
+        rack.order = [...order, ...rack.order.filter(id => !order.includes(id))];
+        return rack;
+    }
+
+    getRackModuleDefinitions() {
+        const percent = value => `${Math.round(value * 100)}%`;
+        return {
+            compressor: {
+                label: 'Compresor / limitador',
+                create: () => this.createCompressorModule(),
+                params: [
+                    { key: 'mode', label: 'Modo', type: 'select', options: [['compressor', 'Compresor'], ['limiter', 'Limitador']] },
+                    { key: 'threshold', label: 'Umbral', min: -60, max: 0, step: 1, unit: 'dB' },
+                    { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, format: value => `${value}:1`, compressorOnly: true },
+                    { key: 'knee', label: 'Rodilla', min: 0, max: 40, step: 1, unit: 'dB', compressorOnly: true },
+                    { key: 'attack', label: 'Ataque', min: 0, max: 200, step: 1, unit: 'ms', compressorOnly: true },
+                    { key: 'release', label: 'Liberación', min: 10, max: 1000, step: 10, unit: 'ms' },
+                    { key: 'makeup', label: 'Ganancia de compensación', min: 0, max: 24, step: 0.5, unit: 'dB' },
+                ]
+            },
+            balance: {
+                label: 'Balance y anchura estéreo',
+                create: () => this.createBalanceModule(),
+                params: [
+                    { key: 'balance', label: 'Balance', min: -1, max: 1, step: 0.05, format: value => value === 0 ? 'Centro' : `${percent(Math.abs(value))} ${value < 0 ? 'izq.' : 'der.'}` },
+                    { key: 'width', label: 'Anchura', min: 0, max: 2, step: 0.05, format: percent },
+                ]
+            },
+            mono: {
+                label: 'Mono',
+                create: () => this.createMonoModule(),
+                params: []
+            },
+            crossfeed: {
+                label: 'Crossfeed para auriculares',
+                create: () => this.createCrossfeedModule(),
+                params: [
+                    { key: 'level', label: 'Intensidad', min: 0, max: 0.8, step: 0.05, format: percent },
+                    { key: 'cutoff', label: 'Frecuencia de corte', min: 300, max: 2000, step: 50, unit: 'Hz' },
+                ]
+            },
+            bass: {
+                label: 'Realce de graves',
+                create: () => this.createBassModule(),
+                params: [
+                    { key: 'frequency', label: 'Frecuencia', min: 40, max: 200, step: 5, unit: 'Hz' },
+                    { key: 'boost', label: 'Refuerzo', min: 0, max: 12, step: 0.5, unit: 'dB' },
+                    { key: 'harmonics', label: 'Armónicos', min: 0, max: 1, step: 0.05, format: percent },
+                ]
+            },
+            reverb: {
+                label: 'Reverb por convolución',
+                create: () => this.createReverbModule(),
+                params: [
+                    { key: 'impulseId', label: 'Respuesta al impulso', type: 'impulse' },
+                    { key: 'mix', label: 'Mezcla', min: 0, max: 1, step: 0.05, format: percent },
+                ]
+            },
+            karaoke: {
+                label: 'Karaoke (quitar voz central)',
+                create: () => this.createKaraokeModule(),
+                params: [
+                    { key: 'strength', label: 'Intensidad', min: 0, max: 1, step: 0.05, format: percent },
+                    { key: 'bassKeep', label: 'Conservar graves por debajo de', min: 0, max: 400, step: 10, unit: 'Hz' },
+                ]
+            },
+        };
+    }
+
+    createRack() {
+        // La entrada del rack fuerza estéreo para que los módulos por canal reciban siempre L y R
+        this.rackInput = this.audioContext.createGain();
+        this.rackInput.channelCount = 2;
+        this.rackInput.channelCountMode = 'explicit';
+        this.rackInput.channelInterpretation = 'speakers';
+
+        const definitions = this.getRackModuleDefinitions();
+        this.rackModules.clear();
+        Object.entries(definitions).forEach(([id, definition]) => {
+            const module = definition.create();
+            module.update(this.settings.rack[id]);
+            this.rackModules.set(id, module);
+        });
+        this.loadImpulseResponse();
+    }
+
+    connectRack() {
+        this.rackInput.disconnect();
+        this.rackModules.forEach(module => module.output.disconnect());
+        let currentNode = this.rackInput;
+        this.settings.rack.order.forEach(id => {
+            const module = this.rackModules.get(id);
+            if (!module || !this.settings.rack[id].enabled) return;
+            currentNode.connect(module.input);
+            currentNode = module.output;
+        });
+        currentNode.connect(this.analyser);
+    }
+
+    setAudioParam(param, value) {
+        param.setTargetAtTime(value, this.audioContext.currentTime, 0.02);
+    }
+
+    createCompressorModule() {
+        const compressor = this.audioContext.createDynamicsCompressor();
+        const makeup = this.audioContext.createGain();
+        compressor.connect(makeup);
+        return {
+            input: compressor,
+            output: makeup,
+            update: (settings) => {
+                // El limitador usa ratio máximo, rodilla dura y ataque inmediato
+                const limiter = settings.mode === 'limiter';
+                this.setAudioParam(compressor.threshold, settings.threshold);
+                this.setAudioParam(compressor.ratio, limiter ? 20 : settings.ratio);
+                this.setAudioParam(compressor.knee, limiter ? 0 : settings.knee);
+                this.setAudioParam(compressor.attack, limiter ? 0.001 : settings.attack / 1000);
+                this.setAudioParam(compressor.release, settings.release / 1000);
+                this.setAudioParam(makeup.gain, Math.pow(10, settings.makeup / 20));
+            }
+        };
+    }
+
+    createBalanceModule() {
+        const splitter = this.audioContext.createChannelSplitter(2);
+        const merger = this.audioContext.createChannelMerger(2);
+        // Matriz 2x2: cada salida mezcla su propio canal y el opuesto
+        const [leftToLeft, rightToLeft, leftToRight, rightToRight] = [0, 1, 2, 3].map(() => this.audioContext.createGain());
+        splitter.connect(leftToLeft, 0);
+        splitter.connect(rightToLeft, 1);
+        splitter.connect(leftToRight, 0);
+        splitter.connect(rightToRight, 1);
+        leftToLeft.connect(merger, 0, 0);
+        rightToLeft.connect(merger, 0, 0);
+        leftToRight.connect(merger, 0, 1);
+        rightToRight.connect(merger, 0, 1);
+        return {
+            input: splitter,
+            output: merger,
+            update: (settings) => {
+                const { balance, width } = settings;
+                const left = Math.min(1, 1 - balance);
+                const right = Math.min(1, 1 + balance);
+                this.setAudioParam(leftToLeft.gain, (1 + width) / 2 * left);
+                this.setAudioParam(rightToLeft.gain, (1 - width) / 2 * left);
+                this.setAudioParam(rightToRight.gain, (1 + width) / 2 * right);
+                this.setAudioParam(leftToRight.gain, (1 - width) / 2 * right);
+            }
+        };
+    }
+
+    createMonoModule() {
+        // Un nodo de un canal mezcla L y R; el siguiente lo vuelve a repartir en estéreo
+        const input = this.audioContext.createGain();
+        input.channelCount = 1;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+        const output = this.audioContext.createGain();
+        output.channelCount = 2;
+        output.channelCountMode = 'explicit';
+        output.channelInterpretation = 'speakers';
+        input.connect(output);
+        return { input, output, update: () => {} };
+    }
+
+    createCrossfeedModule() {
+        const splitter = this.audioContext.createChannelSplitter(2);
+        const merger = this.audioContext.createChannelMerger(2);
+        const sides = [0, 1].map(channel => {
+            const direct = this.audioContext.createGain();
+            const lowpass = this.audioContext.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.Q.value = 0.5;
+            // El retardo imita el tiempo que tarda el sonido en llegar al oído opuesto
+            const delay = this.audioContext.createDelay(0.01);
+            delay.delayTime.value = 0.0003;
+            const cross = this.audioContext.createGain();
+            splitter.connect(direct, channel);
+            direct.connect(merger, 0, channel);
+            splitter.connect(lowpass, channel);
+            lowpass.connect(delay);
+            delay.connect(cross);
+            cross.connect(merger, 0, 1 - channel);
+            return { direct, lowpass, cross };
+        });
+        return {
+            input: splitter,
+            output: merger,
+            update: (settings) => {
+                sides.forEach(side => {
+                    this.setAudioParam(side.direct.gain, 1 / (1 + settings.level));
+                    this.setAudioParam(side.cross.gain, settings.level / (1 + settings.level));
+                    this.setAudioParam(side.lowpass.frequency, settings.cutoff);
+                });
+            }
+        };
+    }
+
+    createBassModule() {
+        const input = this.audioContext.createGain();
+        const output = this.audioContext.createGain();
+        const shelf = this.audioContext.createBiquadFilter();
+        shelf.type = 'lowshelf';
+        input.connect(shelf);
+        shelf.connect(output);
+
+        // Rama paralela: la saturación de los graves genera armónicos que se perciben como más grave
+        const lowpass = this.audioContext.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        const shaper = this.audioContext.createWaveShaper();
+        const curve = new Float32Array(1024);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            curve[i] = Math.tanh(3 * x);
+        }
+        shaper.curve = curve;
+        shaper.oversample = '2x';
+        const highpass = this.audioContext.createBiquadFilter();
+        highpass.type = 'highpass';
+        const harmonics = this.audioContext.createGain();
+        input.connect(lowpass);
+        lowpass.connect(shaper);
+        shaper.connect(highpass);
+        highpass.connect(harmonics);
+        harmonics.connect(output);
+
+        return {
+            input,
+            output,
+            update: (settings) => {
+                this.setAudioParam(shelf.frequency, settings.frequency);
+                this.setAudioParam(shelf.gain, settings.boost);
+                this.setAudioParam(lowpass.frequency, settings.frequency);
+                this.setAudioParam(highpass.frequency, settings.frequency * 1.5);
+                this.setAudioParam(harmonics.gain, settings.harmonics);
+            }
+        };
+    }
+
+    createReverbModule() {
+        const input = this.audioContext.createGain();
+        const output = this.audioContext.createGain();
+        const dry = this.audioContext.createGain();
+        const wet = this.audioContext.createGain();
+        const convolver = this.audioContext.createConvolver();
+        input.connect(dry);
+        dry.connect(output);
+        input.connect(convolver);
+        convolver.connect(wet);
+        wet.connect(output);
+
+        const module = {
+            input,
+            output,
+            update: (settings) => {
+                // Sin respuesta al impulso la señal pasa sin atenuar
+                const mix = convolver.buffer ? settings.mix : 0;
+                this.setAudioParam(dry.gain, 1 - mix);
+                this.setAudioParam(wet.gain, mix);
+            },
+            setBuffer: (buffer) => {
+                convolver.buffer = buffer;
+                module.update(this.settings.rack.reverb);
+            }
+        };
+        return module;
+    }
+
+    createKaraokeModule() {
+        const splitter = this.audioContext.createChannelSplitter(2);
+        const merger = this.audioContext.createChannelMerger(2);
+        const halfGain = (value) => {
+            const gain = this.audioContext.createGain();
+            gain.gain.value = value;
+            return gain;
+        };
+
+        // Medio = (L + R) / 2 y lateral = (L - R) / 2; la voz suele estar en el canal medio
+        const mid = this.audioContext.createGain();
+        const side = this.audioContext.createGain();
+        [[0, 0.5, mid], [1, 0.5, mid], [0, 0.5, side], [1, -0.5, side]].forEach(([channel, value, target]) => {
+            const gain = halfGain(value);
+            splitter.connect(gain, channel);
+            gain.connect(target);
+        });
+
+        const midKeep = this.audioContext.createGain();
+        const bassFilter = this.audioContext.createBiquadFilter();
+        bassFilter.type = 'lowpass';
+        const bassKeep = this.audioContext.createGain();
+        const invertedSide = halfGain(-1);
+        mid.connect(midKeep);
+        mid.connect(bassFilter);
+        bassFilter.connect(bassKeep);
+        side.connect(invertedSide);
+        [midKeep, bassKeep].forEach(node => {
+            node.connect(merger, 0, 0);
+            node.connect(merger, 0, 1);
+        });
+        side.connect(merger, 0, 0);
+        invertedSide.connect(merger, 0, 1);
+
+        return {
+            input: splitter,
+            output: merger,
+            update: (settings) => {
+                this.setAudioParam(midKeep.gain, 1 - settings.strength);
+                this.setAudioParam(bassKeep.gain, settings.bassKeep > 0 ? settings.strength : 0);
+                this.setAudioParam(bassFilter.frequency, Math.max(20, settings.bassKeep));
+            }
+        };
+    }
+
+    setRackModuleEnabled(id, enabled) {
+        this.settings.rack[id].enabled = enabled;
+        if (this.audioContext) this.connectRack();
+        document.querySelector(`.rack-module[data-module="${id}"]`)?.classList.toggle('enabled', enabled);
+        this.saveSettings();
+    }
+
+    updateRackParam(id, key, value, save = true) {
+        this.settings.rack[id][key] = value;
+        const module = this.rackModules.get(id);
+        if (module) module.update(this.settings.rack[id]);
+        if (save) this.saveSettings();
+    }
+
+    moveRackModule(id, direction) {
+        const order = this.settings.rack.order;
+        const from = order.indexOf(id);
+        const to = from + direction;
+        if (to < 0 || to >= order.length) return;
+        [order[from], order[to]] = [order[to], order[from]];
+        if (this.audioContext) this.connectRack();
+        this.renderRack();
+        this.saveSettings();
+    }
+
+    formatRackParam(id, key, value) {
+        const param = this.getRackModuleDefinitions()[id].params.find(p => p.key === key);
+        if (param.format) return param.format(value);
+        return `${value} ${param.unit}`;
+    }
+
+    renderRack() {
+        const container = document.getElementById('rackModules');
+        const definitions = this.getRackModuleDefinitions();
+        const impulses = [...this.assets.values()].filter(asset => asset.type === 'impulse');
+        const order = this.settings.rack.order;
+        container.innerHTML = '';
+
+        order.forEach((id, index) => {
+            const definition = definitions[id];
+            const state = this.settings.rack[id];
+            const card = document.createElement('div');
+            card.className = 'rack-module';
+            card.classList.toggle('enabled', state.enabled);
+            card.dataset.module = id;
+
+            const params = definition.params.map(param => {
+                if (param.type === 'select') {
+                    return `
+                        <div class="form-group">
+                            <label>${param.label}</label>
+                            <select class="glass-select" data-field="${param.key}">
+                                ${param.options.map(([value, label]) => `<option value="${value}" ${state[param.key] === value ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        </div>`;
+                }
+                if (param.type === 'impulse') {
+                    return `
+                        <div class="form-group">
+                            <label>${param.label}</label>
+                            <div class="rack-impulse">
+                                <select class="glass-select" data-field="impulseId">
+                                    <option value="">Ninguna</option>
+                                </select>
+                                <button class="glass-btn" data-action="importImpulse">Importar…</button>
+                                <button class="glass-btn" data-action="deleteImpulse" ${state.impulseId ? '' : 'disabled'}>Eliminar</button>
+                            </div>
+                        </div>`;
+                }
+                const disabled = param.compressorOnly && state.mode === 'limiter';
+                return `
+                    <div class="slider-control">
+                        <label>${param.label}</label>
+                        <input type="range" data-field="${param.key}" min="${param.min}" max="${param.max}" step="${param.step}" value="${state[param.key]}" ${disabled ? 'disabled' : ''}>
+                        <span class="slider-value">${this.formatRackParam(id, param.key, state[param.key])}</span>
+                    </div>`;
+            }).join('');
+
+            card.innerHTML = `
+                <div class="rack-module-header">
+                    <label class="rack-toggle">
+                        <input type="checkbox" data-field="enabled" ${state.enabled ? 'checked' : ''}>
+                        <span>${definition.label}</span>
+                    </label>
+                    <button class="bookmark-btn" data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="bookmark-btn" data-action="down" title="Bajar" ${index === order.length - 1 ? 'disabled' : ''}>↓</button>
+                </div>
+                ${params ? `<div class="rack-params">${params}</div>` : ''}
+            `;
+
+            const impulseSelect = card.querySelector('[data-field="impulseId"]');
+            if (impulseSelect) {
+                impulses.forEach(asset => {
+                    const option = document.createElement('option');
+                    option.value = asset.id;
+                    option.textContent = asset.filename;
+                    impulseSelect.appendChild(option);
+                });
+                impulseSelect.value = state.impulseId || '';
+            }
+            container.appendChild(card);
+        });
+    }
+
+    async loadImpulseResponse() {
+        const module = this.rackModules.get('reverb');
+        const impulseId = this.settings.rack.reverb.impulseId;
+        const asset = impulseId ? this.assets.get(impulseId) : null;
+        let buffer = null;
+        if (asset) {
+            buffer = this.impulseBuffers.get(impulseId);
+            if (!buffer) {
+                try {
+                    buffer = await this.audioContext.decodeAudioData(await asset.blob.arrayBuffer());
+                    this.impulseBuffers.set(impulseId, buffer);
+                } catch (error) {
+                    console.error('Error al decodificar la respuesta al impulso:', error);
+                    this.showToast('No se pudo cargar la respuesta al impulso', 'error');
+                }
+            }
+        }
+        if (module) module.setBuffer(buffer);
+    }
+
+    async importImpulseResponse(file) {
+        if (!this.audioContext) return;
+        let buffer;
+        try {
+            buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+        } catch (error) {
+            console.error('Respuesta al impulso no válida:', error);
+            this.showToast(`"${file.name}" no es un archivo de audio válido`, 'error');
+            return;
+        }
+
+        const asset = { id: this.generateId(), type: 'impulse', blob: file, filename: file.name };
+        await this.saveToStore('assets', asset);
+        this.assets.set(asset.id, asset);
+        this.impulseBuffers.set(asset.id, buffer);
+        await this.selectImpulseResponse(asset.id);
+        this.showToast(`Respuesta al impulso "${file.name}" importada`, 'success');
+    }
+
+    async selectImpulseResponse(impulseId) {
+        this.settings.rack.reverb.impulseId = impulseId;
+        await this.loadImpulseResponse();
+        this.renderRack();
+        this.saveSettings();
+    }
+
+    async deleteImpulseResponse(impulseId) {
+        const asset = this.assets.get(impulseId);
+        if (!asset || !confirm(`¿Eliminar la respuesta al impulso "${asset.filename}"?`)) return;
+        await this.deleteFromStore('assets', impulseId);
+        this.assets.delete(impulseId);
+        this.impulseBuffers.delete(impulseId);
+        await this.selectImpulseResponse(null);
+    }
+
+    // ===================================
+    // SPEED, PITCH & A–B LOOP
+    // ===================================
+
+    setupSpeedEvents() {
+        const speedSlider = document.getElementById('speedSlider');
+        const pitchSlider = document.getElementById('pitchSlider');
+
+        document.getElementById('closeSpeedBtn').addEventListener('click', () => this.hidePanel('speedPanel'));
+        speedSlider.addEventListener('input', () => this.setPlaybackSpeed(parseFloat(speedSlider.value), false));
+        speedSlider.addEventListener('change', () => this.setPlaybackSpeed(parseFloat(speedSlider.value)));
+        document.getElementById('speedPresets').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-speed]');
+            if (button) this.setPlaybackSpeed(parseFloat(button.dataset.speed));
+        });
+        document.getElementById('preservePitch').addEventListener('change', (e) => {
+            this.settings.playback.preservesPitch = e.target.checked;
+            this.decks.forEach(deck => this.applyPlaybackRate(deck.element, deck.element.playbackRate));
+            this.saveSettings();
+        });
+        document.getElementById('rememberTrackSpeed').addEventListener('change', (e) => this.setRememberTrackSpeed(e.target.checked));
+        pitchSlider.addEventListener('input', () => {
+            document.getElementById('pitchValue').textContent = this.formatSemitones(parseInt(pitchSlider.value, 10));
+        });
+        pitchSlider.addEventListener('change', () => this.setPitchShift(parseInt(pitchSlider.value, 10)));
+
+        document.getElementById('setLoopStartBtn').addEventListener('click', () => this.setAbLoopPoint('start', this.getMediaElement().currentTime));
+        document.getElementById('setLoopEndBtn').addEventListener('click', () => this.setAbLoopPoint('end', this.getMediaElement().currentTime));
+        document.getElementById('clearLoopBtn').addEventListener('click', () => this.clearAbLoop());
+
+        document.querySelector('.player-progress .progress-bar').addEventListener('contextmenu', (e) => {
+            const element = this.getMediaElement();
+            if (!this.currentTrackId || !element.duration || isNaN(element.duration)) return;
+            e.preventDefault();
+            const rect = e.currentTarget.getBoundingClientRect();
+            const time = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * element.duration;
+            this.showAbLoopMenu(e, time);
+        });
+
+        this.updateSpeedDisplay();
+    }
+
+    getTrackSpeed(track) {
+        return track && track.playbackSpeed ? track.playbackSpeed : this.settings.playback.speed;
+    }
+
+    applyPlaybackRate(element, speed) {
+        // defaultPlaybackRate evita que el navegador vuelva a 1× al cambiar de fuente
+        element.defaultPlaybackRate = speed;
+        element.playbackRate = speed;
+        element.preservesPitch = this.settings.playback.preservesPitch;
+        element.webkitPreservesPitch = this.settings.playback.preservesPitch;
+    }
+
+    async setPlaybackSpeed(speed, save = true) {
+        const value = Math.round(Math.max(0.5, Math.min(3, speed)) * 100) / 100;
+        const track = this.library.get(this.currentTrackId);
+        // La velocidad recordada de una pista tiene prioridad sobre la global
+        if (track && track.playbackSpeed) track.playbackSpeed = value;
+        else this.settings.playback.speed = value;
+        this.applyPlaybackRate(this.getMediaElement(), value);
+        this.updateSpeedDisplay();
+        if (!save) return;
+        if (track && track.playbackSpeed) await this.saveToStore('tracks', track);
+        else await this.saveSettings();
+    }
+
+    async setRememberTrackSpeed(remember) {
+        const track = this.library.get(this.currentTrackId);
+        if (!track) return;
+        if (remember) {
+            track.playbackSpeed = this.getMediaElement().playbackRate || this.settings.playback.speed;
+        } else {
+            delete track.playbackSpeed;
+            this.applyPlaybackRate(this.getMediaElement(), this.settings.playback.speed);
+        }
+        await this.saveToStore('tracks', track);
+        this.updateSpeedDisplay();
+        this.showToast(remember ? `Velocidad ${this.formatSpeed(track.playbackSpeed)} guardada para esta pista` : 'La pista usa la velocidad general', 'success');
+    }
+
+    async setPitchShift(semitones, save = true) {
+        this.settings.playback.pitch = Math.round(Math.max(-12, Math.min(12, semitones)));
+        if (this.settings.playback.pitch !== 0 && this.audioContext && !this.pitchShifterNode) {
+            try {
+                await this.audioContext.audioWorklet.addModule('pitch-shifter-worklet.js');
+                this.pitchShifterNode = new AudioWorkletNode(this.audioContext, 'pitch-shifter', { outputChannelCount: [2] });
+            } catch (error) {
+                console.error('Error al cargar el cambio de tono:', error);
+                this.showToast('El cambio de tono no está disponible en este navegador', 'error');
+                this.settings.playback.pitch = 0;
+            }
+        }
+        if (this.pitchShifterNode) {
+            this.pitchShifterNode.parameters.get('pitchRatio').value = Math.pow(2, this.settings.playback.pitch / 12);
+        }
+        if (this.audioContext) this.connectEQChain();
+        this.updateSpeedDisplay();
+        if (save) this.saveSettings();
+    }
+
+    formatSpeed(speed) {
+        return `${Number(speed.toFixed(2))}×`;
+    }
+
+    formatSemitones(semitones) {
+        if (semitones === 0) return 'Original';
+        return `${semitones > 0 ? '+' : ''}${semitones} semitono${Math.abs(semitones) === 1 ? '' : 's'}`;
+    }
+
+    updateSpeedDisplay() {
+        const track = this.library.get(this.currentTrackId);
+        const speed = this.getTrackSpeed(track);
+        const { preservesPitch, pitch } = this.settings.playback;
+        const button = document.getElementById('speedBtn');
+        document.getElementById('speedLabel').textContent = this.formatSpeed(speed);
+        button.classList.toggle('active', speed !== 1 || pitch !== 0 || this.abLoop.start !== null);
+
+        document.getElementById('speedSlider').value = speed;
+        document.getElementById('speedValue').textContent = this.formatSpeed(speed);
+        document.getElementById('preservePitch').checked = preservesPitch;
+        const remember = document.getElementById('rememberTrackSpeed');
+        remember.checked = !!(track && track.playbackSpeed);
+        remember.disabled = !track;
+        document.getElementById('pitchSlider').value = pitch;
+        document.getElementById('pitchValue').textContent = this.formatSemitones(pitch);
+        document.querySelectorAll('#speedPresets [data-speed]').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+        this.updateAbLoopDisplay();
+    }
+
+    showAbLoopMenu(event, time) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+        menu.innerHTML = `
+            <button class="glass-btn" data-action="start">Inicio del bucle (A) en ${this.formatTime(time)}</button>
+            <button class="glass-btn" data-action="end">Fin del bucle (B) en ${this.formatTime(time)}</button>
+            ${this.abLoop.start !== null ? '<div class="context-divider"></div><button class="glass-btn" data-action="clear">Quitar bucle</button>' : ''}
+        `;
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action) => {
+            if (action === 'clear') this.clearAbLoop();
+            else this.setAbLoopPoint(action, time);
+        });
+    }
+
+    setAbLoopPoint(point, time) {
+        const element = this.getMediaElement();
+        if (!this.currentTrackId || !element.duration || isNaN(element.duration)) return;
+        // B se queda un poco antes del final para que la pista no llegue a terminar
+        const clamped = Math.max(0, Math.min(element.duration - 0.05, time));
+        if (point === 'start') {
+            this.abLoop.start = clamped;
+            if (this.abLoop.end !== null && this.abLoop.end <= clamped + 0.1) this.abLoop.end = null;
+        } else {
+            const start = this.abLoop.start ?? 0;
+            if (clamped <= start + 0.1) {
+                this.showToast('El punto B debe estar después del punto A', 'warning');
+                return;
+            }
+            this.abLoop.start = start;
+            this.abLoop.end = clamped;
+            element.currentTime = start;
+        }
+
+        clearInterval(this.abLoopIntervalId);
+        this.abLoopIntervalId = null;
+        if (this.abLoop.end !== null) {
+            // timeupdate llega cada ~250 ms; el bucle necesita más precisión para ensayar
+            this.abLoopIntervalId = setInterval(() => this.checkAbLoop(), 30);
+            this.cancelPendingTransition();
+        }
+        this.updateSpeedDisplay();
+    }
+
+    cycleAbLoop() {
+        const time = this.getMediaElement().currentTime;
+        if (this.abLoop.start === null) this.setAbLoopPoint('start', time);
+        else if (this.abLoop.end === null) this.setAbLoopPoint('end', time);
+        else this.clearAbLoop();
+    }
+
+    clearAbLoop() {
+        clearInterval(this.abLoopIntervalId);
+        this.abLoopIntervalId = null;
+        this.abLoop = { start: null, end: null };
+        this.updateSpeedDisplay();
+    }
+
+    checkAbLoop() {
+        const { start, end } = this.abLoop;
+        if (end === null) return;
+        const element = this.getMediaElement();
+        if (element.currentTime >= end) element.currentTime = start;
+    }
+
+    updateAbLoopDisplay() {
+        const region = document.getElementById('abLoopRegion');
+        const status = document.getElementById('abLoopStatus');
+        const { start, end } = this.abLoop;
+        const duration = this.getMediaElement().duration;
+        if (start === null || !duration || isNaN(duration)) {
+            region.classList.add('hidden');
+            status.textContent = 'Sin bucle';
+            return;
+        }
+        region.classList.remove('hidden');
+        region.classList.toggle('open', end === null);
+        region.style.left = `${start / duration * 100}%`;
+        region.style.width = end === null ? '0' : `${(end - start) / duration * 100}%`;
+        status.textContent = end === null
+            ? `A ${this.formatTime(start)} · marca B`
+            : `A ${this.formatTime(start)} – B ${this.formatTime(end)}`;
+    }
+
+    // ===================================
+    // VISUALIZERS
+    // ===================================
+
+    startVisualizer() {
+        this.stopVisualizer();
+        const canvas = document.getElementById('visualizerCanvas');
+        const ctx = canvas.getContext('2d');
+        const bufferLength = this.analyser.frequencyBinCount;
+        const dataArray = new Uint8Array(bufferLength);
+
+        const draw = () => {
+            this.visualizerAnimationId = requestAnimationFrame(draw);
+            this.analyser.getByteFrequencyData(dataArray);
+            
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            const barWidth = (canvas.width / bufferLength) * 1.5;
+            let x = 0;
+            
+            for (let i = 0; i < bufferLength; i++) {
+                const barHeight = dataArray[i] / 2.5;
+                ctx.fillStyle = `rgba(${getComputedStyle(document.documentElement).getPropertyValue('--accent-rgb')}, 0.7)`;
+                ctx.fillRect(x, canvas.height - barHeight, barWidth, barHeight);
+                x += barWidth + 2;
+            }
+        };
+        draw();
+    }
+    stopVisualizer() { cancelAnimationFrame(this.visualizerAnimationId); }
+    
+    startEQVisualizer() {
+        this.stopEQVisualizer();
+        const canvas = document.getElementById('eqVisualizerCanvas');
+        if (!canvas || !this.analyser) return;
+
+        // CAMBIO: Se redimensiona el canvas justo antes de empezar a dibujar
+        this.resizeCanvases();
+
+        const ctx = canvas.getContext('2d');
+        const bufferLength = this.analyser.frequencyBinCount;
+        const dataArray = new Uint8Array(bufferLength);
+        const width = canvas.width;
+        const height = canvas.height;
+
+        const draw = () => {
+            if (!this.eqVisualizerAnimationId) return;
+            this.eqVisualizerAnimationId = requestAnimationFrame(draw);
+            
+            this.analyser.getByteFrequencyData(dataArray);
+            
+            ctx.clearRect(0, 0, width, height);
+            
+            const accentRGB = getComputedStyle(document.documentElement).getPropertyValue('--accent-rgb');
+            
+            const gradient = ctx.createLinearGradient(0, 0, 0, height);
+            gradient.addColorStop(0, `rgba(${accentRGB}, 0.5)`);
+            gradient.addColorStop(1, `rgba(${accentRGB}, 0)`);
+            ctx.fillStyle = gradient;
+            
+            ctx.beginPath();
+            ctx.moveTo(0, height);
+            
+            const sliceWidth = width * 1.0 / bufferLength;
+            // En modo paramétrico el espectro usa el mismo eje logarítmico que la curva
+            const logScale = this.settings.eqMode === 'parametric';
+            const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+            const binX = (i) => logScale ? this.eqFrequencyToX(Math.max(20, i * binWidth), width) : i * sliceWidth;
+
+            for(let i = 0; i < bufferLength; i++) {
+                const v = dataArray[i] / 255.0;
+                const y = height - (v * height);
+                ctx.lineTo(binX(i), y);
+            }
+
+            ctx.lineTo(width, height);
+            ctx.closePath();
+            ctx.fill();
+
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = `rgba(${accentRGB}, 0.8)`;
+            ctx.beginPath();
+            for(let i = 0; i < bufferLength; i++) {
+                const v = dataArray[i] / 255.0;
+                const y = height - (v * height);
+                 if (i === 0) {
+                    ctx.moveTo(binX(i), y);
+                } else {
+                    ctx.lineTo(binX(i), y);
+                }
+            }
+            // CAMBIO: Se asegura que la línea llegue hasta el final del canvas
+            ctx.lineTo(width, height - (dataArray[bufferLength-1] / 255.0 * height));
+            ctx.stroke();
+
+            this.drawEQResponse(ctx, width, height, accentRGB);
+        };
+
+        this.eqVisualizerAnimationId = requestAnimationFrame(draw);
+    }
+
+    stopEQVisualizer() { 
+        if (this.eqVisualizerAnimationId) {
+            cancelAnimationFrame(this.eqVisualizerAnimationId);
+            this.eqVisualizerAnimationId = null;
+        }
+    }
+
+    // ===================================
+    // PLAYLISTS, ALBUMS, ARTISTS
+    // ===================================
+    
+    async createPlaylist() {
+        const name = prompt("Nombre de la nueva playlist:");
+        if (!name || name.trim() === '') return;
+
+        const playlist = {
+            id: this.generateId(),
+            name,
+            trackIds: [],
+            coverAssetId: null,
+            createdAt: Date.now()
+        };
+        
+        await this.saveToStore('playlists', playlist);
+        this.playlists.set(playlist.id, playlist);
+        await this.updatePlaylistsDisplay();
+        this.showToast(`Playlist "${name}" creada`, 'success');
+    }
+
+    async updatePlaylistsDisplay() {
+        const grid = document.getElementById('playlistsGrid');
+        grid.innerHTML = '';
+
+        const sortedPlaylists = Array.from(this.playlists.values())
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        for (const playlist of sortedPlaylists) {
+            const element = await this.createPlaylistElement(playlist);
+            grid.appendChild(element);
+        }
+        this.updateSidebarPlaylists();
+    }
+
+    async createPlaylistElement(playlist) {
+        const div = document.createElement('div');
+        div.className = 'playlist-item';
+        div.dataset.playlistId = playlist.id;
+
+        let coverUrl = '';
+        if (playlist.coverAssetId && this.assets.has(playlist.coverAssetId)) {
+             coverUrl = this.getAssetUrl(playlist.coverAssetId, 512);
+        } else if (playlist.trackIds.length > 0) {
+            const firstTrack = this.library.get(playlist.trackIds[0]);
+            if (firstTrack && firstTrack.coverAssetId && this.assets.has(firstTrack.coverAssetId)) {
+                coverUrl = this.getAssetUrl(firstTrack.coverAssetId, 512);
+            }
+        }
+
+        div.innerHTML = `
+            <button class="edit-btn" aria-label="Editar playlist">
+                <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
+            </button>
+            <div class="playlist-cover" style="background-image: url('${coverUrl}')"></div>
+            <div class="playlist-info">
+                <div class="playlist-name">${playlist.smart ? '<span class="smart-badge">Smart</span>' : ''}${playlist.name}</div>
+                <div class="playlist-track-count">${playlist.trackIds.length} canciones</div>
+            </div>
+        `;
+        
+        div.addEventListener('click', () => {
+            this.switchView('playlistDetail', { playlistId: playlist.id });
+        });
+        
+        div.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (playlist.smart) this.showSmartPlaylistEditor(playlist);
+            else this.showPlaylistEditor(playlist);
+        });
+
+        div.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showPlaylistContextMenu(e, playlist);
+        });
+
+        return div;
+    }
+
+    // ===================================
+    // PLAYLIST EDITING
+    // ===================================
+
+    setupPlaylistEditingEvents() {
+        document.getElementById('sortPlaylistBtn').addEventListener('click', (e) => this.showPlaylistSortMenu(e));
+        document.getElementById('undoPlaylistBtn').addEventListener('click', () => this.undoPlaylistChange());
+
+        const grid = document.getElementById('playlistTracksGrid');
+        const clearDropMarkers = () => {
+            document.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach(el => el.classList.remove('drop-before', 'drop-after', 'drop-target'));
+        };
+        grid.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.track-item');
+            if (!item || this.playlistDragIndex === null) return;
+            e.preventDefault();
+            const rect = item.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            clearDropMarkers();
+            item.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+        grid.addEventListener('drop', (e) => {
+            const item = e.target.closest('.track-item');
+            if (!item || this.playlistDragIndex === null) return;
+            e.preventDefault();
+            const target = Number(item.dataset.entryIndex) + (item.classList.contains('drop-after') ? 1 : 0);
+            this.movePlaylistEntry(this.playlistDragIndex, target);
+        });
+        document.addEventListener('dragend', () => {
+            this.playlistDragIndex = null;
+            clearDropMarkers();
+        });
+
+        const sidebarList = document.getElementById('sidebarPlaylists');
+        sidebarList.addEventListener('click', (e) => {
+            const item = e.target.closest('.sidebar-playlist');
+            if (item) this.switchView('playlistDetail', { playlistId: item.dataset.playlistId });
+        });
+        sidebarList.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.sidebar-playlist');
+            if (!item || item.classList.contains('smart') || !e.dataTransfer.types.includes('application/x-finalplayer-tracks')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            clearDropMarkers();
+            item.classList.add('drop-target');
+        });
+        sidebarList.addEventListener('dragleave', (e) => {
+            const item = e.target.closest('.sidebar-playlist');
+            if (item && !item.contains(e.relatedTarget)) item.classList.remove('drop-target');
+        });
+        sidebarList.addEventListener('drop', async (e) => {
+            const item = e.target.closest('.sidebar-playlist');
+            if (!item) return;
+            e.preventDefault();
+            clearDropMarkers();
+            const trackIds = JSON.parse(e.dataTransfer.getData('application/x-finalplayer-tracks') || '[]');
+            await this.addTracksToPlaylist(item.dataset.playlistId, trackIds);
+        });
+    }
+
+    handleTrackDragStart(event, track, gridId, entryIndex) {
+        // Si la canción forma parte de la selección se arrastra toda la selección, en el orden de la vista
+        const trackIds = this.selection.has(track.id)
+            ? [...new Set(this.virtualGrids.get(gridId).items.map(item => item.id))].filter(id => this.selection.has(id))
+            : [track.id];
+        event.dataTransfer.effectAllowed = 'copyMove';
+        event.dataTransfer.setData('application/x-finalplayer-tracks', JSON.stringify(trackIds));
+        const playlist = this.getEditablePlaylistInView();
+        this.playlistDragIndex = playlist && entryIndex !== undefined && trackIds.length === 1 ? entryIndex : null;
+    }
+
+    getEditablePlaylistInView() {
+        if (this.currentView !== 'playlistDetail') return null;
+        const playlist = this.playlists.get(this.currentViewData?.playlistId);
+        return playlist && !playlist.smart ? playlist : null;
+    }
+
+    updateSidebarPlaylists() {
+        const listEl = document.getElementById('sidebarPlaylists');
+        listEl.innerHTML = '';
+        const activeId = this.currentView === 'playlistDetail' ? this.currentViewData?.playlistId : null;
+        [...this.playlists.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(playlist => {
+                const item = document.createElement('button');
+                item.className = 'sidebar-playlist';
+                item.classList.toggle('smart', !!playlist.smart);
+                item.classList.toggle('active', playlist.id === activeId);
+                item.dataset.playlistId = playlist.id;
+                item.title = playlist.smart ? playlist.name : `${playlist.name} — arrastra canciones aquí para añadirlas`;
+                item.innerHTML = `<span class="sidebar-playlist-name"></span><span class="sidebar-playlist-count">${playlist.trackIds.length}</span>`;
+                item.querySelector('.sidebar-playlist-name').textContent = playlist.name;
+                listEl.appendChild(item);
+            });
+    }
+
+    async addTracksToPlaylist(playlistId, trackIds) {
+        const playlist = this.playlists.get(playlistId);
+        if (!playlist || playlist.smart) return 0;
+        const ids = this.settings.library.playlistDuplicates
+            ? trackIds.filter(id => this.library.has(id))
+            : [...new Set(trackIds)].filter(id => this.library.has(id) && !playlist.trackIds.includes(id));
+        if (ids.length === 0) {
+            this.showToast(trackIds.length === 1 ? `La canción ya está en ${playlist.name}` : `Las canciones ya están en ${playlist.name}`, 'info');
+            return 0;
+        }
+        await this.commitPlaylistChange(playlist, [...playlist.trackIds, ...ids],
+            ids.length === 1 ? `Añadido a ${playlist.name}` : `${ids.length} canciones añadidas a ${playlist.name}`);
+        return ids.length;
+    }
+
+    async removePlaylistEntries(playlist, indexes) {
+        if (!playlist || indexes.length === 0) return;
+        const removed = new Set(indexes);
+        await this.commitPlaylistChange(playlist, playlist.trackIds.filter((id, index) => !removed.has(index)),
+            removed.size === 1 ? `Quitada de ${playlist.name}` : `${removed.size} canciones quitadas de ${playlist.name}`);
+    }
+
+    async movePlaylistEntry(from, to) {
+        const playlist = this.getEditablePlaylistInView();
+        if (!playlist) return;
+        // `to` es la posición de inserción antes de quitar la entrada
+        const target = from < to ? to - 1 : to;
+        if (target === from) return;
+        const trackIds = [...playlist.trackIds];
+        const [trackId] = trackIds.splice(from, 1);
+        trackIds.splice(target, 0, trackId);
+        await this.commitPlaylistChange(playlist, trackIds, null);
+    }
+
+    showPlaylistSortMenu(event) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+        menu.innerHTML = `
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="title">Por título</button>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="artist">Por artista</button>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="album">Por álbum</button>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="year">Por año</button>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="duration">Por duración</button>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="addedAt">Por fecha de añadido</button>
+            <div class="context-divider"></div>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="reverse">Invertir orden</button>
+            <button class="glass-btn" data-action="sortPlaylist" data-sort="shuffle">Mezclar</button>
+        `;
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action, button) => this.sortPlaylist(button.dataset.sort));
+    }
+
+    async sortPlaylist(sortBy) {
+        const playlist = this.getEditablePlaylistInView();
+        if (!playlist) return;
+
+        let trackIds;
+        if (sortBy === 'reverse') {
+            trackIds = [...playlist.trackIds].reverse();
+        } else if (sortBy === 'shuffle') {
+            trackIds = [...playlist.trackIds]
+                .map(value => ({ value, sort: Math.random() }))
+                .sort((a, b) => a.sort - b.sort)
+                .map(({ value }) => value);
+        } else {
+            const compareText = (a, b) => (a || '').localeCompare(b || '', undefined, { numeric: true, sensitivity: 'base' });
+            const comparators = {
+                title: (a, b) => compareText(a.title, b.title),
+                artist: (a, b) => compareText(a.artist, b.artist) || compareText(a.album, b.album) || (a.trackNumber || 0) - (b.trackNumber || 0),
+                album: (a, b) => compareText(a.album, b.album) || (a.trackNumber || 0) - (b.trackNumber || 0),
+                year: (a, b) => (a.year || 0) - (b.year || 0) || compareText(a.album, b.album),
+                duration: (a, b) => (a.duration || 0) - (b.duration || 0),
+                addedAt: (a, b) => (a.addedAt || 0) - (b.addedAt || 0),
+            };
+            // Las entradas cuya canción ya no existe quedan al final
+            trackIds = [...playlist.trackIds].sort((idA, idB) => {
+                const a = this.library.get(idA);
+                const b = this.library.get(idB);
+                if (!a || !b) return (!a) - (!b);
+                return comparators[sortBy](a, b);
+            });
+        }
+        await this.commitPlaylistChange(playlist, trackIds, `Playlist "${playlist.name}" reordenada`);
+    }
+
+    async commitPlaylistChange(playlist, trackIds, message) {
+        this.playlistUndoStack.push({ playlistId: playlist.id, trackIds: [...playlist.trackIds], message: message || `Cambio de orden en ${playlist.name}` });
+        if (this.playlistUndoStack.length > 50) this.playlistUndoStack.shift();
+
+        playlist.trackIds = trackIds;
+        await this.saveToStore('playlists', playlist);
+        await this.refreshPlaylistViews(playlist.id);
+        if (message) {
+            const undoHint = this.getEditablePlaylistInView() === playlist ? ' (Ctrl+Z para deshacer)' : '';
+            this.showToast(`${message}${undoHint}`, 'success');
+        }
+    }
+
+    async undoPlaylistChange() {
+        // Se deshace el último cambio de la playlist en pantalla, no el de otra que no se ve
+        const playlist = this.getEditablePlaylistInView();
+        if (!playlist) return;
+        const stackIndex = this.playlistUndoStack.map(change => change.playlistId).lastIndexOf(playlist.id);
+        if (stackIndex === -1) {
+            this.showToast('No hay cambios de playlist que deshacer', 'info');
+            return;
+        }
+        const [change] = this.playlistUndoStack.splice(stackIndex, 1);
+
+        playlist.trackIds = change.trackIds;
+        await this.saveToStore('playlists', playlist);
+        await this.refreshPlaylistViews(playlist.id);
+        this.showToast(`Deshecho: ${change.message}`, 'info');
+    }
+
+    async refreshPlaylistViews(playlistId) {
+        if (this.currentView === 'playlistDetail' && this.currentViewData?.playlistId === playlistId) {
+            // Los índices de entrada cambian con la edición: la selección ya no es válida
+            this.clearSelection();
+            await this.updatePlaylistDetailView(playlistId);
+        } else if (this.currentView === 'playlists') {
+            await this.updatePlaylistsDisplay();
+        }
+        this.updateSidebarPlaylists();
+    }
+
+    // ===================================
+    // SMART PLAYLISTS
+    // ===================================
+
+    getSmartPlaylistFields() {
+        return {
+            title: { label: 'Título', type: 'text' },
+            artist: { label: 'Artista', type: 'text' },
+            album: { label: 'Álbum', type: 'text' },
+            genre: { label: 'Género', type: 'text' },
+            year: { label: 'Año', type: 'number' },
+            duration: { label: 'Duración', type: 'duration' },
+            playCount: { label: 'Reproducciones', type: 'number' },
+            rating: { label: 'Valoración', type: 'number' },
+            addedAt: { label: 'Añadida', type: 'date' },
+        };
+    }
+
+    getSmartPlaylistOperators(type) {
+        const operators = {
+            text: { contains: 'contiene', notContains: 'no contiene', is: 'es', isNot: 'no es' },
+            number: { eq: 'es', gt: 'mayor que', lt: 'menor que', between: 'entre' },
+            duration: { gt: 'más de', lt: 'menos de', between: 'entre' },
+            date: { inLast: 'en los últimos (días)', notInLast: 'antes de los últimos (días)' },
+        };
+        return operators[type];
+    }
+
+    parseDuration(value) {
+        const text = String(value).trim();
+        if (text === '') return NaN;
+        if (text.includes(':')) {
+            return text.split(':').reduce((total, part) => total * 60 + parseFloat(part || 0), 0);
+        }
+        return parseFloat(text) * 60;
+    }
+
+    matchesSmartRule(track, rule) {
+        const field = this.getSmartPlaylistFields()[rule.field];
+        if (!field) return false;
+
+        if (field.type === 'text') {
+            const actual = this.foldText(track[rule.field] || '');
+            const expected = this.foldText(rule.value || '');
+            switch (rule.operator) {
+                case 'contains': return actual.includes(expected);
+                case 'notContains': return !actual.includes(expected);
+                case 'is': return actual === expected;
+                case 'isNot': return actual !== expected;
+            }
+            return false;
+        }
+
+        if (field.type === 'date') {
+            const days = parseFloat(rule.value);
+            if (isNaN(days)) return false;
+            const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+            const addedAt = track.addedAt || 0;
+            return rule.operator === 'inLast' ? addedAt >= cutoff : addedAt < cutoff;
+        }
+
+        const parse = field.type === 'duration' ? (v) => this.parseDuration(v) : (v) => parseFloat(v);
+        const actual = Number(track[rule.field]) || 0;
+        const value = parse(rule.value);
+        if (isNaN(value)) return false;
+        switch (rule.operator) {
+            case 'eq': return actual === value;
+            case 'gt': return actual > value;
+            case 'lt': return actual < value;
+            case 'between': {
+                const upper = parse(rule.value2);
+                return !isNaN(upper) && actual >= Math.min(value, upper) && actual <= Math.max(value, upper);
+            }
+        }
+        return false;
+    }
+
+    evaluateSmartPlaylist(playlist, reshuffle = false) {
+        const { match, conditions, limit, sortBy, sortOrder } = playlist.rules;
+        let tracks = [...this.library.values()].filter(track => {
+            if (conditions.length === 0) return true;
+            return match === 'any'
+                ? conditions.some(rule => this.matchesSmartRule(track, rule))
+                : conditions.every(rule => this.matchesSmartRule(track, rule));
+        });
+
+        if (sortBy === 'random') {
+            // El orden aleatorio se conserva entre actualizaciones automáticas (p. ej. tras cada canción)
+            // y solo se baraja de nuevo al guardar la playlist
+            if (reshuffle || !this.smartShuffleKeys.has(playlist.id)) this.smartShuffleKeys.set(playlist.id, new Map());
+            const keys = this.smartShuffleKeys.get(playlist.id);
+            tracks.forEach(track => {
+                if (!keys.has(track.id)) keys.set(track.id, Math.random());
+            });
+            tracks.sort((a, b) => keys.get(a.id) - keys.get(b.id));
+        } else {
+            const direction = sortOrder === 'asc' ? 1 : -1;
+            tracks.sort((a, b) => {
+                const va = a[sortBy] ?? '';
+                const vb = b[sortBy] ?? '';
+                if (typeof va === 'string' || typeof vb === 'string') {
+                    return String(va).localeCompare(String(vb), 'es', { sensitivity: 'base' }) * direction;
+                }
+                return (va - vb) * direction;
+            });
+        }
+
+        if (limit > 0) tracks = tracks.slice(0, limit);
+        return tracks.map(t => t.id);
+    }
+
+    async refreshSmartPlaylists(updateViews = true) {
+        for (const playlist of this.playlists.values()) {
+            if (playlist.smart) playlist.trackIds = this.evaluateSmartPlaylist(playlist);
+        }
+        if (!updateViews) return;
+
+        if (this.currentView === 'playlists') {
+            await this.updatePlaylistsDisplay();
+        } else if (this.currentView === 'playlistDetail' && this.currentViewData) {
+            const playlist = this.playlists.get(this.currentViewData.playlistId);
+            if (playlist && playlist.smart) await this.updatePlaylistDetailView(playlist.id);
+        }
+    }
+
+    setupSmartPlaylistModalEvents() {
+        const modal = document.getElementById('smartPlaylistModal');
+        document.getElementById('closeSmartPlaylistBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('cancelSmartPlaylistBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('saveSmartPlaylistBtn').addEventListener('click', () => this.saveSmartPlaylist());
+        document.getElementById('addSmartRuleBtn').addEventListener('click', () => {
+            document.getElementById('smartRulesList').appendChild(this.createSmartRuleRow({ field: 'artist', operator: 'contains', value: '' }));
+        });
+    }
+
+    showSmartPlaylistEditor(playlist = null) {
+        const modal = document.getElementById('smartPlaylistModal');
+        const rules = playlist ? playlist.rules : {
+            match: 'all',
+            conditions: [{ field: 'artist', operator: 'contains', value: '' }],
+            limit: null,
+            sortBy: 'addedAt',
+            sortOrder: 'desc'
+        };
+
+        modal.dataset.playlistId = playlist ? playlist.id : '';
+        modal.querySelector('.modal-header h3').textContent = playlist ? 'Editar Smart Playlist' : 'Nueva Smart Playlist';
+        document.getElementById('smartPlaylistName').value = playlist ? playlist.name : '';
+        document.getElementById('smartPlaylistMatch').value = rules.match;
+        document.getElementById('smartPlaylistLimit').value = rules.limit || '';
+        document.getElementById('smartPlaylistSort').value = rules.sortBy;
+        document.getElementById('smartPlaylistOrder').value = rules.sortOrder;
+
+        const list = document.getElementById('smartRulesList');
+        list.innerHTML = '';
+        rules.conditions.forEach(rule => list.appendChild(this.createSmartRuleRow(rule)));
+        modal.classList.remove('hidden');
+    }
+
+    createSmartRuleRow(rule) {
+        const fields = this.getSmartPlaylistFields();
+        const row = document.createElement('div');
+        row.className = 'smart-rule';
+
+        const fieldSelect = document.createElement('select');
+        fieldSelect.className = 'glass-select smart-rule-field';
+        fieldSelect.innerHTML = Object.entries(fields)
+            .map(([key, def]) => `<option value="${key}">${def.label}</option>`).join('');
+        fieldSelect.value = rule.field;
+
+        const operatorSelect = document.createElement('select');
+        operatorSelect.className = 'glass-select smart-rule-operator';
+
+        const valueInput = document.createElement('input');
+        valueInput.className = 'glass-input smart-rule-value';
+        valueInput.value = rule.value ?? '';
+
+        const value2Input = document.createElement('input');
+        value2Input.className = 'glass-input smart-rule-value2';
+        value2Input.value = rule.value2 ?? '';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'close-btn';
+        removeBtn.setAttribute('aria-label', 'Quitar regla');
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => row.remove());
+
+        const syncOperators = (selected) => {
+            const type = fields[fieldSelect.value].type;
+            const operators = this.getSmartPlaylistOperators(type);
+            operatorSelect.innerHTML = Object.entries(operators)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+            operatorSelect.value = operators[selected] ? selected : Object.keys(operators)[0];
+            const placeholder = type === 'duration' ? 'm:ss' : (type === 'date' ? 'días' : '');
+            valueInput.placeholder = placeholder;
+            value2Input.placeholder = placeholder;
+            valueInput.type = (type === 'number' || type === 'date') ? 'number' : 'text';
+            value2Input.type = valueInput.type;
+        };
+        const syncSecondValue = () => value2Input.classList.toggle('hidden', operatorSelect.value !== 'between');
+
+        fieldSelect.addEventListener('change', () => { syncOperators(operatorSelect.value); syncSecondValue(); });
+        operatorSelect.addEventListener('change', syncSecondValue);
+        syncOperators(rule.operator);
+        syncSecondValue();
+
+        row.append(fieldSelect, operatorSelect, valueInput, value2Input, removeBtn);
+        return row;
+    }
+
+    async saveSmartPlaylist() {
+        const modal = document.getElementById('smartPlaylistModal');
+        const name = document.getElementById('smartPlaylistName').value.trim();
+        if (!name) {
+            this.showToast('La playlist necesita un nombre', 'warning');
+            return;
+        }
+
+        const conditions = Array.from(document.querySelectorAll('#smartRulesList .smart-rule')).map(row => {
+            const rule = {
+                field: row.querySelector('.smart-rule-field').value,
+                operator: row.querySelector('.smart-rule-operator').value,
+                value: row.querySelector('.smart-rule-value').value.trim(),
+            };
+            if (rule.operator === 'between') rule.value2 = row.querySelector('.smart-rule-value2').value.trim();
+            return rule;
+        });
+
+        const rules = {
+            match: document.getElementById('smartPlaylistMatch').value,
+            conditions,
+            limit: parseInt(document.getElementById('smartPlaylistLimit').value, 10) || null,
+            sortBy: document.getElementById('smartPlaylistSort').value,
+            sortOrder: document.getElementById('smartPlaylistOrder').value,
+        };
+
+        const existing = this.playlists.get(modal.dataset.playlistId);
+        const playlist = existing || {
+            id: this.generateId(),
+            smart: true,
+            trackIds: [],
+            coverAssetId: null,
+            createdAt: Date.now()
+        };
+        playlist.name = name;
+        playlist.rules = rules;
+        playlist.trackIds = this.evaluateSmartPlaylist(playlist, true);
+
+        await this.saveToStore('playlists', playlist);
+        this.playlists.set(playlist.id, playlist);
+        modal.classList.add('hidden');
+
+        if (this.currentView === 'playlistDetail') {
+            await this.updatePlaylistDetailView(playlist.id);
+        } else {
+            await this.updatePlaylistsDisplay();
+        }
+        this.showToast(`Smart playlist "${name}" guardada`, 'success');
+    }
+
+    // ===================================
+    // PLAYLIST FILES (M3U8 / PLS / XSPF)
+    // ===================================
+
+    showQueueExportMenu(event) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+        menu.innerHTML = `
+            <button class="glass-btn" data-format="m3u8">Exportar M3U8</button>
+            <button class="glass-btn" data-format="pls">Exportar PLS</button>
+            <button class="glass-btn" data-format="xspf">Exportar XSPF</button>
+        `;
+        menu.querySelectorAll('button').forEach(button => button.dataset.action = 'exportQueue');
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action, button) => {
+            const queue = this.shuffle ? this.shuffledQueue : this.queue;
+            this.exportPlaylistFile(queue, 'Cola de reproducción', button.dataset.format);
+        });
+    }
+
+    getPlaylistFileEntries(trackIds) {
+        return trackIds
+            .map(id => this.library.get(id))
+            .filter(Boolean)
+            .map(track => {
+                const asset = this.assets.get(track.fileAssetId);
+                return {
+                    location: (asset && asset.filename) || `${track.title}`,
+                    title: track.title,
+                    artist: track.artist,
+                    album: track.album,
+                    duration: Math.round(track.duration || 0)
+                };
+            });
+    }
+
+    exportPlaylistFile(trackIds, name, format) {
+        const entries = this.getPlaylistFileEntries(trackIds);
+        if (entries.length === 0) {
+            this.showToast('La lista está vacía', 'warning');
+            return;
+        }
+
+        let content = '';
+        let mime = 'text/plain';
+        if (format === 'm3u8') {
+            content = ['#EXTM3U', `#PLAYLIST:${name}`];
+            entries.forEach(entry => {
+                content.push(`#EXTINF:${entry.duration},${entry.artist} - ${entry.title}`);
+                content.push(entry.location);
+            });
+            content = content.join('\n') + '\n';
+            mime = 'audio/x-mpegurl';
+        } else if (format === 'pls') {
+            content = ['[playlist]'];
+            entries.forEach((entry, i) => {
+                content.push(`File${i + 1}=${entry.location}`);
+                content.push(`Title${i + 1}=${entry.artist} - ${entry.title}`);
+                content.push(`Length${i + 1}=${entry.duration}`);
+            });
+            content.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+            content = content.join('\n') + '\n';
+            mime = 'audio/x-scpls';
+        } else {
+            const tracksXml = entries.map(entry => `
+    <track>
+      <location>${this.escapeXml(encodeURI(entry.location))}</location>
+      <title>${this.escapeXml(entry.title)}</title>
+      <creator>${this.escapeXml(entry.artist)}</creator>
+      <album>${this.escapeXml(entry.album)}</album>
+      <duration>${entry.duration * 1000}</duration>
+    </track>`).join('');
+            content = `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${this.escapeXml(name)}</title>
+  <trackList>${tracksXml}
+  </trackList>
+</playlist>
+`;
+            mime = 'application/xspf+xml';
+        }
+
+        const safeName = name.replace(/[\\/:*?"<>|]+/g, '_');
+        this.downloadBlob(new Blob([content], { type: mime }), `${safeName}.${format}`);
+    }
+
+    parsePlaylistFile(text, extension) {
+        const entries = [];
+        let name = null;
+
+        if (extension === 'xspf') {
+            const doc = new DOMParser().parseFromString(text, 'application/xml');
+            const getText = (el, tag) => {
+                const child = el.getElementsByTagName(tag)[0];
+                return child ? child.textContent.trim() : '';
+            };
+            const titleEl = doc.querySelector('playlist > title');
+            name = titleEl ? titleEl.textContent.trim() : null;
+            Array.from(doc.getElementsByTagName('track')).forEach(trackEl => {
+                const duration = parseInt(getText(trackEl, 'duration'), 10);
+                entries.push({
+                    location: getText(trackEl, 'location'),
+                    title: getText(trackEl, 'title'),
+                    artist: getText(trackEl, 'creator'),
+                    duration: isNaN(duration) ? null : duration / 1000
+                });
+            });
+            return { name, entries };
+        }
+
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+        const splitArtistTitle = (value) => {
+            const separator = value.indexOf(' - ');
+            return separator === -1
+                ? { artist: '', title: value.trim() }
+                : { artist: value.slice(0, separator).trim(), title: value.slice(separator + 3).trim() };
+        };
+
+        if (extension === 'pls') {
+            const fields = {};
+            lines.forEach(line => {
+                const match = line.match(/^(File|Title|Length)(\d+)=(.*)$/i);
+                if (!match) return;
+                const index = parseInt(match[2], 10);
+                fields[index] = fields[index] || {};
+                fields[index][match[1].toLowerCase()] = match[3];
+            });
+            Object.keys(fields).sort((a, b) => a - b).forEach(index => {
+                const field = fields[index];
+                if (!field.file) return;
+                const length = parseInt(field.length, 10);
+                entries.push({
+                    location: field.file,
+                    ...splitArtistTitle(field.title || ''),
+                    duration: isNaN(length) || length < 0 ? null : length
+                });
+            });
+            return { name, entries };
+        }
+
+        let pending = null;
+        lines.forEach(line => {
+            if (line.startsWith('#PLAYLIST:')) {
+                name = line.slice(10).trim();
+            } else if (line.startsWith('#EXTINF:')) {
+                const match = line.match(/^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/);
+                if (match) {
+                    const duration = parseFloat(match[1]);
+                    pending = { ...splitArtistTitle(match[2]), duration: duration < 0 ? null : duration };
+                }
+            } else if (line && !line.startsWith('#')) {
+                entries.push({ location: line, title: '', artist: '', duration: null, ...(pending || {}) });
+                pending = null;
+            }
+        });
+        return { name, entries };
+    }
+
+    matchPlaylistEntry(entry) {
+        const normalize = (value) => String(value || '').trim().toLowerCase();
+        let location = entry.location;
+        try {
+            location = decodeURIComponent(location);
+        } catch (e) {
+            // Se conserva la ruta tal cual si no es una URI válida
+        }
+        const filename = normalize(location.split(/[\\/]/).pop());
+        const tracks = [...this.library.values()];
+
+        const byFilename = tracks.find(track => {
+            const asset = this.assets.get(track.fileAssetId);
+            return asset && normalize(asset.filename) === filename;
+        });
+        if (byFilename) return byFilename;
+
+        const title = normalize(entry.title || filename.replace(/\.[^/.]+$/, ''));
+        const artist = normalize(entry.artist);
+        return tracks.find(track => {
+            if (normalize(track.title) !== title) return false;
+            if (artist && normalize(track.artist) !== artist) return false;
+            if (entry.duration && track.duration && Math.abs(track.duration - entry.duration) > 3) return false;
+            return true;
+        }) || null;
+    }
+
+    async importPlaylistFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!['m3u', 'm3u8', 'pls', 'xspf'].includes(extension)) {
+            this.showToast(`Formato no soportado: ${file.name}`, 'error');
+            return;
+        }
+
+        const { name, entries } = this.parsePlaylistFile(await file.text(), extension);
+        const trackIds = [];
+        const unmatched = [];
+        entries.forEach(entry => {
+            const track = this.matchPlaylistEntry(entry);
+            if (track) {
+                trackIds.push(track.id);
+            } else {
+                unmatched.push(entry.artist || entry.title ? `${entry.artist} - ${entry.title}`.replace(/^ - /, '') : entry.location);
+            }
+        });
+
+        const playlist = {
+            id: this.generateId(),
+            name: name || file.name.replace(/\.[^/.]+$/, ''),
+            trackIds,
+            coverAssetId: null,
+            createdAt: Date.now()
+        };
+        await this.saveToStore('playlists', playlist);
+        this.playlists.set(playlist.id, playlist);
+        await this.updatePlaylistsDisplay();
+
+        if (unmatched.length > 0) {
+            this.showReport(
+                `Importar "${playlist.name}"`,
+                `${trackIds.length} de ${entries.length} entradas encontradas en la biblioteca. No se encontraron:`,
+                unmatched
+            );
+        } else {
+            this.showToast(`Playlist "${playlist.name}" importada (${trackIds.length} canciones)`, 'success');
+        }
+    }
+
+    showReport(title, summary, items) {
+        document.getElementById('reportTitle').textContent = title;
+        document.getElementById('reportSummary').textContent = summary;
+        const list = document.getElementById('reportList');
+        list.innerHTML = '';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item;
+            list.appendChild(li);
+        });
+        document.getElementById('reportModal').classList.remove('hidden');
+    }
+
+    escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    async updatePlaylistDetailView(playlistId) {
+        const playlist = this.playlists.get(playlistId);
+        if(!playlist) return;
+
+        document.getElementById('playlistDetailName').textContent = playlist.name;
+        
+        let totalDuration = 0;
+        playlist.trackIds.forEach(tid => {
+            const track = this.library.get(tid);
+            if(track) totalDuration += track.duration;
+        });
+
+        document.getElementById('playlistDetailStats').textContent = 
+            `${playlist.trackIds.length} canciones, ${this.formatTime(totalDuration)}`;
+
+        let coverUrl = '';
+         if (playlist.coverAssetId && this.assets.has(playlist.coverAssetId)) {
+             coverUrl = this.getAssetUrl(playlist.coverAssetId, 512);
+        } else if (playlist.trackIds.length > 0) {
+            const firstTrack = this.library.get(playlist.trackIds[0]);
+            if (firstTrack && firstTrack.coverAssetId && this.assets.has(firstTrack.coverAssetId)) {
+                coverUrl = this.getAssetUrl(firstTrack.coverAssetId, 512);
+            }
+        }
+        document.getElementById('playlistDetailCover').src = coverUrl;
+        
+        document.getElementById('playPlaylistBtn').onclick = () => {
+            if (playlist.trackIds.length > 0) {
+                this.setQueueAndPlay(playlist.trackIds, playlist.trackIds[0]);
+            }
+        };
+        // Las playlists inteligentes se calculan a partir de sus reglas y no se editan a mano
+        document.getElementById('sortPlaylistBtn').classList.toggle('hidden', !!playlist.smart);
+        document.getElementById('undoPlaylistBtn').classList.toggle('hidden', !!playlist.smart);
+        document.getElementById('undoPlaylistBtn').disabled = !this.playlistUndoStack.some(change => change.playlistId === playlist.id);
+
+        const tracks = [];
+        this.playlistEntryIndexes = [];
+        playlist.trackIds.forEach((id, index) => {
+            const track = this.library.get(id);
+            if (!track) return;
+            tracks.push(track);
+            this.playlistEntryIndexes.push(index);
+        });
+        this.virtualGrids.get('playlistTracksGrid').setItems(tracks);
+    }
+
+    async updateAlbumsDisplay() {
+        this.virtualGrids.get('albumsGrid').setItems([...this.albums.values()]);
+    }
+
+    createAlbumElement(album) {
+        const div = document.createElement('div');
+        div.className = 'album-item';
+        div.dataset.albumId = album.id;
+        
+        const coverUrl = this.getAssetUrl(album.coverAssetId, 512);
+
+        div.innerHTML = `
+            <button class="edit-btn" aria-label="Editar álbum">
+                 <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
+            </button>
+            <div class="album-cover" style="background-image: url('${coverUrl}')"></div>
+            <div class="album-info">
+                <div class="album-name">${album.name}</div>
+                <div class="album-artist">${album.artist}</div>
+            </div>
+        `;
+        
+        div.addEventListener('click', () => this.playAlbum(album));
+        
+        div.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showAlbumEditor(album);
+        });
+
+        div.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showEQProfileContextMenu(e, 'eqProfileAlbum', { album });
+        });
+
+        return div;
+    }
+
+    playAlbum(album) {
+        const sortedTracks = album.trackIds
+            .map(id => this.library.get(id))
+            .filter(Boolean)
+            .sort((a, b) => (a.trackNumber || 0) - (b.trackNumber || 0))
+            .map(t => t.id);
+        if (sortedTracks.length > 0) this.setQueueAndPlay(sortedTracks, sortedTracks[0]);
+    }
+
+    async updateArtistsDisplay() {
+        const artistsData = new Map();
+        for (const track of this.library.values()) {
+            if (!artistsData.has(track.artist)) {
+                artistsData.set(track.artist, { name: track.artist, trackIds: [], coverAssetId: null });
+            }
+            const artist = artistsData.get(track.artist);
+            artist.trackIds.push(track.id);
+            if (!artist.coverAssetId && track.coverAssetId) artist.coverAssetId = track.coverAssetId;
+        }
+        
+        this.virtualGrids.get('artistsGrid').setItems([...artistsData.values()]);
+    }
+
+    createArtistElement(artist) {
+        const div = document.createElement('div');
+        div.className = 'artist-item';
+
+        const coverUrl = this.getAssetUrl(artist.coverAssetId, 512);
+
+        div.innerHTML = `
+             <button class="edit-btn" aria-label="Editar artista">
+                 <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
+            </button>
+             <div class="artist-cover" style="background-image: url('${coverUrl}')"></div>
+             <div class="artist-info">
+                <div class="artist-name">${artist.name}</div>
+                <div class="artist-track-count">${artist.trackIds.length} canciones</div>
+             </div>
+        `;
+        
+        div.addEventListener('click', () => {
+            if (artist.trackIds.length > 0) {
+                this.setQueueAndPlay(artist.trackIds, artist.trackIds[0]);
+            }
+        });
+
+        div.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showArtistEditor(artist.name);
+        });
+
+        div.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showEQProfileContextMenu(e, 'eqProfileArtist', { artist });
+        });
+
+        return div;
     }
 
-    updateEQDisplay() {
-        const bands = document.querySelectorAll('.eq-band');
-        const gainToAngle = (gain) => (gain + 12) / 24 * 270 - 135;
-        this.eqNodes.forEach((node, index) => {
-            if (bands[index]) {
-                const knob = bands[index].querySelector('.eq-knob');
-                const valueDisplay = bands[index].querySelector('.eq-value');
-                const angle = gainToAngle(node.gain.value);
-                knob.style.transform = `rotate(${angle}deg)`;
-                if (valueDisplay) valueDisplay.textContent = `${node.gain.value.toFixed(1)}dB`;
+    // ===================================
+    // LIBRARY TABLE VIEW
+    // ===================================
+
+    getLibraryColumns() {
+        const dash = '—';
+        return {
+            title: { label: 'Título', format: t => t.title, sortValue: t => this.foldText(t.title) },
+            artist: { label: 'Artista', format: t => t.artist, sortValue: t => this.foldText(t.artist) },
+            album: { label: 'Álbum', format: t => t.album, sortValue: t => this.foldText(t.album) },
+            trackNumber: { label: '#', menuLabel: 'Nº de pista', numeric: true, format: t => t.trackNumber || dash, sortValue: t => t.trackNumber || 0 },
+            duration: { label: 'Duración', numeric: true, format: t => this.formatTime(t.duration), sortValue: t => t.duration || 0 },
+            addedAt: { label: 'Añadida', numeric: true, format: t => t.addedAt ? new Date(t.addedAt).toLocaleDateString() : dash, sortValue: t => t.addedAt || 0 },
+            playCount: { label: 'Reprod.', numeric: true, format: t => t.playCount || 0, sortValue: t => t.playCount || 0 },
+            bitrate: { label: 'Bitrate', numeric: true, format: t => t.bitrate ? `${Math.round(t.bitrate / 1000)} kbps` : dash, sortValue: t => t.bitrate || 0 },
+            genre: { label: 'Género', format: t => t.genre || dash, sortValue: t => this.foldText(t.genre || '') },
+        };
+    }
+
+    getVisibleLibraryColumns() {
+        const columns = this.getLibraryColumns();
+        return Object.keys(columns)
+            .filter(key => this.settings.libraryView.columns[key]?.visible)
+            .map(key => [key, columns[key]]);
+    }
+
+    sortLibraryTracks(tracks) {
+        const { sortBy, sortOrder } = this.settings.libraryView;
+        const column = sortBy && this.getLibraryColumns()[sortBy];
+        if (!column) return tracks;
+
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        return [...tracks].sort((a, b) => {
+            const valueA = column.sortValue(a);
+            const valueB = column.sortValue(b);
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+            return 0;
+        });
+    }
+
+    renderLibraryTableHeader() {
+        const { sortBy, sortOrder, columns } = this.settings.libraryView;
+        const visible = this.getVisibleLibraryColumns();
+        document.getElementById('tracksTable').style.setProperty('--table-columns', visible.map(([key]) => `${columns[key].width}px`).join(' '));
+        document.getElementById('tracksTableHeader').innerHTML = visible.map(([key, column]) => `
+            <div class="track-cell header-cell${column.numeric ? ' numeric' : ''}${sortBy === key ? ' sorted' : ''}" data-column="${key}">
+                <span>${column.label}${sortBy === key ? (sortOrder === 'desc' ? ' ▼' : ' ▲') : ''}</span>
+                <span class="column-resizer" data-column="${key}"></span>
+            </div>
+        `).join('');
+    }
+
+    createTrackRow(track) {
+        const row = document.createElement('div');
+        row.className = 'track-row';
+        row.classList.toggle('selected', this.selection.has(track.id));
+        row.dataset.trackId = track.id;
+        row.draggable = true;
+        row.innerHTML = this.getVisibleLibraryColumns().map(([, column]) => {
+            const value = this.escapeXml(column.format(track));
+            return `<div class="track-cell${column.numeric ? ' numeric' : ''}" title="${value}">${value}</div>`;
+        }).join('');
+
+        row.addEventListener('click', (e) => this.handleTrackClick(e, track, 'tracksTableBody'));
+        row.addEventListener('dragstart', (e) => this.handleTrackDragStart(e, track, 'tracksTableBody'));
+        row.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showTrackContextMenu(e, track);
+        });
+        return row;
+    }
+
+    setupLibraryViewEvents() {
+        const header = document.getElementById('tracksTableHeader');
+
+        document.getElementById('libraryViewToggle').addEventListener('click', () => {
+            const view = this.settings.libraryView;
+            view.mode = view.mode === 'table' ? 'grid' : 'table';
+            this.saveSettings();
+            this.updateLibraryDisplay();
+        });
+        document.getElementById('tableColumnsBtn').addEventListener('click', (e) => this.showTableColumnsMenu(e));
+
+        header.addEventListener('click', (e) => {
+            const cell = e.target.closest('.header-cell');
+            if (!cell || e.target.classList.contains('column-resizer')) return;
+            const view = this.settings.libraryView;
+            if (view.sortBy === cell.dataset.column) {
+                view.sortOrder = view.sortOrder === 'asc' ? 'desc' : 'asc';
+            } else {
+                view.sortBy = cell.dataset.column;
+                view.sortOrder = 'asc';
             }
+            this.saveSettings();
+            this.updateLibraryDisplay();
+        });
+
+        header.addEventListener('pointerdown', (e) => {
+            if (!e.target.classList.contains('column-resizer')) return;
+            e.preventDefault();
+            const column = this.settings.libraryView.columns[e.target.dataset.column];
+            const startX = e.clientX;
+            const startWidth = column.width;
+            const resizer = e.target;
+            resizer.setPointerCapture(e.pointerId);
+
+            const onMove = (moveEvent) => {
+                column.width = Math.max(40, Math.round(startWidth + moveEvent.clientX - startX));
+                const widths = this.getVisibleLibraryColumns().map(([key]) => `${this.settings.libraryView.columns[key].width}px`);
+                document.getElementById('tracksTable').style.setProperty('--table-columns', widths.join(' '));
+            };
+            const onUp = () => {
+                resizer.removeEventListener('pointermove', onMove);
+                resizer.removeEventListener('pointerup', onUp);
+                this.saveSettings();
+            };
+            resizer.addEventListener('pointermove', onMove);
+            resizer.addEventListener('pointerup', onUp);
+        });
+    }
+
+    showTableColumnsMenu(event) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+        const columns = this.settings.libraryView.columns;
+        menu.innerHTML = Object.entries(this.getLibraryColumns()).map(([key, column]) =>
+            `<button class="glass-btn" data-action="toggleColumn" data-column="${key}"><span class="column-check">${columns[key].visible ? '✓' : ''}</span>${column.menuLabel || column.label}</button>`
+        ).join('');
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action, button) => {
+            const column = columns[button.dataset.column];
+            const visibleCount = Object.values(columns).filter(c => c.visible).length;
+            // Siempre debe quedar al menos una columna visible
+            if (column.visible && visibleCount === 1) return;
+            column.visible = !column.visible;
+            this.saveSettings();
+            this.virtualGrids.get('tracksTableBody').refresh();
+            this.updateLibraryDisplay();
         });
     }
 
     // ===================================
-    // VISUALIZERS
+    // SELECTION & BATCH ACTIONS
     // ===================================
 
-    startVisualizer() {
-        this.stopVisualizer();
-        const canvas = document.getElementById('visualizerCanvas');
-        const ctx = canvas.getContext('2d');
-        const bufferLength = this.analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
+    setupSelectionEvents() {
+        ['tracksGrid', 'tracksTableBody', 'playlistTracksGrid'].forEach(gridId => this.setupLassoSelection(gridId));
 
-        const draw = () => {
-            this.visualizerAnimationId = requestAnimationFrame(draw);
-            this.analyser.getByteFrequencyData(dataArray);
-            
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            const barWidth = (canvas.width / bufferLength) * 1.5;
-            let x = 0;
-            
-            for (let i = 0; i < bufferLength; i++) {
-                const barHeight = dataArray[i] / 2.5;
-                ctx.fillStyle = `rgba(${getComputedStyle(document.documentElement).getPropertyValue('--accent-rgb')}, 0.7)`;
-                ctx.fillRect(x, canvas.height - barHeight, barWidth, barHeight);
-                x += barWidth + 2;
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+            if (e.key === 'Escape' && this.selection.size > 0 && this.getActiveTrackGridId()) this.clearSelection();
+        });
+
+        document.getElementById('selectionQueueBtn').addEventListener('click', () => this.handleSelectionAction('batchQueue'));
+        document.getElementById('selectionPlaylistBtn').addEventListener('click', (e) => this.showSelectionContextMenu(e, true));
+        document.getElementById('selectionEditBtn').addEventListener('click', () => this.handleSelectionAction('batchEdit'));
+        document.getElementById('selectionDeleteBtn').addEventListener('click', () => this.handleSelectionAction('batchDelete'));
+        document.getElementById('selectionClearBtn').addEventListener('click', () => this.clearSelection());
+
+        const modal = document.getElementById('bulkEditModal');
+        document.getElementById('closeBulkEditBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('cancelBulkEditBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('saveBulkEditBtn').addEventListener('click', () => this.saveBulkEdit());
+        document.getElementById('uploadBulkCoverBtn').addEventListener('click', () => document.getElementById('bulkCoverFileInput').click());
+        document.getElementById('bulkCoverFileInput').addEventListener('change', e => {
+            if (e.target.files[0]) this.setFilePreview(document.getElementById('bulkCoverPreview'), e.target.files[0]);
+        });
+    }
+
+    selectAllTracks() {
+        const gridId = this.getActiveTrackGridId();
+        if (!gridId) return;
+        if (gridId === 'playlistTracksGrid') this.selectedEntries = new Set(this.playlistEntryIndexes);
+        else this.selection = new Set(this.virtualGrids.get(gridId).items.map(track => track.id));
+        this.updateSelectionDisplay();
+    }
+
+    getActiveTrackGridId() {
+        if (this.currentView === 'library') {
+            return this.settings.libraryView.mode === 'table' ? 'tracksTableBody' : 'tracksGrid';
+        }
+        if (this.currentView === 'playlistDetail') return 'playlistTracksGrid';
+        return null;
+    }
+
+    handleTrackClick(event, track, gridId, entryIndex) {
+        const additive = event.ctrlKey || event.metaKey;
+        // En una playlist se seleccionan entradas, no canciones: una canción puede estar repetida
+        const byEntry = entryIndex !== undefined;
+        const selected = byEntry ? this.selectedEntries : this.selection;
+        const key = byEntry ? entryIndex : track.id;
+        if (event.shiftKey && this.selectionAnchor !== null) {
+            const keys = byEntry ? this.playlistEntryIndexes : this.virtualGrids.get(gridId).items.map(item => item.id);
+            const anchorIndex = keys.indexOf(this.selectionAnchor);
+            const index = keys.indexOf(key);
+            if (anchorIndex !== -1 && index !== -1) {
+                if (!additive) selected.clear();
+                keys.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1).forEach(k => selected.add(k));
+                this.updateSelectionDisplay();
+                return;
             }
-        };
-        draw();
+        }
+        if (additive || event.shiftKey) {
+            if (selected.has(key)) selected.delete(key);
+            else selected.add(key);
+            this.selectionAnchor = key;
+            this.updateSelectionDisplay();
+            return;
+        }
+
+        this.clearSelection();
+        if (gridId === 'playlistTracksGrid') {
+            const playlist = this.playlists.get(this.currentViewData?.playlistId);
+            if (playlist) this.setQueueAndPlay(playlist.trackIds, track.id);
+        } else {
+            this.setQueueAndPlay(this.libraryTrackIds, track.id);
+        }
     }
-    stopVisualizer() { cancelAnimationFrame(this.visualizerAnimationId); }
-    
-    startEQVisualizer() {
-        this.stopEQVisualizer();
-        const canvas = document.getElementById('eqVisualizerCanvas');
-        if (!canvas || !this.analyser) return;
 
-        // CAMBIO: Se redimensiona el canvas justo antes de empezar a dibujar
-        this.resizeCanvases();
+    setupLassoSelection(gridId) {
+        const container = document.getElementById(gridId);
+        container.addEventListener('pointerdown', (e) => {
+            // Solo se inicia sobre el fondo de la rejilla, no sobre una canción
+            if (e.button !== 0 || (e.target !== container && !e.target.classList.contains('virtual-spacer'))) return;
+            // Pulsar sobre la barra de scroll no debe iniciar el lazo
+            if (e.clientX - container.getBoundingClientRect().left >= container.clientWidth) return;
+            e.preventDefault();
+            const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+            const baseSelection = additive ? new Set(this.selection) : new Set();
+            const baseEntries = additive ? new Set(this.selectedEntries) : new Set();
+            const startX = e.clientX;
+            const startY = e.clientY;
+            const lasso = document.createElement('div');
+            lasso.className = 'selection-lasso';
+            document.body.appendChild(lasso);
+            container.setPointerCapture(e.pointerId);
+
+            const onMove = (moveEvent) => {
+                const left = Math.min(startX, moveEvent.clientX);
+                const top = Math.min(startY, moveEvent.clientY);
+                const right = Math.max(startX, moveEvent.clientX);
+                const bottom = Math.max(startY, moveEvent.clientY);
+                lasso.style.cssText = `left: ${left}px; top: ${top}px; width: ${right - left}px; height: ${bottom - top}px;`;
+
+                this.selection = new Set(baseSelection);
+                this.selectedEntries = new Set(baseEntries);
+                container.querySelectorAll('[data-track-id]').forEach(el => {
+                    const rect = el.getBoundingClientRect();
+                    if (rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top) {
+                        if (el.dataset.entryIndex !== undefined) this.selectedEntries.add(Number(el.dataset.entryIndex));
+                        else this.selection.add(el.dataset.trackId);
+                    }
+                });
+                this.updateSelectionDisplay();
+            };
+            const onUp = (upEvent) => {
+                onMove(upEvent);
+                lasso.remove();
+                container.removeEventListener('pointermove', onMove);
+                container.removeEventListener('pointerup', onUp);
+            };
+            container.addEventListener('pointermove', onMove);
+            container.addEventListener('pointerup', onUp);
+        });
+    }
 
-        const ctx = canvas.getContext('2d');
-        const bufferLength = this.analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        const width = canvas.width;
-        const height = canvas.height;
+    updateSelectionDisplay() {
+        // En una playlist las canciones seleccionadas se derivan de las entradas
+        if (this.currentView === 'playlistDetail') {
+            const playlist = this.playlists.get(this.currentViewData?.playlistId);
+            this.selection = new Set([...this.selectedEntries].map(index => playlist && playlist.trackIds[index]).filter(Boolean));
+        }
+        document.querySelectorAll('#tracksGrid [data-track-id], #tracksTableBody [data-track-id], #playlistTracksGrid [data-track-id]').forEach(el => {
+            const selected = el.dataset.entryIndex !== undefined
+                ? this.selectedEntries.has(Number(el.dataset.entryIndex))
+                : this.selection.has(el.dataset.trackId);
+            el.classList.toggle('selected', selected);
+        });
+        document.getElementById('selectionBar').classList.toggle('hidden', this.selection.size === 0);
+        document.getElementById('selectionCount').textContent =
+            `${this.selection.size} ${this.selection.size === 1 ? 'canción seleccionada' : 'canciones seleccionadas'}`;
+    }
 
-        const draw = () => {
-            if (!this.eqVisualizerAnimationId) return;
-            this.eqVisualizerAnimationId = requestAnimationFrame(draw);
-            
-            this.analyser.getByteFrequencyData(dataArray);
-            
-            ctx.clearRect(0, 0, width, height);
-            
-            const accentRGB = getComputedStyle(document.documentElement).getPropertyValue('--accent-rgb');
-            
-            const gradient = ctx.createLinearGradient(0, 0, 0, height);
-            gradient.addColorStop(0, `rgba(${accentRGB}, 0.5)`);
-            gradient.addColorStop(1, `rgba(${accentRGB}, 0)`);
-            ctx.fillStyle = gradient;
-            
-            ctx.beginPath();
-            ctx.moveTo(0, height);
-            
-            const sliceWidth = width * 1.0 / bufferLength;
-            let x = 0;
+    clearSelection() {
+        if (this.selection.size === 0 && this.selectedEntries.size === 0) return;
+        this.selection.clear();
+        this.selectedEntries.clear();
+        this.selectionAnchor = null;
+        this.updateSelectionDisplay();
+    }
 
-            for(let i = 0; i < bufferLength; i++) {
-                const v = dataArray[i] / 255.0;
-                const y = height - (v * height);
-                ctx.lineTo(x, y);
-                x += sliceWidth;
+    showSelectionContextMenu(event, playlistsOnly = false) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+
+        const playlistItems = [...this.playlists.values()]
+            .filter(playlist => !playlist.smart)
+            .map(playlist => `<button class="glass-btn" data-action="batchPlaylist" data-playlist-id="${playlist.id}">Añadir a ${playlist.name}</button>`)
+            .join('');
+        if (playlistsOnly) {
+            if (!playlistItems) {
+                this.showToast('No hay playlists a las que añadir', 'info');
+                return;
             }
+            menu.innerHTML = playlistItems;
+        } else {
+            menu.innerHTML = `
+                <button class="glass-btn" data-action="batchPlayNext">Reproducir ${this.selection.size} a continuación</button>
+                <button class="glass-btn" data-action="batchQueue">Agregar ${this.selection.size} al final de la cola</button>
+                <button class="glass-btn" data-action="batchEdit">Editar en lote</button>
+                <button class="glass-btn" data-action="batchExport">Exportar archivos</button>
+                ${this.getEditablePlaylistInView() ? `<button class="glass-btn" data-action="batchRemoveFromPlaylist">Quitar de la playlist</button>` : ''}
+                <button class="glass-btn" data-action="batchDelete">Eliminar</button>
+                ${playlistItems ? `<div class="context-divider"></div>${playlistItems}` : ''}
+            `;
+        }
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action, button) => this.handleSelectionAction(action, button.dataset.playlistId));
+    }
 
-            ctx.lineTo(width, height);
-            ctx.closePath();
-            ctx.fill();
+    async handleSelectionAction(action, playlistId) {
+        const trackIds = [...this.selection].filter(id => this.library.has(id));
+        if (trackIds.length === 0) return;
 
-            ctx.lineWidth = 2;
-            ctx.strokeStyle = `rgba(${accentRGB}, 0.8)`;
-            ctx.beginPath();
-            x = 0; // Reiniciar x para la línea
-            for(let i = 0; i < bufferLength; i++) {
-                const v = dataArray[i] / 255.0;
-                const y = height - (v * height);
-                 if (i === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
+        switch (action) {
+            case 'batchQueue': {
+                const added = this.enqueueTracks(trackIds);
+                this.showToast(`${added} canciones agregadas a la cola`, 'success');
+                break;
+            }
+            case 'batchPlayNext': {
+                const added = this.enqueueTracks(trackIds, true);
+                this.showToast(`${added} canciones se reproducirán a continuación`, 'success');
+                break;
+            }
+            case 'batchPlaylist':
+                await this.addTracksToPlaylist(playlistId, trackIds);
+                break;
+            case 'batchRemoveFromPlaylist': {
+                const playlist = this.playlists.get(this.currentViewData?.playlistId);
+                if (!playlist || playlist.smart) return;
+                // Solo las entradas seleccionadas: las demás copias de la misma canción se conservan
+                const indexes = [...this.selectedEntries];
+                this.clearSelection();
+                await this.removePlaylistEntries(playlist, indexes);
+                break;
+            }
+            case 'batchEdit':
+                this.showBulkEditor(trackIds);
+                break;
+            case 'batchExport':
+                this.showExportFilesDialog(trackIds);
+                break;
+            case 'batchDelete':
+                if (!confirm(`¿Seguro que quieres eliminar ${trackIds.length} canciones?`)) return;
+                for (const id of trackIds) {
+                    await this.deleteTrack(id, false);
+                }
+                this.clearSelection();
+                await this.refreshSmartPlaylists();
+                await this.updateLibraryDisplay();
+                this.updateQueueDisplay();
+                this.showToast(`${trackIds.length} canciones eliminadas`, 'success');
+                break;
+        }
+    }
+
+    getBulkEditFields() {
+        return { bulkArtist: 'artist', bulkAlbum: 'album', bulkGenre: 'genre', bulkYear: 'year' };
+    }
+
+    showBulkEditor(trackIds) {
+        const modal = document.getElementById('bulkEditModal');
+        const tracks = trackIds.map(id => this.library.get(id));
+        modal.dataset.trackIds = JSON.stringify(trackIds);
+        document.getElementById('bulkEditSummary').textContent =
+            `Editando ${tracks.length} canciones. Los campos con valores distintos solo cambian si escribes uno nuevo.`;
+
+        for (const [inputId, field] of Object.entries(this.getBulkEditFields())) {
+            const values = new Set(tracks.map(track => track[field] ?? ''));
+            const input = document.getElementById(inputId);
+            const mixed = values.size > 1;
+            input.value = mixed ? '' : values.values().next().value;
+            input.placeholder = mixed ? '(varios valores)' : '';
+            input.dataset.initial = input.value;
+        }
+
+        const covers = new Set(tracks.map(track => track.coverAssetId || ''));
+        const coverAssetId = covers.size === 1 ? covers.values().next().value : null;
+        document.getElementById('bulkCoverPreview').src = coverAssetId ? this.getAssetUrl(coverAssetId, 512) : '';
+        document.getElementById('bulkCoverFileInput').value = '';
+        modal.classList.remove('hidden');
+    }
+
+    async saveBulkEdit() {
+        const modal = document.getElementById('bulkEditModal');
+        const tracks = JSON.parse(modal.dataset.trackIds || '[]').map(id => this.library.get(id)).filter(Boolean);
+
+        const changes = {};
+        for (const [inputId, field] of Object.entries(this.getBulkEditFields())) {
+            const input = document.getElementById(inputId);
+            const value = input.value.trim();
+            if (value === input.dataset.initial) continue;
+            if (field === 'year') changes.year = parseInt(value, 10) || null;
+            else if (field === 'genre') changes.genre = value || null;
+            else if (value) changes[field] = value;
+        }
+
+        const coverInput = document.getElementById('bulkCoverFileInput');
+        let coverAssetId = null;
+        if (coverInput.files && coverInput.files[0]) {
+            coverAssetId = `cover_${this.generateId()}`;
+            await this.saveCoverAsset(coverAssetId, coverInput.files[0], coverInput.files[0].name);
+        }
+
+        modal.classList.add('hidden');
+        if (Object.keys(changes).length === 0 && !coverAssetId) return;
+
+        const oldCovers = new Set();
+        tracks.forEach(track => {
+            Object.assign(track, changes);
+            if (coverAssetId) {
+                if (track.coverAssetId) oldCovers.add(track.coverAssetId);
+                track.coverAssetId = coverAssetId;
+            }
+        });
+        await this.saveManyToStore('tracks', tracks);
+
+        if (changes.artist || changes.album || coverAssetId) {
+            for (const track of tracks) {
+                const album = await this.syncTrackAlbum(track);
+                // La portada elegida en la edición en lote es explícita, como la del editor de álbum
+                if (coverAssetId && album.coverAssetId !== coverAssetId) {
+                    if (album.coverAssetId) oldCovers.add(album.coverAssetId);
+                    album.coverAssetId = coverAssetId;
+                    album.coverSource = 'user';
+                    await this.saveToStore('albums', album);
                 }
-                x += sliceWidth;
             }
-            // CAMBIO: Se asegura que la línea llegue hasta el final del canvas
-            ctx.lineTo(width, height - (dataArray[bufferLength-1] / 255.0 * height));
-            ctx.stroke();
+        }
+        for (const assetId of oldCovers) {
+            if (!this.isAssetReferenced(assetId)) await this.deleteAsset(assetId);
+        }
+
+        await this.refreshSmartPlaylists();
+        await this.loadViewData(this.currentView, this.currentViewData);
+        if (this.library.has(this.currentTrackId) && tracks.some(track => track.id === this.currentTrackId)) {
+            this.updatePlayerDisplay(this.library.get(this.currentTrackId));
+        }
+        this.showToast(`${tracks.length} canciones actualizadas`, 'success');
+    }
+
+    async syncTrackAlbum(track) {
+        // Saca la pista de los álbumes que ya no le corresponden antes de agruparla de nuevo
+        const albumKey = `${track.album}|${track.artist}`.toLowerCase();
+        for (const album of [...this.albums.values()]) {
+            if (!album.trackIds.includes(track.id) || `${album.name}|${album.artist}`.toLowerCase() === albumKey) continue;
+            album.trackIds = album.trackIds.filter(id => id !== track.id);
+            if (album.trackIds.length === 0) {
+                this.albums.delete(album.id);
+                await this.deleteFromStore('albums', album.id);
+            } else {
+                await this.saveToStore('albums', album);
+            }
+        }
+        return this.updateAlbumAndArtist(track);
+    }
+
+    // ===================================
+    // SEARCH
+    // ===================================
+
+    getSearchFieldAliases() {
+        // Claves ya normalizadas con foldText (sin tildes ni mayúsculas)
+        return {
+            title: 'title', titulo: 'title',
+            artist: 'artist', artista: 'artist',
+            album: 'album',
+            genre: 'genre', genero: 'genre',
+            year: 'year', ano: 'year',
+            duration: 'duration', duracion: 'duration',
+            plays: 'playCount', reproducciones: 'playCount',
+            rating: 'rating', valoracion: 'rating',
+            added: 'addedAt', anadida: 'addedAt',
         };
+    }
+
+    parseSearchQuery(query) {
+        const aliases = this.getSearchFieldAliases();
+        const parsed = { terms: [], excluded: [], rules: [] };
+        const pattern = /(-?)(?:([^\s:"]+):)?(?:"([^"]*)"?|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [, negate, key, quoted, bare] = match;
+            const value = quoted !== undefined ? quoted : bare;
+            const field = key ? aliases[this.foldText(key)] : null;
+
+            if (field) {
+                if (value.trim() === '') continue;
+                parsed.rules.push({ ...this.buildSearchRule(field, value.trim()), negate: !!negate });
+                continue;
+            }
+
+            // Un prefijo desconocido ("foo:bar") se busca como texto literal
+            const term = this.normalizeForComparison(key ? `${key}:${value}` : value);
+            if (!term) continue;
+            (negate ? parsed.excluded : parsed.terms).push(term);
+        }
+        return parsed;
+    }
+
+    buildSearchRule(field, raw) {
+        const type = this.getSmartPlaylistFields()[field].type;
+        if (type === 'text') return { field, operator: 'contains', value: raw };
+        if (type === 'date') return { field, operator: 'inLast', value: raw.replace(/^[<>=]+/, '') };
+
+        const range = raw.split('..');
+        if (range.length === 2) {
+            return { field, operator: 'between', value: range[0] || '-Infinity', value2: range[1] || 'Infinity' };
+        }
+
+        const [, comparator = '', value] = raw.match(/^(>=|<=|>|<|=)?(.*)$/);
+        switch (comparator) {
+            case '>': return { field, operator: 'gt', value };
+            case '<': return { field, operator: 'lt', value };
+            case '>=': return { field, operator: 'between', value, value2: 'Infinity' };
+            case '<=': return { field, operator: 'between', value: '-Infinity', value2: value };
+        }
+        // Una duración exacta ("duration:3:45") abarca todo ese segundo
+        if (type === 'duration') return { field, operator: 'between', value, value2: `0:${this.parseDuration(value) + 0.999}` };
+        return { field, operator: 'eq', value };
+    }
+
+    editDistance(a, b, maxDistance) {
+        // Distancia de Damerau-Levenshtein (con transposiciones), cortando en cuanto supera maxDistance
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    scoreSearchTerm(term, text) {
+        if (!text) return 0;
+        const words = text.split(' ');
+        if (words.includes(term)) return 1;
+        if (words.some(word => word.startsWith(term))) return 0.8;
+        if (text.includes(term)) return 0.6;
+        if (term.length < 4 || term.includes(' ')) return 0;
+
+        // Tolerancia a erratas: 1 error en palabras cortas, 2 en las largas
+        const maxDistance = term.length >= 8 ? 2 : 1;
+        if (words.some(word => this.editDistance(term, word, maxDistance) <= maxDistance)) return 0.4;
+        if (words.some(word => word.length > term.length && this.editDistance(term, word.slice(0, term.length), maxDistance) <= maxDistance)) return 0.3;
+        return 0;
+    }
+
+    scoreSearchText(fields, parsed) {
+        const texts = fields.map(([value, weight]) => [this.normalizeForComparison(value), weight]);
+        if (parsed.excluded.some(term => texts.some(([text]) => text.includes(term)))) return 0;
+        if (parsed.terms.length === 0) return 1;
+
+        let total = 0;
+        for (const term of parsed.terms) {
+            const best = Math.max(...texts.map(([text, weight]) => this.scoreSearchTerm(term, text) * weight));
+            if (best === 0) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    matchesSearchRules(track, parsed) {
+        return parsed.rules.every(rule => this.matchesSmartRule(track, rule) !== rule.negate);
+    }
+
+    searchLibrary(query) {
+        const parsed = this.parseSearchQuery(query);
+        const byScore = (a, b) => b.score - a.score;
+        const matchingTrackIds = new Set();
+
+        const tracks = [];
+        for (const track of this.library.values()) {
+            if (!this.matchesSearchRules(track, parsed)) continue;
+            matchingTrackIds.add(track.id);
+            const score = this.scoreSearchText([[track.title, 3], [track.artist, 2], [track.album, 1.5], [track.genre, 1]], parsed);
+            if (score > 0) tracks.push({ item: track, score });
+        }
 
-        this.eqVisualizerAnimationId = requestAnimationFrame(draw);
-    }
+        // Álbumes y artistas: el texto libre se compara con su nombre y los filtros con sus canciones
+        const hasRules = parsed.rules.length > 0;
+        const albums = [];
+        for (const album of this.albums.values()) {
+            if (hasRules && !album.trackIds.some(id => matchingTrackIds.has(id))) continue;
+            const score = this.scoreSearchText([[album.name, 3], [album.artist, 2]], parsed);
+            if (score > 0) albums.push({ item: album, score });
+        }
 
-    stopEQVisualizer() { 
-        if (this.eqVisualizerAnimationId) {
-            cancelAnimationFrame(this.eqVisualizerAnimationId);
-            this.eqVisualizerAnimationId = null;
+        const artistsData = new Map();
+        for (const track of this.library.values()) {
+            if (!artistsData.has(track.artist)) {
+                artistsData.set(track.artist, { name: track.artist, trackIds: [], coverAssetId: null, matches: false });
+            }
+            const artist = artistsData.get(track.artist);
+            artist.trackIds.push(track.id);
+            if (!artist.coverAssetId && track.coverAssetId) artist.coverAssetId = track.coverAssetId;
+            if (matchingTrackIds.has(track.id)) artist.matches = true;
+        }
+        const artists = [];
+        for (const artist of artistsData.values()) {
+            if (hasRules && !artist.matches) continue;
+            const score = this.scoreSearchText([[artist.name, 3]], parsed);
+            if (score > 0) artists.push({ item: artist, score });
+        }
+
+        // Los filtros por campo describen canciones, así que las playlists solo aparecen con texto libre
+        const playlists = [];
+        if (!hasRules) {
+            for (const playlist of this.playlists.values()) {
+                const score = this.scoreSearchText([[playlist.name, 3]], parsed);
+                if (score > 0) playlists.push({ item: playlist, score });
+            }
         }
+
+        const unwrap = results => results.sort(byScore).map(result => result.item);
+        return { tracks: unwrap(tracks), albums: unwrap(albums), artists: unwrap(artists), playlists: unwrap(playlists) };
     }
 
     // ===================================
-    // PLAYLISTS, ALBUMS, ARTISTS
+    // LISTENING HISTORY & STATS
     // ===================================
-    
-    async createPlaylist() {
-        const name = prompt("Nombre de la nueva playlist:");
-        if (!name || name.trim() === '') return;
 
-        const playlist = {
-            id: this.generateId(),
-            name,
-            trackIds: [],
-            coverAssetId: null,
-            createdAt: Date.now()
-        };
-        
-        await this.saveToStore('playlists', playlist);
-        this.playlists.set(playlist.id, playlist);
-        await this.updatePlaylistsDisplay();
-        this.showToast(`Playlist "${name}" creada`, 'success');
+    trackListening(element) {
+        if (!this.currentTrackId || element.paused) return;
+
+        if (!this.playSession || this.playSession.trackId !== this.currentTrackId) {
+            this.finishPlaySession(false);
+            this.playSession = {
+                trackId: this.currentTrackId,
+                startedAt: Date.now(),
+                listened: 0,
+                lastPosition: element.currentTime
+            };
+            return;
+        }
+
+        // Los saltos (seek) no cuentan como tiempo escuchado
+        const delta = element.currentTime - this.playSession.lastPosition;
+        if (delta > 0 && delta < 5) this.playSession.listened += delta / (element.playbackRate || 1);
+        this.playSession.lastPosition = element.currentTime;
     }
 
-    async updatePlaylistsDisplay() {
-        const grid = document.getElementById('playlistsGrid');
-        grid.innerHTML = '';
+    async finishPlaySession(reachedEnd) {
+        const session = this.playSession;
+        this.playSession = null;
+        if (!session || session.listened < 1) return;
 
-        const sortedPlaylists = Array.from(this.playlists.values())
-            .sort((a, b) => b.createdAt - a.createdAt);
+        const track = this.library.get(session.trackId);
+        if (!track) return;
 
-        for (const playlist of sortedPlaylists) {
-            const element = await this.createPlaylistElement(playlist);
-            grid.appendChild(element);
-        }
-    }
+        const duration = track.duration || 0;
+        const completed = reachedEnd || (duration > 0 && session.listened >= duration * 0.9);
+        const countsAsPlay = completed || session.listened >= Math.min(30, duration * 0.5);
 
-    async createPlaylistElement(playlist) {
-        const div = document.createElement('div');
-        div.className = 'playlist-item';
-        div.dataset.playlistId = playlist.id;
+        const entry = {
+            id: this.generateId(),
+            trackId: track.id,
+            startedAt: session.startedAt,
+            listened: Math.round(session.listened),
+            completed,
+            // Una escucha que cuenta como reproducción no es un salto, aunque no llegue al final
+            skipped: !countsAsPlay
+        };
+        this.history.push(entry);
 
-        let coverUrl = '';
-        if (playlist.coverAssetId && this.assets.has(playlist.coverAssetId)) {
-             coverUrl = URL.createObjectURL(this.assets.get(playlist.coverAssetId).blob);
-        } else if (playlist.trackIds.length > 0) {
-            const firstTrack = this.library.get(playlist.trackIds[0]);
-            if (firstTrack && firstTrack.coverAssetId && this.assets.has(firstTrack.coverAssetId)) {
-                coverUrl = URL.createObjectURL(this.assets.get(firstTrack.coverAssetId).blob);
-            }
+        if (countsAsPlay) track.playCount = (track.playCount || 0) + 1;
+        else track.skipCount = (track.skipCount || 0) + 1;
+        track.lastPlayedAt = session.startedAt;
+
+        try {
+            await this.saveToStore('history', entry);
+            await this.saveToStore('tracks', track);
+        } catch (error) {
+            console.error('No se pudo guardar el historial:', error);
         }
 
-        div.innerHTML = `
-            <button class="edit-btn" aria-label="Editar playlist">
-                <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
-            </button>
-            <div class="playlist-cover" style="background-image: url('${coverUrl}')"></div>
-            <div class="playlist-info">
-                <div class="playlist-name">${playlist.name}</div>
-                <div class="playlist-track-count">${playlist.trackIds.length} canciones</div>
-            </div>
+        await this.refreshSmartPlaylists();
+        if (this.currentView === 'stats') this.updateStatsDisplay();
+    }
+
+    getHistoryForPeriod(periodDays) {
+        if (!periodDays) return this.history;
+        const since = Date.now() - periodDays * 24 * 60 * 60 * 1000;
+        return this.history.filter(entry => entry.startedAt >= since);
+    }
+
+    updateStatsDisplay() {
+        const periodDays = parseInt(document.getElementById('statsPeriod').value, 10) || 0;
+        const entries = this.getHistoryForPeriod(periodDays).filter(entry => this.library.has(entry.trackId));
+
+        // El tiempo escuchado incluye los saltos; las reproducciones y los rankings, no
+        const plays = entries.filter(entry => !entry.skipped);
+        const totalSeconds = entries.reduce((sum, entry) => sum + entry.listened, 0);
+        const distinctTracks = new Set(plays.map(entry => entry.trackId)).size;
+        document.getElementById('statsSummary').innerHTML = `
+            <div class="stats-card"><span class="stats-card-value">${this.formatListeningTime(totalSeconds)}</span><span class="stats-card-label">Tiempo escuchado</span></div>
+            <div class="stats-card"><span class="stats-card-value">${plays.length}</span><span class="stats-card-label">Reproducciones</span></div>
+            <div class="stats-card"><span class="stats-card-value">${distinctTracks}</span><span class="stats-card-label">Canciones distintas</span></div>
+            <div class="stats-card"><span class="stats-card-value">${entries.filter(e => e.skipped).length}</span><span class="stats-card-label">Saltadas</span></div>
         `;
-        
-        div.addEventListener('click', () => {
-            this.switchView('playlistDetail', { playlistId: playlist.id });
-        });
-        
-        div.querySelector('.edit-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.showPlaylistEditor(playlist);
-        });
 
-        div.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.showPlaylistContextMenu(e, playlist);
+        this.renderListeningChart(entries, periodDays);
+
+        const aggregate = (keyFn, labelFn) => {
+            const totals = new Map();
+            plays.forEach(entry => {
+                const track = this.library.get(entry.trackId);
+                const key = keyFn(track);
+                const item = totals.get(key) || { key, label: labelFn(track), plays: 0, seconds: 0, trackIds: [] };
+                item.plays++;
+                item.seconds += entry.listened;
+                if (!item.trackIds.includes(track.id)) item.trackIds.push(track.id);
+                totals.set(key, item);
+            });
+            return [...totals.values()].sort((a, b) => b.plays - a.plays || b.seconds - a.seconds).slice(0, 10);
+        };
+
+        this.renderStatsList('statsTopTracks', aggregate(t => t.id, t => `${t.title} — ${t.artist}`));
+        this.renderStatsList('statsTopArtists', aggregate(t => t.artist, t => t.artist));
+        this.renderStatsList('statsTopAlbums', aggregate(t => `${t.album}|${t.artist}`, t => `${t.album} — ${t.artist}`));
+
+        const recentList = document.getElementById('statsRecent');
+        recentList.innerHTML = '';
+        this.getRecentlyPlayedEntries().forEach(entry => {
+            const track = this.library.get(entry.trackId);
+            const li = document.createElement('li');
+            li.className = 'stats-list-item';
+            li.innerHTML = `
+                <span class="stats-list-label">${track.title} — ${track.artist}</span>
+                <span class="stats-list-value">${new Date(entry.startedAt).toLocaleString('es')}</span>
+            `;
+            li.addEventListener('click', () => this.setQueueAndPlay([track.id], track.id));
+            recentList.appendChild(li);
         });
+    }
 
-        return div;
+    renderStatsList(elementId, items) {
+        const list = document.getElementById(elementId);
+        list.innerHTML = '';
+        if (items.length === 0) {
+            list.innerHTML = '<li class="stats-empty">Sin datos en este periodo</li>';
+            return;
+        }
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'stats-list-item';
+            li.innerHTML = `
+                <span class="stats-list-label">${item.label}</span>
+                <span class="stats-list-value">${item.plays} · ${this.formatListeningTime(item.seconds)}</span>
+            `;
+            li.addEventListener('click', () => this.setQueueAndPlay(item.trackIds, item.trackIds[0]));
+            list.appendChild(li);
+        });
     }
 
-    async updatePlaylistDetailView(playlistId) {
-        const playlist = this.playlists.get(playlistId);
-        if(!playlist) return;
+    renderListeningChart(entries, periodDays) {
+        const chart = document.getElementById('statsChart');
+        chart.innerHTML = '';
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const firstEntry = entries.length > 0 ? entries[0].startedAt : today.getTime();
+        const spanDays = periodDays || Math.ceil((today.getTime() - firstEntry) / dayMs) + 1;
+        const days = Math.max(1, Math.min(spanDays, 90));
+
+        const buckets = new Array(days).fill(0);
+        entries.forEach(entry => {
+            const dayIndex = days - 1 - Math.floor((today.getTime() + dayMs - 1 - entry.startedAt) / dayMs);
+            if (dayIndex >= 0 && dayIndex < days) buckets[dayIndex] += entry.listened;
+        });
 
-        document.getElementById('playlistDetailName').textContent = playlist.name;
-        
-        let totalDuration = 0;
-        playlist.trackIds.forEach(tid => {
-            const track = this.library.get(tid);
-            if(track) totalDuration += track.duration;
+        const max = Math.max(...buckets, 1);
+        buckets.forEach((seconds, i) => {
+            const date = new Date(today.getTime() - (days - 1 - i) * dayMs);
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.style.height = `${(seconds / max) * 100}%`;
+            bar.title = `${date.toLocaleDateString('es')}: ${this.formatListeningTime(seconds)}`;
+            chart.appendChild(bar);
         });
+    }
 
-        document.getElementById('playlistDetailStats').textContent = 
-            `${playlist.trackIds.length} canciones, ${this.formatTime(totalDuration)}`;
+    getRecentlyPlayedEntries(limit = 50) {
+        return this.history
+            .filter(entry => this.library.has(entry.trackId))
+            .slice(-limit)
+            .reverse();
+    }
 
-        let coverUrl = '';
-         if (playlist.coverAssetId && this.assets.has(playlist.coverAssetId)) {
-             coverUrl = URL.createObjectURL(this.assets.get(playlist.coverAssetId).blob);
-        } else if (playlist.trackIds.length > 0) {
-            const firstTrack = this.library.get(playlist.trackIds[0]);
-            if (firstTrack && firstTrack.coverAssetId && this.assets.has(firstTrack.coverAssetId)) {
-                coverUrl = URL.createObjectURL(this.assets.get(firstTrack.coverAssetId).blob);
-            }
+    playRecentlyPlayed() {
+        const trackIds = [...new Set(this.getRecentlyPlayedEntries().map(entry => entry.trackId))];
+        if (trackIds.length === 0) {
+            this.showToast('Todavía no hay historial', 'info');
+            return;
         }
-        document.getElementById('playlistDetailCover').src = coverUrl;
-        
-        document.getElementById('playPlaylistBtn').onclick = () => {
-            if (playlist.trackIds.length > 0) {
-                this.setQueueAndPlay(playlist.trackIds, playlist.trackIds[0]);
-            }
+        this.setQueueAndPlay(trackIds, trackIds[0]);
+    }
+
+    formatListeningTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+    }
+
+    // ===================================
+    // KEYBOARD SHORTCUTS & COMMAND PALETTE
+    // ===================================
+
+    getDefaultShortcuts() {
+        return {
+            playPause: 'Space',
+            seekForward: 'ArrowRight',
+            seekBackward: 'ArrowLeft',
+            volumeUp: 'ArrowUp',
+            volumeDown: 'ArrowDown',
+            mute: 'M',
+            next: 'N',
+            previous: 'P',
+            shuffle: 'S',
+            repeat: 'R',
+            search: '/',
+            equalizer: 'E',
+            queue: 'Q',
+            lyrics: 'L',
+            palette: 'Ctrl+K',
+            selectAll: 'Ctrl+A',
+            undoPlaylist: 'Ctrl+Z',
+            removeFromPlaylist: 'Delete',
         };
+    }
 
-        const grid = document.getElementById('playlistTracksGrid');
-        grid.innerHTML = '';
-        for(const trackId of playlist.trackIds) {
-            const track = this.library.get(trackId);
-            if(track) {
-                const trackElement = await this.createTrackElement(track);
-                trackElement.onclick = () => this.setQueueAndPlay(playlist.trackIds, trackId);
-                grid.appendChild(trackElement);
-            }
-        }
+    getCommands() {
+        const click = (id) => () => document.getElementById(id).click();
+        return [
+            { id: 'playPause', label: 'Reproducir / pausar', run: () => this.isPlaying ? this.pause() : this.play() },
+            { id: 'next', label: 'Pista siguiente', run: () => this.playNext() },
+            { id: 'previous', label: 'Pista anterior', run: () => this.playPrevious() },
+            { id: 'seekForward', label: 'Avanzar 5 segundos', run: () => this.skipBy(5) },
+            { id: 'seekBackward', label: 'Retroceder 5 segundos', run: () => this.skipBy(-5) },
+            { id: 'volumeUp', label: 'Subir volumen', run: () => this.changeVolumeBy(0.05) },
+            { id: 'volumeDown', label: 'Bajar volumen', run: () => this.changeVolumeBy(-0.05) },
+            { id: 'mute', label: 'Silenciar / activar sonido', run: () => this.toggleMute() },
+            { id: 'shuffle', label: 'Alternar modo aleatorio', run: () => this.toggleShuffle(document.getElementById('shuffleBtn')) },
+            { id: 'repeat', label: 'Cambiar modo de repetición', run: () => this.toggleRepeat(document.getElementById('repeatBtn')) },
+            { id: 'search', label: 'Buscar en la biblioteca', run: () => this.focusLibrarySearch() },
+            { id: 'equalizer', label: 'Mostrar u ocultar el ecualizador', run: click('equalizerBtn') },
+            { id: 'queue', label: 'Mostrar u ocultar la cola', run: click('queueBtn') },
+            { id: 'lyrics', label: 'Mostrar u ocultar la letra', run: click('lyricsBtn') },
+            { id: 'bookmarks', label: 'Mostrar u ocultar los marcadores', run: click('bookmarksBtn') },
+            { id: 'addBookmark', label: 'Añadir marcador', run: () => this.addBookmark() },
+            { id: 'speedUp', label: 'Aumentar la velocidad', run: () => this.setPlaybackSpeed(this.getTrackSpeed(this.library.get(this.currentTrackId)) + 0.25) },
+            { id: 'speedDown', label: 'Reducir la velocidad', run: () => this.setPlaybackSpeed(this.getTrackSpeed(this.library.get(this.currentTrackId)) - 0.25) },
+            { id: 'speedReset', label: 'Velocidad normal', run: () => this.setPlaybackSpeed(1) },
+            { id: 'abLoop', label: 'Marcar A / marcar B / quitar bucle', run: () => this.cycleAbLoop() },
+            { id: 'palette', label: 'Paleta de comandos', run: () => this.showCommandPalette() },
+            // `when`: fuera de su contexto el atajo no se intercepta y la tecla conserva su función normal
+            { id: 'selectAll', label: 'Seleccionar todas las canciones', run: () => this.selectAllTracks(), when: () => !!this.getActiveTrackGridId() },
+            { id: 'undoPlaylist', label: 'Deshacer el último cambio de la playlist', run: () => this.undoPlaylistChange(), when: () => !!this.getEditablePlaylistInView() },
+            { id: 'removeFromPlaylist', label: 'Quitar la selección de la playlist', run: () => this.handleSelectionAction('batchRemoveFromPlaylist'),
+                when: () => !!this.getEditablePlaylistInView() && this.selectedEntries.size > 0 },
+            { id: 'goLibrary', label: 'Ir a Biblioteca', run: () => this.switchView('library') },
+            { id: 'goPlaylists', label: 'Ir a Playlists', run: () => this.switchView('playlists') },
+            { id: 'goAlbums', label: 'Ir a Álbumes', run: () => this.switchView('albums') },
+            { id: 'goArtists', label: 'Ir a Artistas', run: () => this.switchView('artists') },
+            { id: 'goStats', label: 'Ir a Estadísticas', run: () => this.switchView('stats') },
+            { id: 'importFiles', label: 'Importar archivos', run: click('importBtn') },
+            { id: 'importFolder', label: 'Importar carpeta', run: click('importFolderBtn') },
+            { id: 'newPlaylist', label: 'Nueva playlist', run: () => this.createPlaylist() },
+            { id: 'saveQueue', label: 'Guardar la cola como playlist', run: () => this.saveQueueAsPlaylist() },
+            { id: 'clearQueue', label: 'Vaciar la cola', run: () => this.clearQueue() },
+            { id: 'findDuplicates', label: 'Buscar duplicados', run: () => this.showDuplicatesManager() },
+            { id: 'settings', label: 'Abrir ajustes', run: click('settingsBtn') },
+            { id: 'editShortcuts', label: 'Personalizar atajos de teclado', run: () => this.showShortcutsEditor() },
+        ];
     }
 
-    async updateAlbumsDisplay() {
-        const grid = document.getElementById('albumsGrid');
-        grid.innerHTML = '';
-        for (const album of this.albums.values()) {
-            const element = await this.createAlbumElement(album);
-            grid.appendChild(element);
-        }
+    runCommand(commandId) {
+        const command = this.getCommands().find(c => c.id === commandId);
+        if (command && (!command.when || command.when())) command.run();
     }
 
-    async createAlbumElement(album) {
-        const div = document.createElement('div');
-        div.className = 'album-item';
-        div.dataset.albumId = album.id;
-        
-        const coverUrl = album.coverAssetId && this.assets.has(album.coverAssetId)
-            ? URL.createObjectURL(this.assets.get(album.coverAssetId).blob)
-            : '';
+    setupShortcutEvents() {
+        // Mientras se asigna un atajo, la pulsación se captura antes que cualquier otro manejador
+        document.addEventListener('keydown', (e) => {
+            if (this.capturingShortcut) this.captureShortcut(e);
+        }, true);
+        document.addEventListener('keydown', (e) => {
+            if (this.capturingShortcut) return;
+            const combo = this.getShortcutFromEvent(e);
+            if (!combo) return;
+            const shortcuts = this.settings.shortcuts;
+            const commandId = Object.keys(shortcuts).find(id => shortcuts[id] === combo);
+            if (!commandId) return;
+            const command = this.getCommands().find(c => c.id === commandId);
+            if (!command || (command.when && !command.when())) return;
+
+            // Los atajos no deben interferir con la escritura ni con los diálogos abiertos; la paleta sí se abre desde cualquier sitio
+            const inField = e.target.closest('input, textarea, select, [contenteditable]');
+            const openModal = document.querySelector('.modal:not(.hidden)');
+            if (commandId === 'palette') {
+                if (openModal && openModal.id !== 'commandPalette') return;
+            } else if (inField || openModal) {
+                return;
+            }
+            e.preventDefault();
+            command.run();
+        });
 
-        div.innerHTML = `
-            <button class="edit-btn" aria-label="Editar álbum">
-                 <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
-            </button>
-            <div class="album-cover" style="background-image: url('${coverUrl}')"></div>
-            <div class="album-info">
-                <div class="album-name">${album.name}</div>
-                <div class="album-artist">${album.artist}</div>
-            </div>
-        `;
-        
-        div.addEventListener('click', () => {
-            if(album.trackIds.length > 0) {
-                const sortedTracks = album.trackIds
-                    .map(id => this.library.get(id))
-                    .sort((a, b) => (a.trackNumber || 0) - (b.trackNumber || 0))
-                    .map(t => t.id);
-                this.setQueueAndPlay(sortedTracks, sortedTracks[0]);
+        const palette = document.getElementById('commandPalette');
+        const input = document.getElementById('commandPaletteInput');
+        palette.addEventListener('click', (e) => {
+            if (e.target === palette) this.hideCommandPalette();
+        });
+        input.addEventListener('input', () => this.updateCommandPaletteResults(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = this.paletteResults.length;
+                if (count === 0) return;
+                this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+                this.renderCommandPalette();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runPaletteResult(this.paletteIndex);
+            } else if (e.key === 'Escape') {
+                this.hideCommandPalette();
             }
         });
-        
-        div.querySelector('.edit-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.showAlbumEditor(album);
+        document.getElementById('commandPaletteResults').addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (item) this.runPaletteResult(Number(item.dataset.index));
         });
 
-        return div;
+        const modal = document.getElementById('shortcutsModal');
+        const closeEditor = () => {
+            this.capturingShortcut = null;
+            modal.classList.add('hidden');
+        };
+        document.getElementById('editShortcutsBtn').addEventListener('click', () => this.showShortcutsEditor());
+        document.getElementById('closeShortcutsBtn').addEventListener('click', closeEditor);
+        document.getElementById('acceptShortcutsBtn').addEventListener('click', closeEditor);
+        document.getElementById('resetShortcutsBtn').addEventListener('click', () => {
+            this.settings.shortcuts = this.getDefaultShortcuts();
+            this.capturingShortcut = null;
+            this.saveSettings();
+            this.renderShortcutsList();
+            this.showToast('Atajos restablecidos', 'success');
+        });
+        document.getElementById('shortcutsList').addEventListener('click', (e) => {
+            const button = e.target.closest('.shortcut-key');
+            if (!button) return;
+            this.capturingShortcut = this.capturingShortcut === button.dataset.command ? null : button.dataset.command;
+            this.renderShortcutsList();
+        });
     }
 
-    async updateArtistsDisplay() {
-        const artistsData = new Map();
-        for (const track of this.library.values()) {
-            if (!artistsData.has(track.artist)) {
-                artistsData.set(track.artist, { name: track.artist, trackIds: [] });
+    getShortcutFromEvent(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'Dead'].includes(e.key)) return null;
+        let key = e.key === ' ' ? 'Space' : e.key;
+        const printable = key.length === 1;
+        if (printable) key = key.toUpperCase();
+        const isLetter = printable && key.toLowerCase() !== key;
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        // En los símbolos, Shift depende de la distribución del teclado ("/" es Shift+7 en español)
+        if (e.shiftKey && (!printable || isLetter)) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    formatShortcut(combo) {
+        if (!combo) return '';
+        const names = { Space: 'Espacio', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Delete: 'Supr', Backspace: 'Retroceso' };
+        return combo.split('+').map(part => names[part] || part).join(' + ');
+    }
+
+    changeVolumeBy(delta) {
+        const volume = Math.round(Math.max(0, Math.min(1, this.settings.volume + delta)) * 100) / 100;
+        this.setVolume(volume);
+        this.showToast(`Volumen: ${Math.round(volume * 100)}%`, 'info');
+        this.saveSettings();
+    }
+
+    focusLibrarySearch() {
+        if (this.currentView !== 'library') this.switchView('library');
+        const input = document.querySelector('.search-input');
+        input.focus();
+        input.select();
+    }
+
+    showShortcutsEditor() {
+        this.capturingShortcut = null;
+        this.renderShortcutsList();
+        document.getElementById('shortcutsModal').classList.remove('hidden');
+    }
+
+    renderShortcutsList() {
+        const listEl = document.getElementById('shortcutsList');
+        listEl.innerHTML = '';
+        this.getCommands().forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            const capturing = this.capturingShortcut === command.id;
+            row.innerHTML = `
+                <span class="shortcut-label">${command.label}</span>
+                <button class="shortcut-key${capturing ? ' capturing' : ''}" data-command="${command.id}">
+                    ${capturing ? 'Pulsa una combinación…' : (this.formatShortcut(this.settings.shortcuts[command.id]) || '—')}
+                </button>
+            `;
+            listEl.appendChild(row);
+        });
+    }
+
+    captureShortcut(e) {
+        const combo = this.getShortcutFromEvent(e);
+        if (!combo) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const commandId = this.capturingShortcut;
+        this.capturingShortcut = null;
+
+        if (combo === 'Escape') {
+            this.renderShortcutsList();
+            return;
+        }
+        // Supr es asignable (quitar de la playlist), así que solo Retroceso borra el atajo
+        if (combo === 'Backspace') {
+            this.settings.shortcuts[commandId] = null;
+        } else {
+            // Una combinación solo puede tener un comando: el anterior se queda sin atajo
+            const previous = Object.keys(this.settings.shortcuts).find(id => id !== commandId && this.settings.shortcuts[id] === combo);
+            if (previous) {
+                this.settings.shortcuts[previous] = null;
+                const label = this.getCommands().find(c => c.id === previous)?.label || previous;
+                this.showToast(`"${label}" se ha quedado sin atajo`, 'info');
             }
-            artistsData.get(track.artist).trackIds.push(track.id);
+            this.settings.shortcuts[commandId] = combo;
         }
-        
-        const grid = document.getElementById('artistsGrid');
-        grid.innerHTML = '';
-        for (const artist of artistsData.values()) {
-            const element = await this.createArtistElement(artist);
-            grid.appendChild(element);
+        this.saveSettings();
+        this.renderShortcutsList();
+    }
+
+    showCommandPalette() {
+        const palette = document.getElementById('commandPalette');
+        if (!palette.classList.contains('hidden')) {
+            this.hideCommandPalette();
+            return;
         }
+        document.querySelector('.context-menu')?.remove();
+        const input = document.getElementById('commandPaletteInput');
+        input.value = '';
+        palette.classList.remove('hidden');
+        this.updateCommandPaletteResults('');
+        input.focus();
     }
 
-    async createArtistElement(artist) {
-        const div = document.createElement('div');
-        div.className = 'artist-item';
+    hideCommandPalette() {
+        document.getElementById('commandPalette').classList.add('hidden');
+    }
 
-        const firstTrackWithCover = artist.trackIds.map(id => this.library.get(id)).find(t => t.coverAssetId);
-        const coverUrl = firstTrackWithCover && this.assets.has(firstTrackWithCover.coverAssetId)
-            ? URL.createObjectURL(this.assets.get(firstTrackWithCover.coverAssetId).blob)
-            : '';
+    updateCommandPaletteResults(query) {
+        const parsed = this.parseSearchQuery(query);
+        const hasQuery = query.trim() !== '';
+        const results = this.getCommands()
+            .map(command => ({ command, score: this.scoreSearchText([[command.label, 3], [command.id, 1]], parsed) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, hasQuery ? 6 : 12)
+            .map(({ command }) => ({
+                group: 'Comandos',
+                label: command.label,
+                detail: this.formatShortcut(this.settings.shortcuts[command.id]),
+                run: () => this.runCommand(command.id)
+            }));
+
+        if (hasQuery) {
+            const found = this.searchLibrary(query);
+            found.tracks.slice(0, 8).forEach(track => results.push({
+                group: 'Canciones',
+                label: track.title,
+                detail: track.artist,
+                run: () => {
+                    // Se reproduce la pista elegida aunque sea la actual (enqueueTracks la omite en ese caso)
+                    if (track.id !== this.currentTrackId) {
+                        this.enqueueTracks([track.id], true);
+                        this.currentIndex = this.getActiveQueue().indexOf(track.id);
+                    }
+                    this.play(track.id);
+                }
+            }));
+            found.albums.slice(0, 5).forEach(album => results.push({
+                group: 'Álbumes',
+                label: album.name,
+                detail: album.artist,
+                run: () => this.playAlbum(album)
+            }));
+            found.playlists.slice(0, 5).forEach(playlist => results.push({
+                group: 'Playlists',
+                label: playlist.name,
+                detail: `${playlist.trackIds.length} canciones`,
+                run: () => this.switchView('playlistDetail', { playlistId: playlist.id })
+            }));
+        }
 
-        div.innerHTML = `
-             <button class="edit-btn" aria-label="Editar artista">
-                 <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
-            </button>
-             <div class="artist-cover" style="background-image: url('${coverUrl}')"></div>
-             <div class="artist-info">
-                <div class="artist-name">${artist.name}</div>
-                <div class="artist-track-count">${artist.trackIds.length} canciones</div>
-             </div>
-        `;
-        
-        div.addEventListener('click', () => {
-            if (artist.trackIds.length > 0) {
-                this.setQueueAndPlay(artist.trackIds, artist.trackIds[0]);
-            }
-        });
+        this.paletteResults = results;
+        this.paletteIndex = 0;
+        this.renderCommandPalette();
+    }
 
-        div.querySelector('.edit-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.showArtistEditor(artist.name);
+    renderCommandPalette() {
+        const listEl = document.getElementById('commandPaletteResults');
+        listEl.innerHTML = '';
+        if (this.paletteResults.length === 0) {
+            listEl.innerHTML = '<p class="palette-empty">Sin resultados</p>';
+            return;
+        }
+
+        let group = null;
+        this.paletteResults.forEach((result, index) => {
+            if (result.group !== group) {
+                group = result.group;
+                const title = document.createElement('div');
+                title.className = 'palette-group-title';
+                title.textContent = group;
+                listEl.appendChild(title);
+            }
+            const item = document.createElement('div');
+            item.className = 'palette-item';
+            item.classList.toggle('active', index === this.paletteIndex);
+            item.dataset.index = index;
+            item.innerHTML = '<span class="palette-item-label"></span><span class="palette-item-detail"></span>';
+            item.querySelector('.palette-item-label').textContent = result.label;
+            item.querySelector('.palette-item-detail').textContent = result.detail || '';
+            listEl.appendChild(item);
         });
+        listEl.querySelector('.palette-item.active')?.scrollIntoView({ block: 'nearest' });
+    }
 
-        return div;
+    runPaletteResult(index) {
+        const result = this.paletteResults[index];
+        if (!result) return;
+        this.hideCommandPalette();
+        result.run();
     }
 
     // ===================================
     // CONTEXT MENUS & MODALS
     // ===================================
     
-    showTrackContextMenu(event, track) {
+    showTrackContextMenu(event, track, entryIndex) {
+        if (this.selection.size > 1 && this.selection.has(track.id)) {
+            this.showSelectionContextMenu(event);
+            return;
+        }
         document.querySelector('.context-menu')?.remove();
         const menu = document.createElement('div');
         menu.className = 'context-menu glass-panel';
@@ -1387,18 +7078,23 @@ class FinalPlayer {
         if(this.playlists.size > 0){
              playlistItems += `<div class="context-divider"></div>`;
              for(const playlist of this.playlists.values()){
+                 if (playlist.smart) continue;
                  playlistItems += `<button class="glass-btn" data-action="addToSpecificPlaylist" data-playlist-id="${playlist.id}">Añadir a ${playlist.name}</button>`;
              }
         }
         menu.innerHTML = `
-            <button class="glass-btn" data-action="addToQueue">Agregar a Cola</button>
+            <button class="glass-btn" data-action="playNext">Reproducir a continuación</button>
+            <button class="glass-btn" data-action="addToQueue">Agregar al final de la cola</button>
             <button class="glass-btn" data-action="editMetadata">Editar</button>
+            <button class="glass-btn" data-action="exportFile">Exportar archivo</button>
+            <button class="glass-btn" data-action="eqProfile">Perfil de ecualizador…</button>
+            ${entryIndex !== undefined && this.getEditablePlaylistInView() ? `<button class="glass-btn" data-action="removeFromPlaylist">Quitar de la playlist</button>` : ''}
             <button class="glass-btn" data-action="delete">Eliminar</button>
             ${playlistItems}
         `;
         document.body.appendChild(menu);
         this.addContextMenuListeners(menu, (action, button) => {
-            this.handleContextAction(action, {track}, button.dataset.playlistId);
+            this.handleContextAction(action, {track, entryIndex}, button.dataset.playlistId);
         });
     }
     
@@ -1408,11 +7104,28 @@ class FinalPlayer {
         menu.className = 'context-menu glass-panel';
         menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
         menu.innerHTML = `
+            <button class="glass-btn" data-action="playNextPlaylist">Reproducir a continuación</button>
+            <button class="glass-btn" data-action="queuePlaylist">Agregar al final de la cola</button>
+            <div class="context-divider"></div>
             <button class="glass-btn" data-action="editPlaylist">Editar</button>
             <button class="glass-btn" data-action="deletePlaylist">Eliminar</button>
+            <div class="context-divider"></div>
+            <button class="glass-btn" data-action="exportPlaylist" data-format="m3u8">Exportar M3U8</button>
+            <button class="glass-btn" data-action="exportPlaylist" data-format="pls">Exportar PLS</button>
+            <button class="glass-btn" data-action="exportPlaylist" data-format="xspf">Exportar XSPF</button>
         `;
         document.body.appendChild(menu);
-        this.addContextMenuListeners(menu, (action) => this.handleContextAction(action, {playlist}));
+        this.addContextMenuListeners(menu, (action, button) => this.handleContextAction(action, {playlist, format: button.dataset.format}));
+    }
+
+    showEQProfileContextMenu(event, action, data) {
+        document.querySelector('.context-menu')?.remove();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu glass-panel';
+        menu.style.cssText = `left: ${event.clientX}px; top: ${event.clientY}px;`;
+        menu.innerHTML = `<button class="glass-btn" data-action="${action}">Perfil de ecualizador…</button>`;
+        document.body.appendChild(menu);
+        this.addContextMenuListeners(menu, (action) => this.handleContextAction(action, data));
     }
 
     addContextMenuListeners(menu, callback) {
@@ -1434,44 +7147,52 @@ class FinalPlayer {
 
 
     async handleContextAction(action, data, playlistId) {
-        const { track, playlist, album, artist } = data;
+        const { track, playlist, album, artist, format, entryIndex } = data;
         switch (action) {
             case 'addToQueue':
-                if(!this.queue.includes(track.id)) {
-                    this.queue.push(track.id);
-                    this.generateShuffledQueue();
-                    this.updateQueueDisplay();
+                if (this.enqueueTracks([track.id]) > 0) {
                     this.showToast('Agregado a la cola', 'success');
                 }
                 break;
+            case 'playNext':
+                if (this.enqueueTracks([track.id], true) > 0) {
+                    this.showToast('Se reproducirá a continuación', 'success');
+                }
+                break;
+            case 'playNextPlaylist':
+                this.enqueueTracks(playlist.trackIds, true);
+                this.showToast(`"${playlist.name}" se reproducirá a continuación`, 'success');
+                break;
+            case 'queuePlaylist':
+                this.showToast(`${this.enqueueTracks(playlist.trackIds)} canciones agregadas a la cola`, 'success');
+                break;
             case 'editMetadata': this.showMetadataEditor(track); break;
+            case 'exportFile': this.showExportFilesDialog([track.id]); break;
+            case 'eqProfile': this.showEQProfileEditor(this.getEQProfileTargets(track)); break;
+            case 'eqProfileAlbum': this.showEQProfileEditor([{ scope: 'album', key: album.id, label: album.name }]); break;
+            case 'eqProfileArtist': this.showEQProfileEditor([{ scope: 'artist', key: artist.name.toLowerCase(), label: artist.name }]); break;
             case 'delete':
                 if (confirm(`¿Seguro que quieres eliminar "${track.title}"?`)) {
                     await this.deleteTrack(track.id);
                 }
                 break;
             case 'addToSpecificPlaylist': await this.addTrackToPlaylist(playlistId, track.id); break;
-            case 'editPlaylist': this.showPlaylistEditor(playlist); break;
+            case 'removeFromPlaylist': await this.removePlaylistEntries(this.getEditablePlaylistInView(), [entryIndex]); break;
+            case 'editPlaylist':
+                if (playlist.smart) this.showSmartPlaylistEditor(playlist);
+                else this.showPlaylistEditor(playlist);
+                break;
             case 'deletePlaylist':
                  if (confirm(`¿Seguro que quieres eliminar la playlist "${playlist.name}"?`)) {
                     await this.deletePlaylist(playlist.id);
                 }
                 break;
+            case 'exportPlaylist': this.exportPlaylistFile(playlist.trackIds, playlist.name, format); break;
         }
     }
 
     async addTrackToPlaylist(playlistId, trackId) {
-        const playlist = this.playlists.get(playlistId);
-        if (playlist && !playlist.trackIds.includes(trackId)) {
-            playlist.trackIds.push(trackId);
-            await this.saveToStore('playlists', playlist);
-            this.showToast(`Añadido a ${playlist.name}`, 'success');
-            if(!document.getElementById('playlistsView').classList.contains('hidden')) {
-                await this.updatePlaylistsDisplay();
-            }
-        } else {
-             this.showToast(`La canción ya está en ${playlist.name}`, 'info');
-        }
+        await this.addTracksToPlaylist(playlistId, [trackId]);
     }
     
     showMetadataEditor(track) {
@@ -1481,9 +7202,13 @@ class FinalPlayer {
         document.getElementById('metaArtist').value = track.artist;
         document.getElementById('metaAlbum').value = track.album;
         document.getElementById('metaTrackNumber').value = track.trackNumber || '';
+        document.getElementById('metaGenre').value = track.genre || '';
+        document.getElementById('metaYear').value = track.year || '';
+        document.getElementById('metaRating').value = track.rating || 0;
+        document.getElementById('metaLyrics').value = track.lyrics || '';
         const preview = document.getElementById('metaCoverPreview');
         preview.src = (track.coverAssetId && this.assets.has(track.coverAssetId)) 
-            ? URL.createObjectURL(this.assets.get(track.coverAssetId).blob) : '';
+            ? this.getAssetUrl(track.coverAssetId, 512) : '';
         modal.classList.remove('hidden');
     }
     
@@ -1493,7 +7218,7 @@ class FinalPlayer {
         document.getElementById('playlistEditName').value = playlist.name;
         const preview = document.getElementById('playlistEditCoverPreview');
         preview.src = (playlist.coverAssetId && this.assets.has(playlist.coverAssetId))
-            ? URL.createObjectURL(this.assets.get(playlist.coverAssetId).blob) : '';
+            ? this.getAssetUrl(playlist.coverAssetId, 512) : '';
         modal.classList.remove('hidden');
     }
 
@@ -1504,7 +7229,7 @@ class FinalPlayer {
         document.getElementById('albumEditArtist').value = album.artist;
         const preview = document.getElementById('albumEditCoverPreview');
         preview.src = (album.coverAssetId && this.assets.has(album.coverAssetId))
-            ? URL.createObjectURL(this.assets.get(album.coverAssetId).blob) : '';
+            ? this.getAssetUrl(album.coverAssetId, 512) : '';
         modal.classList.remove('hidden');
     }
     
@@ -1527,9 +7252,7 @@ class FinalPlayer {
         if (coverInput.files && coverInput.files[0]) {
             const file = coverInput.files[0];
             const coverAssetId = playlist.coverAssetId || `cover_${playlist.id}`;
-            const asset = { id: coverAssetId, blob: file, type: file.type };
-            await this.saveToStore('assets', asset);
-            this.assets.set(coverAssetId, asset);
+            await this.saveCoverAsset(coverAssetId, file, file.name);
             playlist.coverAssetId = coverAssetId;
         }
 
@@ -1547,182 +7270,1272 @@ class FinalPlayer {
         const album = this.albums.get(albumId);
         if (!album) return;
 
-        const oldArtist = album.artist;
-        const oldAlbumName = album.name;
-        
-        album.name = document.getElementById('albumEditName').value;
-        album.artist = document.getElementById('albumEditArtist').value;
+        const oldArtist = album.artist;
+        const oldAlbumName = album.name;
+        
+        album.name = document.getElementById('albumEditName').value;
+        album.artist = document.getElementById('albumEditArtist').value;
+
+        const coverInput = document.getElementById('albumCoverFileInput');
+        if (coverInput.files && coverInput.files[0]) {
+            const file = coverInput.files[0];
+            // La portada actual puede ser compartida con pistas (incrustada, de carpeta o de la edición en lote): no se sobrescribe
+            const coverAssetId = `cover_${album.id}`;
+            const previousCover = album.coverAssetId;
+            await this.saveCoverAsset(coverAssetId, file, file.name);
+            album.coverAssetId = coverAssetId;
+            album.coverSource = 'user';
+            if (previousCover && previousCover !== coverAssetId && !this.isAssetReferenced(previousCover)) await this.deleteAsset(previousCover);
+        }
+
+        await this.saveToStore('albums', album);
+        
+        for (const trackId of album.trackIds) {
+            const track = this.library.get(trackId);
+            if (track && track.album === oldAlbumName && track.artist === oldArtist) {
+                track.album = album.name;
+                track.artist = album.artist;
+                await this.saveToStore('tracks', track);
+            }
+        }
+        
+        await this.refreshSmartPlaylists();
+        await this.updateAlbumsDisplay();
+        await this.updateArtistsDisplay();
+        coverInput.value = '';
+        modal.classList.add('hidden');
+        this.showToast('Álbum guardado', 'success');
+    }
+
+    async saveArtistDetails() {
+        const modal = document.getElementById('artistEditModal');
+        const originalName = modal.dataset.originalArtistName;
+        const newName = document.getElementById('artistEditName').value;
+
+        if (!newName || newName === originalName) {
+            modal.classList.add('hidden');
+            return;
+        }
+
+        if(!confirm(`Esto cambiará el nombre de "${originalName}" a "${newName}" en todas las canciones y álbumes. ¿Continuar?`)) {
+            return;
+        }
+
+        for (const track of this.library.values()) {
+            if (track.artist === originalName) {
+                track.artist = newName;
+                await this.saveToStore('tracks', track);
+            }
+        }
+        
+        for (const album of this.albums.values()) {
+            if (album.artist === originalName) {
+                album.artist = newName;
+                await this.saveToStore('albums', album);
+            }
+        }
+
+        await this.refreshSmartPlaylists();
+        await this.updateArtistsDisplay();
+        await this.updateAlbumsDisplay();
+        modal.classList.add('hidden');
+        this.showToast('Artista actualizado', 'success');
+    }
+
+
+    async deletePlaylist(playlistId) {
+        const playlist = this.playlists.get(playlistId);
+        if (!playlist) return;
+        
+        await this.deleteFromStore('playlists', playlistId);
+        this.playlists.delete(playlistId);
+
+        await this.updatePlaylistsDisplay();
+        this.showToast(`Playlist "${playlist.name}" eliminada`, 'success');
+    }
+
+    async handleCoverFileSelect(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        this.setFilePreview(document.getElementById('metaCoverPreview'), file);
+    }
+    
+    async saveMetadata() {
+        const modal = document.getElementById('metadataModal');
+        const trackId = modal.dataset.trackId;
+        const track = this.library.get(trackId);
+        if (!track) return;
+
+        track.title = document.getElementById('metaTitle').value;
+        track.artist = document.getElementById('metaArtist').value;
+        track.album = document.getElementById('metaAlbum').value;
+        track.trackNumber = parseInt(document.getElementById('metaTrackNumber').value, 10) || 1;
+        track.genre = document.getElementById('metaGenre').value.trim() || null;
+        track.year = parseInt(document.getElementById('metaYear').value, 10) || null;
+        track.rating = parseInt(document.getElementById('metaRating').value, 10) || 0;
+        track.lyrics = document.getElementById('metaLyrics').value.trim() || null;
+
+        const coverInput = document.getElementById('coverFileInput');
+        if (coverInput.files && coverInput.files[0]) {
+            const file = coverInput.files[0];
+            // Una portada compartida (de carpeta o de álbum) no se sobrescribe para el resto de pistas
+            const coverAssetId = track.coverAssetId && !this.isAssetReferenced(track.coverAssetId, track.id)
+                ? track.coverAssetId
+                : `cover_${this.generateId()}`;
+            await this.saveCoverAsset(coverAssetId, file, file.name);
+            track.coverAssetId = coverAssetId;
+        }
+
+        await this.saveToStore('tracks', track);
+        this.library.set(trackId, track);
+
+        await this.refreshSmartPlaylists();
+        await this.updateLibraryDisplay();
+        if (this.currentTrackId === trackId) {
+            this.updatePlayerDisplay(track);
+        }
+        
+        coverInput.value = '';
+        modal.classList.add('hidden');
+        this.showToast('Metadatos guardados', 'success');
+    }
+
+    async deleteTrack(trackId, refresh = true) {
+        const track = this.library.get(trackId);
+        if (!track) return;
+
+        // Las portadas de carpeta se comparten entre pistas y álbumes
+        const coverShared = track.coverAssetId && this.isAssetReferenced(track.coverAssetId, trackId);
+
+        await this.deleteFromStore('tracks', trackId);
+        if (track.fileAssetId) await this.deleteAsset(track.fileAssetId);
+        if (track.coverAssetId && !coverShared) await this.deleteAsset(track.coverAssetId);
+        for (const subtitle of track.subtitles || []) {
+            await this.deleteAsset(subtitle.assetId);
+        }
+
+        this.library.delete(trackId);
+
+        this.removeTracksFromQueue([trackId]);
+        if (!refresh) return;
+
+        await this.refreshSmartPlaylists();
+        await this.updateLibraryDisplay();
+        this.updateQueueDisplay();
+        this.showToast('Canción eliminada', 'success');
+    }
+    
+    isAssetReferenced(assetId, exceptTrackId = null) {
+        for (const track of this.library.values()) {
+            if (track.id !== exceptTrackId && track.coverAssetId === assetId) return true;
+        }
+        for (const album of this.albums.values()) {
+            if (album.coverAssetId === assetId) return true;
+        }
+        for (const playlist of this.playlists.values()) {
+            if (playlist.coverAssetId === assetId) return true;
+        }
+        return false;
+    }
+
+    // ===================================
+    // TAG WRITING (ID3v2 / FLAC / OGG / MP4)
+    // ===================================
+
+    setupExportFilesEvents() {
+        const modal = document.getElementById('exportFilesModal');
+        document.getElementById('closeExportFilesBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('cancelExportFilesBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('confirmExportFilesBtn').addEventListener('click', async () => {
+            modal.classList.add('hidden');
+            const trackIds = JSON.parse(modal.dataset.trackIds || '[]');
+            const replaceStored = document.getElementById('exportFilesStorage').value === 'replace';
+            await this.exportTrackFiles(trackIds, replaceStored);
+        });
+    }
+
+    showExportFilesDialog(trackIds) {
+        const modal = document.getElementById('exportFilesModal');
+        modal.dataset.trackIds = JSON.stringify(trackIds);
+        document.getElementById('exportFilesStorage').value = 'keep';
+        document.getElementById('exportFilesSummary').textContent = trackIds.length === 1
+            ? `Se exportará "${this.library.get(trackIds[0]).title}" con sus metadatos actuales (MP3, FLAC, Ogg/Opus y M4A).`
+            : `Se exportarán ${trackIds.length} archivos con sus metadatos actuales (MP3, FLAC, Ogg/Opus y M4A).`;
+        modal.classList.remove('hidden');
+    }
+
+    async exportTrackFiles(trackIds, replaceStored) {
+        let directory = null;
+        if (trackIds.length > 1 && window.showDirectoryPicker) {
+            try {
+                directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+            }
+        }
+
+        const failed = [];
+        const usedNames = new Set();
+        let exported = 0;
+        for (let i = 0; i < trackIds.length; i++) {
+            const track = this.library.get(trackIds[i]);
+            if (!track) continue;
+            this.showProgress('Exportando archivos', i / trackIds.length, track.title);
+            try {
+                const blob = await this.retagFile(track);
+                if (!blob) {
+                    failed.push(`${track.title}: formato no compatible`);
+                    continue;
+                }
+
+                const asset = this.assets.get(track.fileAssetId);
+                const extensions = { mp3: 'mp3', flac: 'flac', vorbis: 'ogg', opus: 'opus', mp4: 'm4a' };
+                const extension = extensions[await this.detectTagFormat(asset.blob)];
+                const baseName = asset.filename || `${track.artist} - ${track.title}.${extension}`.replace(/[\\/:*?"<>|]+/g, '_');
+                // Cada candidato se genera desde el nombre original para no acumular sufijos
+                let filename = baseName;
+                for (let n = 2; usedNames.has(filename.toLowerCase()); n++) {
+                    filename = baseName.replace(/(\.[^.]+)?$/, ` (${n})$1`);
+                }
+                usedNames.add(filename.toLowerCase());
+
+                if (directory) {
+                    const handle = await directory.getFileHandle(filename, { create: true });
+                    const writable = await handle.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                } else {
+                    this.downloadBlob(blob, filename);
+                }
+                if (replaceStored) await this.replaceStoredFile(track, blob);
+                exported++;
+            } catch (error) {
+                console.error(`Error al etiquetar ${track.title}:`, error);
+                failed.push(`${track.title}: ${error.message}`);
+            }
+        }
+        this.hideProgress();
+
+        if (failed.length > 0) {
+            this.showReport('Exportar archivos', `${exported} de ${trackIds.length} archivos exportados. No se pudieron exportar:`, failed);
+        } else {
+            this.showToast(`${exported} archivos exportados`, 'success');
+        }
+    }
+
+    async replaceStoredFile(track, blob) {
+        const asset = this.assets.get(track.fileAssetId);
+        const file = new File([blob], asset.filename || 'audio', { type: blob.type });
+        asset.blob = file;
+        await this.saveToStore('assets', asset);
+        this.revokeAssetUrl(asset.id);
+
+        track.contentHash = await this.computeContentHash(file);
+        track.fileSize = file.size;
+        await this.saveToStore('tracks', track);
+    }
+
+    async retagFile(track) {
+        const asset = this.assets.get(track.fileAssetId);
+        if (!asset || !asset.blob) throw new Error('archivo no disponible');
+
+        const format = await this.detectTagFormat(asset.blob);
+        if (!format) return null;
+
+        const tags = {
+            title: track.title,
+            artist: track.artist,
+            album: track.album,
+            trackNumber: track.trackNumber || null,
+            genre: track.genre || null,
+            year: track.year || null,
+            lyrics: track.lyrics || null,
+        };
+        const cover = await this.getCoverForTagging(track);
+
+        switch (format) {
+            case 'mp3': return this.writeId3Tags(asset.blob, tags, cover);
+            case 'flac': return this.writeFlacTags(asset.blob, tags, cover);
+            case 'vorbis':
+            case 'opus': return this.writeOggTags(asset.blob, tags, cover, format);
+            case 'mp4': return this.writeMp4Tags(asset.blob, tags, cover);
+        }
+        return null;
+    }
+
+    async readBytes(blob, start, end) {
+        return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+    }
+
+    bytesToAscii(bytes, start, length) {
+        return String.fromCharCode(...bytes.subarray(start, start + length));
+    }
+
+    asciiToBytes(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0));
+    }
+
+    concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    readSyncsafe(bytes, offset) {
+        return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) | ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+    }
+
+    writeSyncsafe(value) {
+        return Uint8Array.of((value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f);
+    }
+
+    getId3TagLength(header) {
+        if (this.bytesToAscii(header, 0, 3) !== 'ID3') return 0;
+        // 10 bytes de cabecera + cuerpo + pie opcional (flag 0x10)
+        return 10 + this.readSyncsafe(header, 6) + (header[5] & 0x10 ? 10 : 0);
+    }
+
+    async detectTagFormat(blob) {
+        const head = await this.readBytes(blob, 0, 64);
+        const id3Length = this.getId3TagLength(head);
+        if (id3Length > 0) {
+            const next = await this.readBytes(blob, id3Length, id3Length + 4);
+            return this.bytesToAscii(next, 0, 4) === 'fLaC' ? 'flac' : 'mp3';
+        }
+        if (this.bytesToAscii(head, 0, 4) === 'fLaC') return 'flac';
+        if (this.bytesToAscii(head, 0, 4) === 'OggS') {
+            const packetStart = 27 + head[26];
+            if (this.bytesToAscii(head, packetStart, 7) === '\x01vorbis') return 'vorbis';
+            if (this.bytesToAscii(head, packetStart, 8) === 'OpusHead') return 'opus';
+            return null;
+        }
+        if (this.bytesToAscii(head, 4, 4) === 'ftyp') return 'mp4';
+        if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return 'mp3';
+        return null;
+    }
+
+    async getCoverForTagging(track) {
+        const asset = track.coverAssetId && this.assets.get(track.coverAssetId);
+        if (!asset || !asset.blob) return null;
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(asset.blob);
+        } catch (error) {
+            return null;
+        }
+
+        let data = new Uint8Array(await asset.blob.arrayBuffer());
+        let mime = data[0] === 0xff && data[1] === 0xd8 ? 'image/jpeg'
+            : data[0] === 0x89 && data[1] === 0x50 ? 'image/png'
+            : null;
+        if (!mime) {
+            // ID3, FLAC y MP4 solo garantizan compatibilidad con JPEG y PNG
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+            const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+            data = new Uint8Array(await jpeg.arrayBuffer());
+            mime = 'image/jpeg';
+        }
+        const cover = { data, mime, width: bitmap.width, height: bitmap.height };
+        bitmap.close();
+        return cover;
+    }
+
+    // --- ID3v2.4 (MP3) ---
+
+    async writeId3Tags(blob, tags, cover) {
+        const encoder = new TextEncoder();
+        const header = await this.readBytes(blob, 0, 10);
+        const audioStart = this.getId3TagLength(header);
+        let keptFrames = [];
+        if (audioStart > 0 && (header[3] === 3 || header[3] === 4) && !(header[5] & 0x80)) {
+            const tag = await this.readBytes(blob, 10, 10 + this.readSyncsafe(header, 6));
+            keptFrames = this.parseId3Frames(tag, header[3], header[5], !!cover, !!tags.lyrics);
+        }
+
+        // Un ID3v1 al final contradiría las etiquetas nuevas
+        let audioEnd = blob.size;
+        if (blob.size >= 128) {
+            const tail = await this.readBytes(blob, blob.size - 128, blob.size - 125);
+            if (this.bytesToAscii(tail, 0, 3) === 'TAG') audioEnd -= 128;
+        }
+
+        const frame = (id, payload) => this.concatBytes([this.asciiToBytes(id), this.writeSyncsafe(payload.length), new Uint8Array(2), payload]);
+        const textFrame = (id, value) => frame(id, this.concatBytes([Uint8Array.of(3), encoder.encode(String(value))]));
+
+        const frames = [textFrame('TIT2', tags.title), textFrame('TPE1', tags.artist), textFrame('TALB', tags.album)];
+        if (tags.trackNumber) frames.push(textFrame('TRCK', tags.trackNumber));
+        if (tags.genre) frames.push(textFrame('TCON', tags.genre));
+        if (tags.year) frames.push(textFrame('TDRC', tags.year));
+        if (tags.lyrics) {
+            // Codificación UTF-8, idioma desconocido ("XXX") y descriptor vacío
+            frames.push(frame('USLT', this.concatBytes([Uint8Array.of(3), this.asciiToBytes('XXX'), Uint8Array.of(0), encoder.encode(tags.lyrics)])));
+        }
+        if (cover) {
+            frames.push(frame('APIC', this.concatBytes([Uint8Array.of(3), this.asciiToBytes(cover.mime), Uint8Array.of(0, 3, 0), cover.data])));
+        }
+        keptFrames.forEach(kept => frames.push(frame(kept.id, kept.body)));
+
+        const body = this.concatBytes([...frames, new Uint8Array(1024)]);
+        const tagHeader = this.concatBytes([this.asciiToBytes('ID3'), Uint8Array.of(4, 0, 0), this.writeSyncsafe(body.length)]);
+        return new Blob([tagHeader, body, blob.slice(audioStart, audioEnd)], { type: blob.type || 'audio/mpeg' });
+    }
+
+    parseId3Frames(tag, version, flags, replaceCover, replaceLyrics) {
+        const replaced = new Set(['TIT2', 'TPE1', 'TALB', 'TRCK', 'TCON', 'TDRC',
+            // Marcos de ID3v2.3 que no existen en v2.4
+            'TYER', 'TDAT', 'TIME', 'TORY', 'TRDA', 'TSIZ', 'IPLS', 'RVAD', 'EQUA']);
+        if (replaceCover) replaced.add('APIC');
+        if (replaceLyrics) ['USLT', 'SYLT'].forEach(id => replaced.add(id));
+
+        const view = new DataView(tag.buffer, tag.byteOffset, tag.byteLength);
+        let offset = 0;
+        if (flags & 0x40) {
+            offset = version === 4 ? this.readSyncsafe(tag, 0) : 4 + view.getUint32(0);
+        }
+
+        const frames = [];
+        while (offset + 10 <= tag.length) {
+            const id = this.bytesToAscii(tag, offset, 4);
+            if (!/^[A-Z0-9]{4}$/.test(id)) break;
+            const size = version === 4 ? this.readSyncsafe(tag, offset + 4) : view.getUint32(offset + 4);
+            const formatFlags = tag[offset + 9];
+            const body = tag.subarray(offset + 10, offset + 10 + size);
+            offset += 10 + size;
+
+            // Se descartan los marcos comprimidos, cifrados o agrupados: no se pueden copiar tal cual
+            const unsupported = version === 4 ? formatFlags & 0x4f : formatFlags & 0xe0;
+            if (!replaced.has(id) && !unsupported) frames.push({ id, body });
+        }
+        return frames;
+    }
+
+    // --- Vorbis comments (FLAC / Ogg) ---
+
+    parseVorbisComment(bytes, offset) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        const vendorLength = view.getUint32(offset, true);
+        const vendor = decoder.decode(bytes.subarray(offset + 4, offset + 4 + vendorLength));
+        offset += 4 + vendorLength;
+        const count = view.getUint32(offset, true);
+        offset += 4;
+        const comments = [];
+        for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+            const length = view.getUint32(offset, true);
+            comments.push(decoder.decode(bytes.subarray(offset + 4, offset + 4 + length)));
+            offset += 4 + length;
+        }
+        return { vendor, comments };
+    }
+
+    buildVorbisComment(vendor, existing, tags, pictureBlock = null) {
+        const replaced = new Set(['TITLE', 'ARTIST', 'ALBUM', 'TRACKNUMBER', 'GENRE', 'DATE']);
+        if (tags.lyrics) ['LYRICS', 'UNSYNCEDLYRICS'].forEach(key => replaced.add(key));
+        if (pictureBlock) replaced.add('METADATA_BLOCK_PICTURE');
+
+        const comments = existing.filter(comment => !replaced.has(comment.split('=')[0].toUpperCase()));
+        comments.push(`TITLE=${tags.title}`, `ARTIST=${tags.artist}`, `ALBUM=${tags.album}`);
+        if (tags.trackNumber) comments.push(`TRACKNUMBER=${tags.trackNumber}`);
+        if (tags.genre) comments.push(`GENRE=${tags.genre}`);
+        if (tags.year) comments.push(`DATE=${tags.year}`);
+        if (tags.lyrics) comments.push(`LYRICS=${tags.lyrics}`);
+        if (pictureBlock) {
+            let binary = '';
+            for (let i = 0; i < pictureBlock.length; i += 0x8000) {
+                binary += String.fromCharCode(...pictureBlock.subarray(i, i + 0x8000));
+            }
+            comments.push(`METADATA_BLOCK_PICTURE=${btoa(binary)}`);
+        }
+
+        const encoder = new TextEncoder();
+        const uint32 = value => {
+            const bytes = new Uint8Array(4);
+            new DataView(bytes.buffer).setUint32(0, value, true);
+            return bytes;
+        };
+        const vendorBytes = encoder.encode(vendor);
+        const parts = [uint32(vendorBytes.length), vendorBytes, uint32(comments.length)];
+        comments.forEach(comment => {
+            const bytes = encoder.encode(comment);
+            parts.push(uint32(bytes.length), bytes);
+        });
+        return this.concatBytes(parts);
+    }
+
+    buildFlacPicture(cover) {
+        const mime = this.asciiToBytes(cover.mime);
+        const bytes = new Uint8Array(32 + mime.length + cover.data.length);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        view.setUint32(offset, 3); // portada frontal
+        view.setUint32(offset += 4, mime.length);
+        bytes.set(mime, offset += 4);
+        view.setUint32(offset += mime.length, 0); // descripción vacía
+        view.setUint32(offset += 4, cover.width);
+        view.setUint32(offset += 4, cover.height);
+        view.setUint32(offset += 4, 24);
+        view.setUint32(offset += 4, 0);
+        view.setUint32(offset += 4, cover.data.length);
+        bytes.set(cover.data, offset + 4);
+        return bytes;
+    }
+
+    async writeFlacTags(blob, tags, cover) {
+        let offset = this.getId3TagLength(await this.readBytes(blob, 0, 10)) + 4;
+        const blocks = [];
+        let vendor = 'FinalPlayer';
+        let existingComments = [];
+        let last = false;
+
+        while (!last) {
+            const header = await this.readBytes(blob, offset, offset + 4);
+            if (header.length < 4) throw new Error('bloques de metadatos FLAC incompletos');
+            last = !!(header[0] & 0x80);
+            const type = header[0] & 0x7f;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+            const data = await this.readBytes(blob, offset + 4, offset + 4 + length);
+            offset += 4 + length;
+
+            if (type === 4) {
+                ({ vendor, comments: existingComments } = this.parseVorbisComment(data, 0));
+            } else if (type !== 1 && !(type === 6 && cover)) {
+                blocks.push({ type, data });
+            }
+        }
+
+        blocks.push({ type: 4, data: this.buildVorbisComment(vendor, existingComments, tags) });
+        if (cover) blocks.push({ type: 6, data: this.buildFlacPicture(cover) });
+        blocks.push({ type: 1, data: new Uint8Array(4096) });
+
+        const parts = [this.asciiToBytes('fLaC')];
+        blocks.forEach((block, index) => {
+            const length = block.data.length;
+            const isLast = index === blocks.length - 1;
+            parts.push(Uint8Array.of((isLast ? 0x80 : 0) | block.type, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff), block.data);
+        });
+        return new Blob([...parts, blob.slice(offset)], { type: blob.type || 'audio/flac' });
+    }
+
+    // --- Ogg (Vorbis / Opus) ---
+
+    oggCrc(bytes) {
+        if (!this.oggCrcTable) {
+            this.oggCrcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let r = i << 24;
+                for (let bit = 0; bit < 8; bit++) {
+                    r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+                }
+                this.oggCrcTable[i] = r >>> 0;
+            }
+        }
+        let crc = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ((crc << 8) ^ this.oggCrcTable[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+        }
+        return crc;
+    }
+
+    parseOggPages(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const pages = [];
+        let offset = 0;
+        while (offset + 27 <= bytes.length && this.bytesToAscii(bytes, offset, 4) === 'OggS') {
+            const segmentCount = bytes[offset + 26];
+            const segments = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+            const dataStart = offset + 27 + segmentCount;
+            const dataLength = segments.reduce((total, lace) => total + lace, 0);
+            pages.push({
+                serial: view.getUint32(offset + 14, true),
+                segments,
+                data: bytes.subarray(dataStart, dataStart + dataLength),
+                bytes: bytes.subarray(offset, dataStart + dataLength),
+            });
+            offset = dataStart + dataLength;
+        }
+        return pages;
+    }
+
+    buildOggPage(headerType, serial, sequence, segments, data) {
+        const page = new Uint8Array(27 + segments.length + data.length);
+        const view = new DataView(page.buffer);
+        page.set(this.asciiToBytes('OggS'), 0);
+        page[5] = headerType;
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        if (segments[segments.length - 1] === 255) {
+            // Ningún paquete termina en esta página: granule position -1
+            view.setBigInt64(6, -1n, true);
+        }
+        page[26] = segments.length;
+        page.set(segments, 27);
+        page.set(data, 27 + segments.length);
+        view.setUint32(22, this.oggCrc(page), true);
+        return page;
+    }
+
+    paginateOggPackets(packets, serial, firstSequence) {
+        const pages = [];
+        let segments = [];
+        let chunks = [];
+        let continued = false;
+        const flush = (nextContinued) => {
+            pages.push(this.buildOggPage(continued ? 1 : 0, serial, firstSequence + pages.length, segments, this.concatBytes(chunks)));
+            segments = [];
+            chunks = [];
+            continued = nextContinued;
+        };
+
+        for (const packet of packets) {
+            const laces = [];
+            for (let remaining = packet.length; ; remaining -= 255) {
+                laces.push(Math.min(255, remaining));
+                if (remaining < 255) break;
+            }
+            let position = 0;
+            laces.forEach((lace, index) => {
+                if (segments.length === 255) flush(index > 0);
+                segments.push(lace);
+                chunks.push(packet.subarray(position, position + lace));
+                position += lace;
+            });
+        }
+        if (segments.length > 0) flush(false);
+        return pages;
+    }
+
+    async writeOggTags(blob, tags, cover, codec) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const pages = this.parseOggPages(bytes);
+        if (pages.length === 0) throw new Error('flujo Ogg no válido');
+        const serial = pages[0].serial;
+        if (pages.some(page => page.serial !== serial)) throw new Error('Ogg con varios flujos no compatible');
+
+        // Vorbis tiene 3 paquetes de cabecera (identificación, comentarios, setup); Opus, 2
+        const headerPacketCount = codec === 'vorbis' ? 3 : 2;
+        const packets = [];
+        let pending = [];
+        let pageIndex = 0;
+        while (packets.length < headerPacketCount && pageIndex < pages.length) {
+            const page = pages[pageIndex++];
+            let position = 0;
+            for (const lace of page.segments) {
+                pending.push(page.data.subarray(position, position + lace));
+                position += lace;
+                if (lace < 255) {
+                    packets.push(this.concatBytes(pending));
+                    pending = [];
+                }
+            }
+        }
+        if (packets.length !== headerPacketCount || pending.length > 0) throw new Error('cabeceras Ogg inesperadas');
+
+        const prefixLength = codec === 'vorbis' ? 7 : 8;
+        const { vendor, comments } = this.parseVorbisComment(packets[1], prefixLength);
+        const pictureBlock = cover ? this.buildFlacPicture(cover) : null;
+        packets[1] = this.concatBytes([
+            packets[1].subarray(0, prefixLength),
+            this.buildVorbisComment(vendor, comments, tags, pictureBlock),
+            codec === 'vorbis' ? Uint8Array.of(1) : new Uint8Array(0) // bit de framing de Vorbis
+        ]);
 
-        const coverInput = document.getElementById('albumCoverFileInput');
-        if (coverInput.files && coverInput.files[0]) {
-            const file = coverInput.files[0];
-            const coverAssetId = album.coverAssetId || `cover_${album.id}`;
-            const asset = { id: coverAssetId, blob: file, type: file.type };
-            await this.saveToStore('assets', asset);
-            this.assets.set(coverAssetId, asset);
-            album.coverAssetId = coverAssetId;
+        const output = [this.buildOggPage(2, serial, 0, Uint8Array.of(packets[0].length), packets[0])];
+        output.push(...this.paginateOggPackets(packets.slice(1), serial, 1));
+
+        // Las páginas de audio se copian renumeradas, con su CRC recalculado
+        let sequence = output.length;
+        for (const page of pages.slice(pageIndex)) {
+            const copy = page.bytes.slice();
+            const view = new DataView(copy.buffer);
+            view.setUint32(18, sequence++, true);
+            view.setUint32(22, 0, true);
+            view.setUint32(22, this.oggCrc(copy), true);
+            output.push(copy);
         }
+        return new Blob(output, { type: blob.type || 'audio/ogg' });
+    }
 
-        await this.saveToStore('albums', album);
-        
-        for (const trackId of album.trackIds) {
-            const track = this.library.get(trackId);
-            if (track && track.album === oldAlbumName && track.artist === oldArtist) {
-                track.album = album.name;
-                track.artist = album.artist;
-                await this.saveToStore('tracks', track);
+    // --- MP4 / M4A (ilst) ---
+
+    parseMp4Boxes(bytes, start, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const boxes = [];
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
             }
+            if (size < headerSize || offset + size > end) break;
+            boxes.push({ type: this.bytesToAscii(bytes, offset + 4, 4), start: offset, size, headerSize });
+            offset += size;
         }
-        
-        await this.updateAlbumsDisplay();
-        await this.updateArtistsDisplay();
-        coverInput.value = '';
-        modal.classList.add('hidden');
-        this.showToast('Álbum guardado', 'success');
+        return boxes;
     }
 
-    async saveArtistDetails() {
-        const modal = document.getElementById('artistEditModal');
-        const originalName = modal.dataset.originalArtistName;
-        const newName = document.getElementById('artistEditName').value;
+    buildMp4Box(type, parts) {
+        const body = this.concatBytes(parts);
+        const header = new Uint8Array(8);
+        new DataView(header.buffer).setUint32(0, 8 + body.length);
+        header.set(this.asciiToBytes(type), 4);
+        return this.concatBytes([header, body]);
+    }
 
-        if (!newName || newName === originalName) {
-            modal.classList.add('hidden');
-            return;
+    buildMp4DataItem(type, dataType, payload) {
+        const typeHeader = new Uint8Array(8);
+        new DataView(typeHeader.buffer).setUint32(0, dataType);
+        return this.buildMp4Box(type, [this.buildMp4Box('data', [typeHeader, payload])]);
+    }
+
+    async writeMp4Tags(blob, tags, cover) {
+        const boxes = [];
+        for (let offset = 0; offset + 8 <= blob.size;) {
+            const header = await this.readBytes(blob, offset, offset + 16);
+            const view = new DataView(header.buffer);
+            let size = view.getUint32(0);
+            if (size === 1) size = Number(view.getBigUint64(8));
+            else if (size === 0) size = blob.size - offset;
+            if (size < 8) throw new Error('estructura MP4 no válida');
+            boxes.push({ type: this.bytesToAscii(header, 4, 4), start: offset, size });
+            offset += size;
         }
 
-        if(!confirm(`Esto cambiará el nombre de "${originalName}" a "${newName}" en todas las canciones y álbumes. ¿Continuar?`)) {
-            return;
+        const moovBox = boxes.find(box => box.type === 'moov');
+        if (!moovBox) throw new Error('falta el átomo moov');
+        const moov = await this.readBytes(blob, moovBox.start, moovBox.start + moovBox.size);
+        const newMoov = this.rebuildMp4Moov(moov, tags, cover);
+
+        // Si mdat va detrás de moov, los offsets de chunk (stco/co64) se desplazan con el nuevo tamaño
+        this.shiftMp4ChunkOffsets(newMoov, 8, newMoov.length, newMoov.length - moov.length, moovBox.start);
+
+        const parts = boxes.map(box => box === moovBox ? newMoov : blob.slice(box.start, box.start + box.size));
+        return new Blob(parts, { type: blob.type || 'audio/mp4' });
+    }
+
+    rebuildMp4Moov(moov, tags, cover) {
+        const children = this.parseMp4Boxes(moov, 8, moov.length);
+        const udta = children.find(box => box.type === 'udta');
+        const udtaContent = udta ? moov.subarray(udta.start + udta.headerSize, udta.start + udta.size) : new Uint8Array(0);
+        const others = children.filter(box => box !== udta).map(box => moov.subarray(box.start, box.start + box.size));
+        return this.buildMp4Box('moov', [...others, this.rebuildMp4Udta(udtaContent, tags, cover)]);
+    }
+
+    rebuildMp4Udta(content, tags, cover) {
+        const children = this.parseMp4Boxes(content, 0, content.length);
+        const meta = children.find(box => box.type === 'meta');
+        const metaContent = meta ? content.subarray(meta.start + meta.headerSize, meta.start + meta.size) : null;
+        const others = children.filter(box => box !== meta).map(box => content.subarray(box.start, box.start + box.size));
+        return this.buildMp4Box('udta', [...others, this.rebuildMp4Meta(metaContent, tags, cover)]);
+    }
+
+    rebuildMp4Meta(content, tags, cover) {
+        // meta es un FullBox (versión + flags), salvo en algunos ficheros QuickTime
+        const childrenStart = content && this.bytesToAscii(content, 4, 4) !== 'hdlr' ? 4 : 0;
+        const children = content ? this.parseMp4Boxes(content, childrenStart, content.length) : [];
+        const hdlr = children.find(box => box.type === 'hdlr');
+        const ilst = children.find(box => box.type === 'ilst');
+
+        const hdlrBox = hdlr
+            ? content.subarray(hdlr.start, hdlr.start + hdlr.size)
+            : this.buildMp4Box('hdlr', [new Uint8Array(8), this.asciiToBytes('mdirappl'), new Uint8Array(9)]);
+        const ilstContent = ilst ? content.subarray(ilst.start + ilst.headerSize, ilst.start + ilst.size) : new Uint8Array(0);
+        const others = children
+            .filter(box => box !== hdlr && box !== ilst)
+            .map(box => content.subarray(box.start, box.start + box.size));
+        return this.buildMp4Box('meta', [new Uint8Array(4), hdlrBox, ...others, this.rebuildMp4Ilst(ilstContent, tags, cover)]);
+    }
+
+    rebuildMp4Ilst(content, tags, cover) {
+        const encoder = new TextEncoder();
+        const replaced = new Set(['©nam', '©ART', '©alb', 'trkn', '©gen', 'gnre', '©day']);
+        if (tags.lyrics) replaced.add('©lyr');
+        if (cover) replaced.add('covr');
+
+        const items = this.parseMp4Boxes(content, 0, content.length)
+            .filter(box => !replaced.has(box.type))
+            .map(box => content.subarray(box.start, box.start + box.size));
+        const text = (type, value) => this.buildMp4DataItem(type, 1, encoder.encode(String(value)));
+
+        items.push(text('©nam', tags.title), text('©ART', tags.artist), text('©alb', tags.album));
+        if (tags.trackNumber) {
+            const trkn = new Uint8Array(8);
+            new DataView(trkn.buffer).setUint16(2, tags.trackNumber);
+            items.push(this.buildMp4DataItem('trkn', 0, trkn));
         }
+        if (tags.genre) items.push(text('©gen', tags.genre));
+        if (tags.year) items.push(text('©day', tags.year));
+        if (tags.lyrics) items.push(text('©lyr', tags.lyrics));
+        if (cover) items.push(this.buildMp4DataItem('covr', cover.mime === 'image/png' ? 14 : 13, cover.data));
+        return this.buildMp4Box('ilst', items);
+    }
 
-        for (const track of this.library.values()) {
-            if (track.artist === originalName) {
-                track.artist = newName;
-                await this.saveToStore('tracks', track);
+    shiftMp4ChunkOffsets(bytes, start, end, delta, moovStart) {
+        if (delta === 0) return;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (const box of this.parseMp4Boxes(bytes, start, end)) {
+            const contentStart = box.start + box.headerSize;
+            if (['trak', 'mdia', 'minf', 'stbl'].includes(box.type)) {
+                this.shiftMp4ChunkOffsets(bytes, contentStart, box.start + box.size, delta, moovStart);
+            } else if (box.type === 'stco' || box.type === 'co64') {
+                const count = view.getUint32(contentStart + 4);
+                const entrySize = box.type === 'stco' ? 4 : 8;
+                for (let i = 0; i < count; i++) {
+                    const position = contentStart + 8 + i * entrySize;
+                    if (box.type === 'stco') {
+                        const value = view.getUint32(position);
+                        if (value > moovStart) view.setUint32(position, value + delta);
+                    } else {
+                        const value = view.getBigUint64(position);
+                        if (value > BigInt(moovStart)) view.setBigUint64(position, value + BigInt(delta));
+                    }
+                }
             }
         }
-        
-        for (const album of this.albums.values()) {
-            if (album.artist === originalName) {
-                album.artist = newName;
-                await this.saveToStore('albums', album);
+    }
+
+    // ===================================
+    // DUPLICATES
+    // ===================================
+
+    setupDuplicatesEvents() {
+        const modal = document.getElementById('duplicatesModal');
+        const handlingSelect = document.getElementById('duplicateHandling');
+        handlingSelect.value = this.settings.library.duplicateHandling;
+        handlingSelect.addEventListener('change', e => {
+            this.settings.library.duplicateHandling = e.target.value;
+            this.saveSettings();
+        });
+        const playlistDuplicatesSelect = document.getElementById('playlistDuplicates');
+        playlistDuplicatesSelect.value = this.settings.library.playlistDuplicates ? 'allow' : 'skip';
+        playlistDuplicatesSelect.addEventListener('change', e => {
+            this.settings.library.playlistDuplicates = e.target.value === 'allow';
+            this.saveSettings();
+        });
+
+        document.getElementById('findDuplicatesBtn').addEventListener('click', () => this.showDuplicatesManager());
+        document.getElementById('closeDuplicatesBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('cancelDuplicatesBtn').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('resolveAllDuplicatesBtn').addEventListener('click', async () => {
+            const groups = Array.from(document.querySelectorAll('#duplicatesList .duplicate-group'));
+            for (const groupEl of groups) {
+                await this.resolveDuplicateGroup(groupEl, false);
             }
+            await this.finishDuplicateResolution();
+        });
+    }
+
+    async ensureContentHashes() {
+        const pending = [...this.library.values()].filter(t => !t.contentHash && this.assets.has(t.fileAssetId));
+        for (let i = 0; i < pending.length; i++) {
+            const track = pending[i];
+            this.showProgress('Calculando huellas de archivo', i / pending.length, track.title);
+            const blob = this.assets.get(track.fileAssetId).blob;
+            track.contentHash = await this.computeContentHash(blob);
+            track.fileSize = blob.size;
+            await this.saveToStore('tracks', track);
         }
+        if (pending.length > 0) this.hideProgress();
+    }
 
-        await this.updateArtistsDisplay();
-        await this.updateAlbumsDisplay();
-        modal.classList.add('hidden');
-        this.showToast('Artista actualizado', 'success');
+    normalizeForComparison(text) {
+        return this.foldText(text)
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
     }
 
+    async findDuplicateGroups() {
+        await this.ensureContentHashes();
 
-    async deletePlaylist(playlistId) {
-        const playlist = this.playlists.get(playlistId);
-        if (!playlist) return;
-        
-        await this.deleteFromStore('playlists', playlistId);
-        this.playlists.delete(playlistId);
+        // Union-find: las pistas con el mismo hash o con título/artista iguales y duración parecida acaban en el mismo grupo
+        const parent = new Map();
+        const find = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const union = (a, b) => parent.set(find(a), find(b));
 
-        await this.updatePlaylistsDisplay();
-        this.showToast(`Playlist "${playlist.name}" eliminada`, 'success');
+        const byHash = new Map();
+        const byTags = new Map();
+        for (const track of this.library.values()) {
+            parent.set(track.id, track.id);
+            if (track.contentHash) {
+                if (byHash.has(track.contentHash)) union(track.id, byHash.get(track.contentHash));
+                else byHash.set(track.contentHash, track.id);
+            }
+            const tagKey = `${this.normalizeForComparison(track.title)}|${this.normalizeForComparison(track.artist)}`;
+            if (!byTags.has(tagKey)) byTags.set(tagKey, []);
+            const similar = byTags.get(tagKey).find(other => Math.abs((other.duration || 0) - (track.duration || 0)) <= 2);
+            if (similar) union(track.id, similar.id);
+            byTags.get(tagKey).push(track);
+        }
+
+        const groups = new Map();
+        for (const track of this.library.values()) {
+            const root = find(track.id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(track);
+        }
+
+        return [...groups.values()]
+            .filter(tracks => tracks.length > 1)
+            .map(tracks => ({
+                exact: tracks.every(t => t.contentHash && t.contentHash === tracks[0].contentHash),
+                tracks: tracks.sort((a, b) => this.getTrackQualityScore(b) - this.getTrackQualityScore(a))
+            }));
     }
 
-    async handleCoverFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        const preview = document.getElementById('metaCoverPreview');
-        preview.src = URL.createObjectURL(file);
+    getTrackQualityScore(track) {
+        const size = track.fileSize || (this.assets.get(track.fileAssetId)?.blob.size ?? 0);
+        // Sin bitrate en los metadatos, se estima a partir del tamaño y la duración
+        const bitrate = track.bitrate || (track.duration ? (size * 8) / track.duration : 0);
+        return (track.lossless ? 1e9 : 0) + bitrate + (track.sampleRate || 0) / 1000;
     }
-    
-    async saveMetadata() {
-        const modal = document.getElementById('metadataModal');
-        const trackId = modal.dataset.trackId;
-        const track = this.library.get(trackId);
-        if (!track) return;
 
-        track.title = document.getElementById('metaTitle').value;
-        track.artist = document.getElementById('metaArtist').value;
-        track.album = document.getElementById('metaAlbum').value;
-        track.trackNumber = parseInt(document.getElementById('metaTrackNumber').value, 10) || 1;
+    describeTrackQuality(track) {
+        const size = track.fileSize || (this.assets.get(track.fileAssetId)?.blob.size ?? 0);
+        const parts = [];
+        if (track.codec) parts.push(track.codec);
+        if (track.lossless) parts.push('sin pérdida');
+        if (track.bitrate) parts.push(`${Math.round(track.bitrate / 1000)} kbps`);
+        if (track.sampleRate) parts.push(`${(track.sampleRate / 1000).toFixed(1)} kHz`);
+        parts.push(this.formatBytes(size));
+        return parts.join(' · ');
+    }
 
-        const coverInput = document.getElementById('coverFileInput');
-        if (coverInput.files && coverInput.files[0]) {
-            const file = coverInput.files[0];
-            const coverAssetId = track.coverAssetId || `cover_${track.id}`;
-            const coverAsset = { id: coverAssetId, type: 'image', blob: file };
-            await this.saveToStore('assets', coverAsset);
-            this.assets.set(coverAssetId, coverAsset);
-            track.coverAssetId = coverAssetId;
+    async showDuplicatesManager() {
+        const groups = await this.findDuplicateGroups();
+        if (groups.length === 0) {
+            this.showToast('No se encontraron duplicados', 'info');
+            return;
         }
 
-        await this.saveToStore('tracks', track);
-        this.library.set(trackId, track);
+        const list = document.getElementById('duplicatesList');
+        list.innerHTML = '';
+        document.getElementById('duplicatesSummary').textContent =
+            `${groups.length} grupos de posibles duplicados. Se conservará la copia marcada y las playlists pasarán a apuntar a ella.`;
+
+        groups.forEach((group, groupIndex) => {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'duplicate-group';
+            groupEl.innerHTML = `
+                <div class="duplicate-group-header">
+                    <span class="duplicate-type ${group.exact ? 'exact' : ''}">${group.exact ? 'Idénticos' : 'Similares'}</span>
+                    <button class="glass-btn" data-action="resolve">Conservar selección</button>
+                </div>
+                ${group.tracks.map((track, index) => {
+                    const asset = this.assets.get(track.fileAssetId);
+                    return `
+                    <label class="duplicate-item">
+                        <input type="radio" name="duplicateGroup_${groupIndex}" value="${track.id}" ${index === 0 ? 'checked' : ''}>
+                        <div class="duplicate-info">
+                            <div class="duplicate-title">${track.title} — ${track.artist}</div>
+                            <div class="duplicate-meta">${track.album} · ${this.formatTime(track.duration)} · ${this.describeTrackQuality(track)}</div>
+                            <div class="duplicate-meta">${asset ? (asset.sourcePath || asset.filename) : 'Archivo no disponible'} · ${track.playCount || 0} reproducciones</div>
+                        </div>
+                    </label>`;
+                }).join('')}
+            `;
+            groupEl.querySelector('[data-action="resolve"]').addEventListener('click', async () => {
+                await this.resolveDuplicateGroup(groupEl, false);
+                await this.finishDuplicateResolution();
+            });
+            list.appendChild(groupEl);
+        });
 
-        await this.updateLibraryDisplay();
-        if (this.currentTrackId === trackId) {
-            this.updatePlayerDisplay(track);
-        }
-        
-        coverInput.value = '';
-        modal.classList.add('hidden');
-        this.showToast('Metadatos guardados', 'success');
+        document.getElementById('duplicatesModal').classList.remove('hidden');
     }
 
-    async deleteTrack(trackId) {
-        const track = this.library.get(trackId);
-        if (!track) return;
+    async resolveDuplicateGroup(groupEl, refresh = true) {
+        const radios = Array.from(groupEl.querySelectorAll('input[type="radio"]'));
+        const keeper = radios.find(radio => radio.checked);
+        if (!keeper) return;
+        const duplicateIds = radios.map(radio => radio.value).filter(id => id !== keeper.value);
+        await this.mergeDuplicateTracks(keeper.value, duplicateIds);
+        groupEl.remove();
+        if (refresh) await this.finishDuplicateResolution();
+    }
 
-        await this.deleteFromStore('tracks', trackId);
-        if (track.fileAssetId) await this.deleteFromStore('assets', track.fileAssetId);
-        if (track.coverAssetId) await this.deleteFromStore('assets', track.coverAssetId);
+    async mergeDuplicateTracks(keeperId, duplicateIds) {
+        const keeper = this.library.get(keeperId);
+        if (!keeper) return;
+        const duplicates = new Set(duplicateIds);
+        const replaceIds = (ids) => {
+            const result = [];
+            ids.forEach(id => {
+                const mapped = duplicates.has(id) ? keeperId : id;
+                if (!result.includes(mapped) || mapped !== keeperId) result.push(mapped);
+            });
+            return result;
+        };
 
-        this.library.delete(trackId);
-        if (track.fileAssetId) this.assets.delete(track.fileAssetId);
-        if (track.coverAssetId) this.assets.delete(track.coverAssetId);
+        for (const playlist of this.playlists.values()) {
+            if (playlist.smart || !playlist.trackIds.some(id => duplicates.has(id))) continue;
+            playlist.trackIds = replaceIds(playlist.trackIds);
+            await this.saveToStore('playlists', playlist);
+        }
 
-        this.queue = this.queue.filter(id => id !== trackId);
-        this.generateShuffledQueue();
+        for (const album of this.albums.values()) {
+            if (!album.trackIds.some(id => duplicates.has(id))) continue;
+            album.trackIds = album.trackIds.filter(id => !duplicates.has(id));
+            if (album.trackIds.length === 0) {
+                this.albums.delete(album.id);
+                await this.deleteFromStore('albums', album.id);
+            } else {
+                await this.saveToStore('albums', album);
+            }
+        }
+
+        const movedHistory = this.history.filter(entry => duplicates.has(entry.trackId));
+        movedHistory.forEach(entry => { entry.trackId = keeperId; });
+        if (movedHistory.length > 0) await this.saveManyToStore('history', movedHistory);
+
+        // Las estadísticas y datos de usuario de las copias se conservan en la pista elegida
+        for (const id of duplicateIds) {
+            const track = this.library.get(id);
+            if (!track) continue;
+            keeper.playCount = (keeper.playCount || 0) + (track.playCount || 0);
+            keeper.skipCount = (keeper.skipCount || 0) + (track.skipCount || 0);
+            keeper.lastPlayedAt = Math.max(keeper.lastPlayedAt || 0, track.lastPlayedAt || 0) || null;
+            keeper.rating = Math.max(keeper.rating || 0, track.rating || 0);
+            keeper.addedAt = Math.min(keeper.addedAt || Date.now(), track.addedAt || Date.now());
+            if (!keeper.lyrics && track.lyrics) keeper.lyrics = track.lyrics;
+            if (track.bookmarks) keeper.bookmarks = [...(keeper.bookmarks || []), ...track.bookmarks].sort((a, b) => a.time - b.time);
+        }
+        await this.saveToStore('tracks', keeper);
+
+        this.queue = replaceIds(this.queue);
+        this.shuffledQueue = replaceIds(this.shuffledQueue);
+        if (duplicates.has(this.currentTrackId)) this.currentTrackId = keeperId;
+        for (const id of duplicateIds) {
+            await this.deleteTrack(id, false);
+        }
+    }
 
+    async finishDuplicateResolution() {
+        const currentQueue = this.shuffle ? this.shuffledQueue : this.queue;
+        if (this.currentTrackId) this.currentIndex = currentQueue.indexOf(this.currentTrackId);
+        await this.refreshSmartPlaylists();
         await this.updateLibraryDisplay();
+        await this.updatePlaylistsDisplay();
         this.updateQueueDisplay();
-        this.showToast('Canción eliminada', 'success');
+        if (!document.querySelector('#duplicatesList .duplicate-group')) {
+            document.getElementById('duplicatesModal').classList.add('hidden');
+        }
+        this.showToast('Duplicados resueltos', 'success');
     }
-    
+
     // ===================================
     // QUEUE MANAGEMENT
     // ===================================
     
+    setupQueueEvents() {
+        const listEl = document.getElementById('queueList');
+        document.getElementById('clearQueueBtn').addEventListener('click', () => this.clearQueue());
+        document.getElementById('saveQueueBtn').addEventListener('click', () => this.saveQueueAsPlaylist());
+
+        listEl.addEventListener('click', e => {
+            const item = e.target.closest('.queue-item');
+            if (!item) return;
+            const index = Number(item.dataset.index);
+            if (e.target.closest('.queue-item-remove')) {
+                this.removeFromQueueAt(index);
+                return;
+            }
+            this.currentIndex = index;
+            this.play(item.dataset.trackId);
+        });
+        listEl.addEventListener('contextmenu', e => {
+            const item = e.target.closest('.queue-item');
+            const track = item && this.library.get(item.dataset.trackId);
+            if (!track) return;
+            e.preventDefault();
+            this.showTrackContextMenu(e, track);
+        });
+
+        const clearDropMarkers = () => {
+            listEl.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+        };
+        listEl.addEventListener('dragstart', e => {
+            const item = e.target.closest('.queue-item');
+            if (!item) return;
+            this.queueDragIndex = Number(item.dataset.index);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.trackId);
+        });
+        listEl.addEventListener('dragover', e => {
+            const item = e.target.closest('.queue-item');
+            if (!item || this.queueDragIndex === null) return;
+            e.preventDefault();
+            const rect = item.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            clearDropMarkers();
+            item.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+        listEl.addEventListener('drop', e => {
+            const item = e.target.closest('.queue-item');
+            if (!item || this.queueDragIndex === null) return;
+            e.preventDefault();
+            const target = Number(item.dataset.index) + (item.classList.contains('drop-after') ? 1 : 0);
+            this.moveQueueItem(this.queueDragIndex, target);
+        });
+        listEl.addEventListener('dragend', () => {
+            this.queueDragIndex = null;
+            clearDropMarkers();
+            listEl.querySelector('.dragging')?.classList.remove('dragging');
+        });
+    }
+
+    getActiveQueue() {
+        return this.shuffle ? this.shuffledQueue : this.queue;
+    }
+
     updateQueueDisplay() {
         const listEl = document.getElementById('queueList');
         listEl.innerHTML = '';
-        const currentQueue = this.shuffle ? this.shuffledQueue : this.queue;
+        const currentQueue = this.getActiveQueue();
         
         currentQueue.forEach((trackId, index) => {
             const track = this.library.get(trackId);
             if (track) {
                 const item = document.createElement('div');
                 item.className = 'queue-item';
-                item.classList.toggle('playing', this.currentTrackId === trackId);
+                item.classList.toggle('playing', index === this.currentIndex && !this.currentRemovedFromQueue);
+                item.draggable = true;
                 item.dataset.trackId = trackId;
+                item.dataset.index = index;
                 
-                const coverUrl = track.coverAssetId && this.assets.has(track.coverAssetId)
-                    ? URL.createObjectURL(this.assets.get(track.coverAssetId).blob)
-                    : '';
+                const coverUrl = this.getAssetUrl(track.coverAssetId, 128);
                 
                 item.innerHTML = `
-                    <img class="queue-item-cover" src="${coverUrl}" alt="Cover">
+                    <img class="queue-item-cover" src="${coverUrl}" alt="Cover" draggable="false">
                     <div class="queue-item-info">
                         <div class="queue-item-title">${track.title}</div>
                         <div class="queue-item-artist">${track.artist}</div>
                     </div>
+                    <button class="queue-item-remove" title="Quitar de la cola">×</button>
                 `;
-                item.addEventListener('click', () => {
-                    this.currentIndex = index;
-                    this.play(trackId);
-                });
                 listEl.appendChild(item);
             }
         });
+        document.getElementById('queueCount').textContent = currentQueue.length > 0 ? `${currentQueue.length} canciones` : 'La cola está vacía';
+    }
+
+    enqueueTracks(trackIds, playNext = false) {
+        const currentQueue = this.getActiveQueue();
+        const otherQueue = this.shuffle ? this.queue : this.shuffledQueue;
+        let ids = [...new Set(trackIds)].filter(id => this.library.has(id));
+
+        if (playNext) {
+            // Las pistas que ya estaban en la cola se mueven detrás de la actual
+            ids = ids.filter(id => id !== this.currentTrackId);
+            for (let i = currentQueue.length - 1; i >= 0; i--) {
+                if (i !== this.currentIndex && ids.includes(currentQueue[i])) this.removeFromQueueAt(i, false);
+            }
+            currentQueue.splice(this.currentIndex + 1, 0, ...ids);
+            otherQueue.splice(otherQueue.indexOf(this.currentTrackId) + 1, 0, ...ids);
+        } else {
+            ids = ids.filter(id => !this.queue.includes(id));
+            currentQueue.push(...ids);
+            otherQueue.push(...ids);
+        }
+
+        this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
+        return ids.length;
+    }
+
+    removeFromQueueAt(index, refresh = true) {
+        const currentQueue = this.getActiveQueue();
+        const otherQueue = this.shuffle ? this.queue : this.shuffledQueue;
+        const [trackId] = currentQueue.splice(index, 1);
+        const otherIndex = otherQueue.indexOf(trackId);
+        if (otherIndex !== -1) otherQueue.splice(otherIndex, 1);
+
+        // Si se quita la pista actual sigue sonando, y la siguiente pasa a ser la que ocupaba su lugar
+        if (index === this.currentIndex && !this.currentRemovedFromQueue) this.currentRemovedFromQueue = true;
+        if (index <= this.currentIndex) this.currentIndex--;
+        if (!refresh) return;
+        this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
+    }
+
+    removeTracksFromQueue(trackIds) {
+        const removed = new Set(trackIds);
+        const currentQueue = this.getActiveQueue();
+        for (let i = currentQueue.length - 1; i >= 0; i--) {
+            if (removed.has(currentQueue[i])) this.removeFromQueueAt(i, false);
+        }
+        this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
+    }
+
+    moveQueueItem(from, to) {
+        const currentQueue = this.getActiveQueue();
+        // `to` es la posición de inserción antes de quitar el elemento
+        const target = from < to ? to - 1 : to;
+        if (target === from) return;
+
+        const [trackId] = currentQueue.splice(from, 1);
+        currentQueue.splice(target, 0, trackId);
+
+        if (this.currentIndex === from) {
+            this.currentIndex = target;
+        } else {
+            if (from < this.currentIndex) this.currentIndex--;
+            if (target <= this.currentIndex) this.currentIndex++;
+        }
+        this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
+    }
+
+    clearQueue() {
+        // La pista que está sonando se conserva para no interrumpir la reproducción
+        const keep = this.currentTrackId && this.getActiveQueue()[this.currentIndex] === this.currentTrackId
+            ? [this.currentTrackId]
+            : [];
+        this.queue = [...keep];
+        this.shuffledQueue = [...keep];
+        this.currentIndex = keep.length - 1;
+        this.updateQueueDisplay();
+        this.schedulePlaybackStateSave();
+    }
+
+    async saveQueueAsPlaylist() {
+        const trackIds = [...this.getActiveQueue()];
+        if (trackIds.length === 0) {
+            this.showToast('La cola está vacía', 'info');
+            return;
+        }
+        const name = prompt("Nombre de la nueva playlist:", 'Cola de reproducción');
+        if (!name || name.trim() === '') return;
+
+        const playlist = {
+            id: this.generateId(),
+            name,
+            trackIds,
+            coverAssetId: null,
+            createdAt: Date.now()
+        };
+        await this.saveToStore('playlists', playlist);
+        this.playlists.set(playlist.id, playlist);
+        await this.updatePlaylistsDisplay();
+        this.showToast(`Playlist "${name}" creada con ${trackIds.length} canciones`, 'success');
     }
 
     // ===================================
@@ -1742,8 +8555,9 @@ class FinalPlayer {
         if ('mediaSession' in navigator) {
             const artwork = [];
             if (track.coverAssetId && this.assets.has(track.coverAssetId)) {
-                const asset = this.assets.get(track.coverAssetId);
-                artwork.push({ src: URL.createObjectURL(asset.blob), type: asset.blob.type });
+                artwork.push({ src: this.getAssetUrl(track.coverAssetId, 512, 'artwork') });
+            } else {
+                this.pinAssetUrl('artwork', null);
             }
             navigator.mediaSession.metadata = new MediaMetadata({
                 title: track.title,
@@ -1768,10 +8582,22 @@ class FinalPlayer {
         return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    foldText(text) {
+        // Minúsculas y sin diacríticos: "Canción" y "cancion" comparan igual
+        return String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
     formatTime(seconds) {
         if (isNaN(seconds)) return '0:00';
-        const min = Math.floor(seconds / 60);
         const sec = Math.floor(seconds % 60).toString().padStart(2, '0');
+        if (seconds >= 3600) {
+            const min = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+            return `${Math.floor(seconds / 3600)}:${min}:${sec}`;
+        }
+        const min = Math.floor(seconds / 60);
         return `${min}:${sec}`;
     }
 
@@ -1786,6 +8612,127 @@ class FinalPlayer {
 }
 
 
+// ===================================
+// VIRTUAL GRID
+// ===================================
+
+// Rejilla (o lista) con scroll propio que solo mantiene en el DOM las filas visibles.
+// Los elementos se reutilizan por clave mientras su firma no cambie, así que
+// actualizar un elemento no reconstruye el resto de la vista.
+class VirtualGrid {
+    constructor(container, { getKey, getSignature, renderItem, overscan = 3 }) {
+        this.container = container;
+        this.getKey = getKey;
+        this.getSignature = getSignature;
+        this.renderItem = renderItem;
+        this.overscan = overscan;
+        this.items = [];
+        this.rendered = new Map();
+        this.rowHeight = 0;
+        this.range = null;
+        this.frameId = null;
+
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        container.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+        new ResizeObserver(() => {
+            this.range = null;
+            this.scheduleRender();
+        }).observe(container);
+    }
+
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    setItems(items) {
+        this.items = items;
+        this.range = null;
+        this.render();
+    }
+
+    refresh() {
+        // Descarta los elementos reutilizables, p. ej. cuando cambia su plantilla
+        this.rendered = new Map();
+        this.range = null;
+        this.render();
+    }
+
+    scheduleRender() {
+        if (this.frameId) return;
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this.render();
+        });
+    }
+
+    measure() {
+        const style = getComputedStyle(this.container);
+        const gap = parseFloat(style.rowGap) || 0;
+        const columns = style.display === 'grid'
+            ? style.gridTemplateColumns.split(' ').filter(Boolean).length
+            : 1;
+        const sample = this.rendered.values().next().value;
+        const height = sample ? sample.element.offsetHeight : 0;
+        return { gap, columns: Math.max(1, columns), rowHeight: height ? height + gap : 0 };
+    }
+
+    setSpacer(spacer, rows, gap) {
+        spacer.style.display = rows > 0 ? '' : 'none';
+        spacer.style.height = rows > 0 ? `${rows * this.rowHeight - gap}px` : '0';
+    }
+
+    render(remeasured = false) {
+        // Oculta (display: none): se renderiza cuando el ResizeObserver detecte que vuelve a mostrarse
+        if (!this.container.clientHeight) {
+            this.range = null;
+            return;
+        }
+
+        const { gap, columns, rowHeight } = this.measure();
+        if (rowHeight) this.rowHeight = rowHeight;
+        const estimatedRowHeight = this.rowHeight || 240;
+        const totalRows = Math.ceil(this.items.length / columns);
+        const scrollTop = this.container.scrollTop;
+        const firstRow = Math.max(0, Math.floor(scrollTop / estimatedRowHeight) - this.overscan);
+        const lastRow = Math.min(totalRows, Math.ceil((scrollTop + this.container.clientHeight) / estimatedRowHeight) + this.overscan);
+        const start = firstRow * columns;
+        const end = Math.min(this.items.length, lastRow * columns);
+        if (this.range && this.range.start === start && this.range.end === end) return;
+        this.range = { start, end };
+
+        const rendered = new Map();
+        const elements = [];
+        for (let index = start; index < end; index++) {
+            const item = this.items[index];
+            const key = this.getKey(item, index);
+            const signature = this.getSignature(item);
+            let entry = this.rendered.get(key);
+            if (!entry || entry.signature !== signature) {
+                entry = { element: this.renderItem(item, index), signature };
+            }
+            rendered.set(key, entry);
+            elements.push(entry.element);
+        }
+        this.rendered = rendered;
+
+        this.rowHeight = estimatedRowHeight;
+        this.setSpacer(this.topSpacer, firstRow, gap);
+        this.setSpacer(this.bottomSpacer, totalRows - lastRow, gap);
+        this.container.replaceChildren(this.topSpacer, ...elements, this.bottomSpacer);
+
+        // La primera pasada usa una altura estimada; se repite con la altura real de una fila
+        if (!rowHeight && !remeasured && elements.length > 0) {
+            this.range = null;
+            this.render(true);
+        }
+    }
+}
+
+
 // ===================================
 // INITIALIZE APP
 // ===================================
@@ -0,0 +1,61 @@
+// ===================================
+// PITCH SHIFTER (AudioWorklet)
+// ===================================
+// Cambia el tono sin alterar la velocidad: dos cabezas de lectura recorren una
+// línea de retardo a distinta velocidad que la escritura y se mezclan con
+// ventanas seno² desfasadas media ventana, de modo que la suma es constante.
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.windowSize = Math.round(sampleRate * 0.05);
+        this.bufferSize = this.windowSize * 2;
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.delay = 0;
+    }
+
+    readSample(buffer, delay) {
+        let position = this.writeIndex - delay - 1;
+        if (position < 0) position += this.bufferSize;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = (index + 1) % this.bufferSize;
+        return buffer[index] * (1 - fraction) + buffer[next] * fraction;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+        const size = this.windowSize;
+        while (this.buffers.length < output.length) this.buffers.push(new Float32Array(this.bufferSize));
+
+        for (let i = 0; i < output[0].length; i++) {
+            const delayA = this.delay;
+            const delayB = (this.delay + size / 2) % size;
+            const weightA = Math.sin(Math.PI * delayA / size) ** 2;
+            const weightB = Math.sin(Math.PI * delayB / size) ** 2;
+
+            for (let channel = 0; channel < output.length; channel++) {
+                const buffer = this.buffers[channel];
+                const source = input[channel] || input[0];
+                buffer[this.writeIndex] = source ? source[i] : 0;
+                output[channel][i] = this.readSample(buffer, delayA) * weightA + this.readSample(buffer, delayB) * weightB;
+            }
+
+            // Con ratio > 1 el retardo se acorta y la lectura avanza más rápido que la escritura
+            this.delay += 1 - ratio;
+            if (this.delay < 0) this.delay += size;
+            else if (this.delay >= size) this.delay -= size;
+            this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+        }
+        return true;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);